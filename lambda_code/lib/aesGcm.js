@@ -0,0 +1,31 @@
+// AES-256-GCM for field encryption and the local key provider. The sealed form is one
+// base64 string of IV (12 bytes), auth tag (16 bytes) and ciphertext.
+const crypto = require('crypto');
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+// Throws if the data or the AAD were altered, or the key is the wrong one
+function open(key, sealed, aad) {
+    const bytes = Buffer.from(sealed, 'base64');
+    if (bytes.length < IV_BYTES + TAG_BYTES) {
+        throw new Error('Sealed value is too short.');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, bytes.subarray(0, IV_BYTES));
+    if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(bytes.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(bytes.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+module.exports = {
+    seal,
+    open,
+};
@@ -0,0 +1,63 @@
+// HIPAA access audit: one append-only audit_log row per tenant request.
+//
+// The auditAccess middleware (lib/middleware.js) writes the row once the route has
+// finished. Routes add the patients/notes they touched with addAuditTargets; ':id'
+// on /patients and /soapnotes paths is picked up automatically.
+const { getActor } = require('./identity');
+const { isValidUuid } = require('../validation');
+
+// --- Start tracking targets for this request, seeded from the path ---
+function initAudit(ctx) {
+    ctx.audit = { patientIds: new Set(), noteIds: new Set() };
+    const id = ctx.params?.id;
+    if (ctx.route.path.startsWith('/patients/:id')) addAuditTargets(ctx, { patientIds: [id] });
+    if (ctx.route.path.startsWith('/soapnotes/:id')) addAuditTargets(ctx, { noteIds: [id] });
+}
+
+// --- Record which patients / notes a request read or changed ---
+// Non-UUID values (e.g. a malformed path id) are dropped; the row still records the path.
+function addAuditTargets(ctx, { patientIds = [], noteIds = [] }) {
+    if (!ctx.audit) return;
+    patientIds.filter(isValidUuid).forEach(id => ctx.audit.patientIds.add(id));
+    noteIds.filter(isValidUuid).forEach(id => ctx.audit.noteIds.add(id));
+}
+
+// --- Insert the audit row for a finished request ---
+// A failed insert is logged loudly but doesn't change the response the user gets.
+async function writeAuditEntry(ctx, statusCode) {
+    const actor = getActor(ctx);
+    const insertQuery = `
+        INSERT INTO audit_log (
+            user_sub, user_name, clinic_id, http_method, route, request_path, action,
+            patient_ids, note_ids, source_ip, user_agent, status_code, outcome
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8::uuid[], $9::uuid[], $10, $11, $12, $13);
+    `;
+    const values = [
+        actor.sub,
+        actor.name,
+        ctx.claims?.['custom:clinic_id'] || null,
+        ctx.method,
+        ctx.route.path,
+        ctx.path,
+        ctx.route.action,
+        [...(ctx.audit?.patientIds || [])],
+        [...(ctx.audit?.noteIds || [])],
+        ctx.event.requestContext?.identity?.sourceIp || null,
+        ctx.event.headers?.['User-Agent'] || ctx.event.headers?.['user-agent'] || null,
+        statusCode,
+        statusCode < 400 ? 'success' : 'failure',
+    ];
+    try {
+        await ctx.client.query(insertQuery, values);
+    } catch (auditError) {
+        // Keep the entry in CloudWatch so it isn't lost entirely
+        console.error("AUDIT WRITE FAILED:", JSON.stringify({ values, error: auditError.message }));
+    }
+}
+
+module.exports = {
+    initAudit,
+    addAuditTargets,
+    writeAuditEntry,
+};
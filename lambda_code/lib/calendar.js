@@ -0,0 +1,63 @@
+// Wall-clock helpers for scheduling in the clinic's time zone (clinic_settings.time_zone).
+// Appointments are stored as instants (TIMESTAMPTZ); working hours and day/week views are
+// in local time, so every comparison between the two goes through here.
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// One formatter per zone; building them is the slow part
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// --- An instant as local { date: 'YYYY-MM-DD', weekday: 'mon', minutes: minutes since midnight } ---
+function localParts(instant, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(instant instanceof Date ? instant : new Date(instant))
+        .forEach(part => { parts[part.type] = part.value; });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase().slice(0, 3),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+// --- Calendar arithmetic on 'YYYY-MM-DD' strings ---
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// The Monday on or before the date
+function startOfWeek(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay(); // 0 = Sunday
+    return addDays(date, -((weekday + 6) % 7));
+}
+
+// 570 -> '09:30'
+function formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    localParts,
+    addDays,
+    startOfWeek,
+    formatMinutes,
+};
@@ -0,0 +1,287 @@
+// ANSI X12 837P (005010X222A1) professional claims built from signed SOAP notes: one claim
+// per note, all under the clinic as billing provider, in a single interchange the clinic
+// uploads to its clearinghouse. prepareClaims reports every piece of missing data first;
+// build837P assumes the claims it gets passed that check.
+const { priceBillingLines, toDateString } = require('./superbill');
+const { cleanElement, serializeSegments } = require('./x12');
+const { isValidNpi } = require('../validation');
+
+const IMPLEMENTATION_GUIDE = '005010X222A1';
+const DEFAULT_PLACE_OF_SERVICE = '11'; // office
+const DEFAULT_CLAIM_FILING_INDICATOR = 'CI'; // commercial insurance
+
+const GENDER_CODES = { male: 'M', female: 'F' };
+// PAT01 individual relationship codes for a patient who is not the subscriber
+const RELATIONSHIP_CODES = { spouse: '01', child: '19', other: 'G8' };
+
+const US_STATE_REGEX = /^[A-Z]{2}$/;
+const US_POSTAL_CODE_REGEX = /^[0-9]{5}([0-9]{4})?$/;
+
+// CLM01 is at most 20 characters, so the note id without dashes is cut to 20 hex digits;
+// remittances echo it back, and it still identifies the note within a clinic.
+function patientControlNumber(noteId) {
+    return noteId.replace(/-/g, '').slice(0, 20).toUpperCase();
+}
+
+// X12 amounts drop trailing zeros: 12000 cents -> "120", 9999 -> "99.99", 1050 -> "10.5"
+function formatAmount(cents) {
+    return (cents / 100).toFixed(2).replace(/\.00$/, '').replace(/(\.\d)0$/, '$1');
+}
+
+function compactDate(value) {
+    return toDateString(value).replace(/-/g, '');
+}
+
+function normalizePostalCode(value) {
+    return String(value || '').replace(/[\s-]/g, '');
+}
+
+// doctors.full_name is one string ("Dr. Jane A. Smith, DC"); claims want last and first
+function splitPersonName(fullName) {
+    const parts = String(fullName || '')
+        .split(',')[0]
+        .replace(/^dr\.?\s+/i, '')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean);
+    const last = parts.pop() || '';
+    return { last, first: parts.join(' ') };
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// --- Check the clinic-wide data every claim in the file uses ---
+function checkBillingProvider(settings) {
+    const errors = [];
+    if (!settings) {
+        return [{ field: 'clinic_settings', message: 'have not been initialized for this clinic' }];
+    }
+    const info = settings.billing_info || {};
+    const requireSetting = (key, label) => {
+        if (!hasValue(info[key])) errors.push({ field: `billing_info.${key}`, message: `${label} is required in the clinic settings` });
+    };
+    requireSetting('npi', 'The billing provider NPI');
+    requireSetting('tax_id', 'The billing provider tax ID (EIN)');
+    requireSetting('address_line1', 'The billing provider street address');
+    requireSetting('city', 'The billing provider city');
+    requireSetting('state', 'The billing provider state');
+    requireSetting('postal_code', 'The billing provider ZIP code');
+    requireSetting('contact_phone', 'The billing contact phone number');
+    requireSetting('submitter_id', 'The clearinghouse submitter ID');
+    requireSetting('receiver_id', 'The clearinghouse receiver ID');
+    requireSetting('receiver_name', 'The clearinghouse receiver name');
+    if (hasValue(info.npi) && !isValidNpi(info.npi)) {
+        errors.push({ field: 'billing_info.npi', message: 'is not a valid NPI' });
+    }
+    return errors;
+}
+
+// Street address, city, state and ZIP as the N3/N4 segments need them
+function checkAddress(patient, fieldPrefix, errors) {
+    if (!hasValue(patient.address_line1)) errors.push({ field: `${fieldPrefix}.address_line1`, message: 'is required for claims' });
+    if (!hasValue(patient.city)) errors.push({ field: `${fieldPrefix}.city`, message: 'is required for claims' });
+    if (!US_STATE_REGEX.test(String(patient.state_province || '').trim().toUpperCase())) {
+        errors.push({ field: `${fieldPrefix}.state_province`, message: 'must be a 2 letter state code for claims' });
+    }
+    if (!US_POSTAL_CODE_REGEX.test(normalizePostalCode(patient.postal_code))) {
+        errors.push({ field: `${fieldPrefix}.postal_code`, message: 'must be a 5 or 9 digit ZIP code for claims' });
+    }
+}
+
+// --- Check one note and turn it into a claim ---
+function prepareClaim({ note, patient, doctor, fees }) {
+    const errors = [];
+    const dxCodes = note.dx_codes || [];
+    const { lines, totalCents } = priceBillingLines(note, fees);
+
+    if (note.signed_status !== 'Signed') {
+        errors.push({ field: 'signed_status', message: 'the note must be signed before it is billed' });
+    }
+    if (dxCodes.length === 0) {
+        errors.push({ field: 'dx_codes', message: 'must list at least one diagnosis' });
+    }
+    if (lines.length === 0) {
+        errors.push({ field: 'billing_codes', message: 'must list at least one service line' });
+    }
+    lines.forEach((line, index) => {
+        if (line.amountCents === null) {
+            errors.push({ field: `billing_codes[${index}].code`, message: `${line.code} has no fee in the clinic fee schedule` });
+        }
+    });
+
+    if (!doctor) {
+        errors.push({ field: 'doctor', message: 'no rendering provider is recorded on the note' });
+    } else if (!hasValue(doctor.npi)) {
+        errors.push({ field: 'doctor.npi', message: `is required for ${doctor.full_name}` });
+    }
+
+    const insurance = patient.insurance_info || {};
+    const relationship = insurance.relationship_to_subscriber || 'self';
+    for (const key of ['payer_name', 'payer_id', 'member_id']) {
+        if (!hasValue(insurance[key])) errors.push({ field: `patient.insurance_info.${key}`, message: 'is required for claims' });
+    }
+    if (relationship !== 'self') {
+        const subscriber = insurance.subscriber || {};
+        for (const key of ['first_name', 'last_name']) {
+            if (!hasValue(subscriber[key])) {
+                errors.push({ field: `patient.insurance_info.subscriber.${key}`, message: `is required when the patient is the subscriber's ${relationship}` });
+            }
+        }
+    }
+    checkAddress(patient, 'patient', errors);
+
+    const claim = {
+        note,
+        patient,
+        doctor,
+        insurance,
+        relationship,
+        dxCodes,
+        // Lines saved before dx pointers existed point at the first diagnosis (SV107 is required)
+        lines: lines.map(line => ({ ...line, dx_pointers: line.dx_pointers.length > 0 ? line.dx_pointers : [1] })),
+        totalCents,
+    };
+    return { claim, errors: errors.map(error => ({ note_id: note.note_id, ...error })) };
+}
+
+// --- Check everything the file needs and collect the claims ---
+// Returns { claims, errors } with errors as [{ note_id?, field, message }].
+function prepareClaims({ notes, patientsById, doctorsById, settings }) {
+    const errors = checkBillingProvider(settings);
+    const fees = settings?.cpt_fees || {};
+    const claims = notes.map(note => {
+        const prepared = prepareClaim({
+            note,
+            patient: patientsById.get(note.patient_id),
+            doctor: doctorsById.get(note.signed_by || note.doctor_id) || null,
+            fees,
+        });
+        errors.push(...prepared.errors);
+        return prepared.claim;
+    });
+    return { claims, errors };
+}
+
+function addressSegments(address) {
+    return [
+        ['N3', cleanElement(address.address_line1, 55), cleanElement(address.address_line2, 55)],
+        ['N4', cleanElement(address.city, 30), cleanElement(address.state, 2), normalizePostalCode(address.postal_code)],
+    ];
+}
+
+function patientAddress(patient) {
+    return { ...patient, state: String(patient.state_province || '').trim().toUpperCase() };
+}
+
+function demographicSegment(person) {
+    return ['DMG', 'D8', compactDate(person.date_of_birth), GENDER_CODES[person.gender] || 'U'];
+}
+
+// --- Segments for one claim: subscriber (and patient) loops, the claim and its lines ---
+function claimSegments(claim, { nextHl, billingHl, placeOfService }) {
+    const { note, patient, doctor, insurance, relationship } = claim;
+    const isSelf = relationship === 'self';
+    const subscriber = isSelf ? patient : insurance.subscriber;
+    const segments = [];
+
+    // 2000B subscriber
+    const subscriberHl = nextHl();
+    segments.push(['HL', subscriberHl, billingHl, '22', isSelf ? '0' : '1']);
+    segments.push(['SBR', 'P', isSelf ? '18' : '', cleanElement(insurance.group_number, 50), '', '', '', '', '', insurance.claim_filing_indicator || DEFAULT_CLAIM_FILING_INDICATOR]);
+    segments.push(['NM1', 'IL', '1', cleanElement(subscriber.last_name, 60), cleanElement(subscriber.first_name, 35), cleanElement(subscriber.middle_initial, 1), '', '', 'MI', cleanElement(insurance.member_id, 80)]);
+    if (isSelf) {
+        segments.push(...addressSegments(patientAddress(patient)));
+        segments.push(demographicSegment(patient));
+    } else if (subscriber.date_of_birth) {
+        segments.push(demographicSegment(subscriber));
+    }
+    segments.push(['NM1', 'PR', '2', cleanElement(insurance.payer_name, 60), '', '', '', '', 'PI', cleanElement(insurance.payer_id, 80)]);
+
+    // 2000C patient, when the patient is a dependent of the subscriber
+    if (!isSelf) {
+        segments.push(['HL', nextHl(), subscriberHl, '23', '0']);
+        segments.push(['PAT', RELATIONSHIP_CODES[relationship]]);
+        segments.push(['NM1', 'QC', '1', cleanElement(patient.last_name, 60), cleanElement(patient.first_name, 35), cleanElement(patient.middle_initial, 1)]);
+        segments.push(...addressSegments(patientAddress(patient)));
+        segments.push(demographicSegment(patient));
+    }
+
+    // 2300 claim: provider signature on file, assigned, benefits assigned, release on file
+    segments.push(['CLM', patientControlNumber(note.note_id), formatAmount(claim.totalCents), '', '', [placeOfService, 'B', '1'], 'Y', 'A', 'Y', 'Y']);
+    segments.push(['HI', ...claim.dxCodes.map((code, index) => [index === 0 ? 'ABK' : 'ABF', code.replace('.', '')])]);
+
+    // 2310B rendering provider
+    const doctorName = splitPersonName(doctor.full_name);
+    segments.push(['NM1', '82', '1', cleanElement(doctorName.last, 60), cleanElement(doctorName.first, 35), '', '', '', 'XX', doctor.npi]);
+    if (doctor.taxonomy_code) {
+        segments.push(['PRV', 'PE', 'PXC', doctor.taxonomy_code]);
+    }
+
+    // 2400 service lines
+    const dateOfService = compactDate(note.created_at);
+    claim.lines.forEach((line, index) => {
+        segments.push(['LX', String(index + 1)]);
+        segments.push(['SV1', ['HC', line.code, ...line.modifiers], formatAmount(line.amountCents), 'UN', String(line.units), '', '', line.dx_pointers.map(String)]);
+        segments.push(['DTP', '472', 'D8', dateOfService]);
+    });
+    return segments;
+}
+
+// --- Build the interchange ---
+// controlNumber (1-999999999) is used for ISA13, GS06 and BHT03; usageIndicator is 'P' or 'T'.
+// Returns { segments, content } with content the file text, one segment per line.
+function build837P({ claims, settings, controlNumber, usageIndicator = 'P', createdAt = new Date() }) {
+    const info = settings.billing_info;
+    const clinicName = cleanElement(settings.clinic_name, 60);
+    const submitterId = cleanElement(info.submitter_id, 15);
+    const receiverId = cleanElement(info.receiver_id, 15);
+    const interchangeControlNumber = String(controlNumber).padStart(9, '0');
+    const isoStamp = createdAt.toISOString(); // e.g. 2026-10-19T16:51:53.537Z
+    const date = isoStamp.slice(0, 10).replace(/-/g, '');
+    const time = isoStamp.slice(11, 16).replace(':', '');
+
+    let hlCount = 0;
+    const nextHl = () => String(++hlCount);
+
+    const transaction = [
+        ['ST', '837', '0001', IMPLEMENTATION_GUIDE],
+        ['BHT', '0019', '00', interchangeControlNumber, date, time, 'CH'],
+        // 1000A submitter, 1000B receiver
+        ['NM1', '41', '2', clinicName, '', '', '', '', '46', submitterId],
+        ['PER', 'IC', cleanElement(info.contact_name || settings.clinic_name, 60), 'TE', info.contact_phone],
+        ['NM1', '40', '2', cleanElement(info.receiver_name, 60), '', '', '', '', '46', receiverId],
+    ];
+
+    // 2000A / 2010AA billing provider
+    const billingHl = nextHl();
+    transaction.push(['HL', billingHl, '', '20', '1']);
+    if (info.taxonomy_code) {
+        transaction.push(['PRV', 'BI', 'PXC', info.taxonomy_code]);
+    }
+    transaction.push(['NM1', '85', '2', clinicName, '', '', '', '', 'XX', info.npi]);
+    transaction.push(...addressSegments(info));
+    transaction.push(['REF', 'EI', info.tax_id]);
+
+    const placeOfService = info.place_of_service || DEFAULT_PLACE_OF_SERVICE;
+    for (const claim of claims) {
+        transaction.push(...claimSegments(claim, { nextHl, billingHl, placeOfService }));
+    }
+    transaction.push(['SE', String(transaction.length + 1), '0001']);
+
+    const segments = [
+        ['ISA', '00', ' '.repeat(10), '00', ' '.repeat(10), 'ZZ', submitterId.padEnd(15), 'ZZ', receiverId.padEnd(15), date.slice(2), time, '^', '00501', interchangeControlNumber, '0', usageIndicator, ':'],
+        ['GS', 'HC', submitterId, receiverId, date, time, String(controlNumber), 'X', IMPLEMENTATION_GUIDE],
+        ...transaction,
+        ['GE', '1', String(controlNumber)],
+        ['IEA', '1', interchangeControlNumber],
+    ];
+    return { segments, content: serializeSegments(segments) };
+}
+
+module.exports = {
+    patientControlNumber,
+    prepareClaims,
+    build837P,
+};
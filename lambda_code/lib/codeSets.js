@@ -0,0 +1,128 @@
+// ICD-10-CM and CPT code sets loaded from the files in lambda_code/codesets, for the
+// /codes lookups and for checking the codes saved on SOAP notes.
+//
+// codesets/icd10cm_order.txt uses the CMS "order file" layout (icd10cm_order_YYYY.txt from
+// the yearly ICD-10-CM release), so the full code set can be dropped in as is. CPT is
+// licensed by the AMA; codesets/cpt.tsv (code, billable, description) holds the codes
+// this clinic bills and is replaced with the clinic's licensed file the same way.
+//
+// The bundled files are starter sets, so a code missing from them may still be valid. Only
+// the sets named in COMPLETE_CODE_SETS (e.g. "icd10,cpt", once the full files are in place)
+// are trusted to reject a code for being missing; otherwise it is saved with a warning.
+const fs = require('fs');
+const path = require('path');
+
+const CODESET_DIR = path.join(__dirname, '..', 'codesets');
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// Order file columns: order number (1-5), code without the dot (7-13), 1 if valid for
+// HIPAA transactions / 0 for a category header (15), short (17-76) and long (78-) description
+function parseIcd10OrderFile(text) {
+    return text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => {
+        const rawCode = line.slice(6, 13).trim();
+        return {
+            code: rawCode.length > 3 ? `${rawCode.slice(0, 3)}.${rawCode.slice(3)}` : rawCode,
+            billable: line.slice(14, 15) === '1',
+            description: line.slice(77).trim() || line.slice(16, 76).trim(),
+        };
+    });
+}
+
+// Tab separated with a header row: code, billable (1/0), description
+function parseCptFile(text) {
+    return text.split(/\r?\n/).slice(1).filter(line => line.trim() !== '').map(line => {
+        const [code, billable, description] = line.split('\t');
+        return { code: code.trim(), billable: billable.trim() === '1', description: (description || '').trim() };
+    });
+}
+
+const CODE_SETS = {
+    icd10: { label: 'ICD-10-CM', file: 'icd10cm_order.txt', parse: parseIcd10OrderFile },
+    cpt: { label: 'CPT', file: 'cpt.tsv', parse: parseCptFile },
+};
+
+// Parsed once per Lambda container, on first use
+const loadedCodeSets = new Map();
+
+function searchKey(code) {
+    return code.replace('.', '').toUpperCase();
+}
+
+function getCodeSet(name) {
+    if (!loadedCodeSets.has(name)) {
+        const { file, parse } = CODE_SETS[name];
+        const entries = parse(fs.readFileSync(path.join(CODESET_DIR, file), 'utf8'))
+            .sort((a, b) => searchKey(a.code).localeCompare(searchKey(b.code)));
+        const byCode = new Map(entries.map(entry => [searchKey(entry.code), entry]));
+        console.log(`Loaded ${entries.length} ${CODE_SETS[name].label} codes from ${file}`);
+        loadedCodeSets.set(name, { entries, byCode });
+    }
+    return loadedCodeSets.get(name);
+}
+
+function lookupCode(name, code) {
+    return getCodeSet(name).byCode.get(searchKey(code)) || null;
+}
+
+function isCompleteCodeSet(name) {
+    return (process.env.COMPLETE_CODE_SETS || '').split(',').map(value => value.trim()).includes(name);
+}
+
+// --- Search by code prefix, then by description ---
+// "m54.5" matches M54.5, M54.50, ...; "low back" matches descriptions with words starting
+// "low" and "back". Code matches come first, each group in code order.
+function searchCodes(name, query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const { entries } = getCodeSet(name);
+    const codePrefix = searchKey(query.trim());
+    const terms = query.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+    const codeMatches = entries.filter(entry => searchKey(entry.code).startsWith(codePrefix));
+    const matched = new Set(codeMatches);
+    const descriptionMatches = terms.length === 0 ? [] : entries.filter(entry => {
+        if (matched.has(entry)) return false;
+        const words = entry.description.toLowerCase().split(/[^a-z0-9]+/);
+        return terms.every(term => words.some(word => word.startsWith(term)));
+    });
+    return [...codeMatches, ...descriptionMatches].slice(0, limit);
+}
+
+// --- Check the codes on a SOAP note against the code sets ---
+// Only the lists given are checked (a PUT may send one of them). Returns { errors, warnings },
+// both [{ field, message }]; a code missing from a set that isn't complete is a warning.
+function checkNoteCodes(dxCodes, billingCodes) {
+    const errors = [];
+    const warnings = [];
+    const reportMissing = (name, field, code) => {
+        if (isCompleteCodeSet(name)) {
+            errors.push({ field, message: `${code} is not in the ${CODE_SETS[name].label} code set` });
+        } else {
+            warnings.push({ field, message: `${code} is not in the bundled ${CODE_SETS[name].label} codes and was not checked` });
+        }
+    };
+    (dxCodes || []).forEach((code, index) => {
+        const entry = lookupCode('icd10', code);
+        if (!entry) {
+            reportMissing('icd10', `dx_codes[${index}]`, code);
+        } else if (!entry.billable) {
+            errors.push({ field: `dx_codes[${index}]`, message: `${code} (${entry.description}) is a category, not a billable code; choose a more specific code` });
+        }
+    });
+    (billingCodes || []).forEach((line, index) => {
+        const code = typeof line === 'string' ? line : line.code;
+        const entry = lookupCode('cpt', code);
+        if (!entry) {
+            reportMissing('cpt', `billing_codes[${index}].code`, code);
+        } else if (!entry.billable) {
+            errors.push({ field: `billing_codes[${index}].code`, message: `${code} (${entry.description}) is not a billable CPT code` });
+        }
+    });
+    return { errors, warnings };
+}
+
+module.exports = {
+    CODE_SETS,
+    lookupCode,
+    isCompleteCodeSet,
+    searchCodes,
+    checkNoteCodes,
+};
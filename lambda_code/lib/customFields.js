@@ -0,0 +1,18 @@
+// Clinic-defined custom fields: loading definitions from custom_form_fields.
+// The schema built from them lives in ../validation/customFields.js (shared with the forms).
+
+const CUSTOM_FIELD_COLUMNS = 'field_id, form_area, field_key, field_label, field_type, options, is_required, display_order, created_at, updated_at';
+
+// --- Definitions for one form area, in display order ---
+async function loadFieldDefinitions(client, formArea) {
+    const result = await client.query(
+        `SELECT ${CUSTOM_FIELD_COLUMNS} FROM custom_form_fields WHERE form_area = $1 ORDER BY display_order, field_label;`,
+        [formArea]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    CUSTOM_FIELD_COLUMNS,
+    loadFieldDefinitions,
+};
@@ -0,0 +1,268 @@
+// Database access: Secrets Manager credentials, the shared pg pool and tenant scoping
+const { SecretsManagerClient, GetSecretValueCommand, ListSecretsCommand } = require("@aws-sdk/client-secrets-manager");
+const { Pool } = require('pg');
+
+// AWS Secrets Manager configuration
+const clusterIdentifier = process.env.DB_CLUSTER_IDENTIFIER;
+const region = process.env.AWS_REGION;
+
+if (!clusterIdentifier || !region) {
+    console.error("Missing required environment variables: DB_CLUSTER_IDENTIFIER or AWS_REGION");
+    throw new Error("Missing required environment variables for DB connection."); // Fail fast on cold start
+}
+
+const secretsManagerClient = new SecretsManagerClient({ region: region });
+
+let pool; // Define pool variable in a scope accessible by the handler
+let cachedSecretArn = null; // Cache the secret ARN after finding it
+
+// --- Helper Function to Validate Schema Name ---
+// Basic validation: Allow alphanumeric characters and underscores, prevent SQL injection patterns
+function isValidSchemaName(schemaName) {
+    if (!schemaName) return false;
+    // Must start with a letter or underscore, followed by letters, numbers, or underscores.
+    // Adjust regex as needed based on your exact schema naming convention.
+    const schemaRegex = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+    return schemaRegex.test(schemaName);
+}
+
+// --- Helper Function to Set Search Path Safely ---
+async function setTenantSearchPath(client, tenantSchema) {
+    if (!isValidSchemaName(tenantSchema)) {
+        console.error(`[Client ${client?.processID || 'N/A'}] Invalid tenant schema name provided: ${tenantSchema}`);
+        throw new Error("Invalid tenant identifier.");
+    }
+    // Use pg's escapeIdentifier feature to safely quote the identifier
+    const query = `SET search_path TO ${client.escapeIdentifier(tenantSchema)}, public;`;
+    console.log(`[Client ${client?.processID || 'N/A'}] Executing search_path query: ${query}`); // Log the exact query being run
+    try {
+        await client.query(query);
+        console.log(`[Client ${client?.processID || 'N/A'}] Search path set to '${tenantSchema}, public' for this connection.`);
+    } catch (error) {
+        console.error(`[Client ${client?.processID || 'N/A'}] ERROR executing SET search_path for tenant ${tenantSchema}:`, error);
+        // Rethrow the error so the main handler catches it appropriately
+        throw error;
+    }
+}
+
+// --- Function to get database credentials from Secrets Manager ---
+async function getDbCredentials() {
+    const region = process.env.AWS_REGION; // Provided by Lambda runtime
+    const clusterIdentifier = process.env.DB_CLUSTER_IDENTIFIER;
+    const client = new SecretsManagerClient({ region });
+
+    if (!clusterIdentifier) {
+        console.error("DB_CLUSTER_IDENTIFIER environment variable not set.");
+        throw new Error("Could not retrieve database credentials.");
+    }
+    console.log(`DB_CLUSTER_IDENTIFIER: ${clusterIdentifier}`);
+    console.log(`AWS_REGION: ${region}`);
+
+    // Use cached ARN if available
+    if (cachedSecretArn) {
+        console.log(`Using cached Secret ARN: ${cachedSecretArn}`);
+    } else {
+        // --- ARN Discovery Logic ---
+        let secretArn = null;
+        try {
+            console.log(`Attempting to find secret ARN by listing secrets and checking tags for cluster identifier: ${clusterIdentifier}`);
+            let nextToken;
+            do {
+                const command = new ListSecretsCommand({
+                    IncludePlannedDeletion: false,
+                    MaxResults: 100,
+                    NextToken: nextToken,
+                    SortOrder: 'desc'
+                });
+                const response = await client.send(command);
+                console.log(`ListSecrets response: Found ${response.SecretList ? response.SecretList.length : 0} secrets on this page.`);
+
+                if (response.SecretList && response.SecretList.length > 0) {
+                    for (const secret of response.SecretList) {
+                        if (secret.Tags) {
+                            const clusterArnTag = secret.Tags.find(tag => tag.Key === 'aws:rds:primaryDBClusterArn');
+                            if (clusterArnTag && clusterArnTag.Value && clusterArnTag.Value.includes(clusterIdentifier)) {
+                                secretArn = secret.ARN;
+                                console.log(`Found secret ARN via tag match: ${secretArn} (Name: ${secret.Name}, Tag: ${clusterArnTag.Key}=${clusterArnTag.Value})`);
+                                break;
+                            }
+                        }
+                    }
+                    if (secretArn) break;
+                }
+                nextToken = response.NextToken;
+            } while (nextToken && !secretArn);
+
+            if (!secretArn) {
+                 console.log("Secret ARN not found via tags. Attempting legacy secret name pattern lookup as fallback...");
+                 // Heuristic: Extract last part of cluster ID for potential secret name match
+                 const likelySecretPrefix = `rds!cluster-${clusterIdentifier.split('-').pop()}`;
+                 console.log(`Constructed likely secret name prefix: ${likelySecretPrefix}`);
+                 try {
+                     const listCommand = new ListSecretsCommand({
+                         Filters: [{ Key: "name", Values: [likelySecretPrefix] }],
+                         MaxResults: 5 // Limit results for name search
+                     });
+                      console.log("Sending ListSecrets command with name filter (fallback):", likelySecretPrefix);
+                     const listResponse = await client.send(listCommand);
+                      console.log(`ListSecrets (fallback) response: Found ${listResponse.SecretList ? listResponse.SecretList.length : 0} secrets.`);
+
+                     if (listResponse.SecretList && listResponse.SecretList.length > 0) {
+                         // Potentially check tags here too if multiple matches
+                         secretArn = listResponse.SecretList[0].ARN;
+                         console.log(`Found potential secret ARN via name pattern fallback: ${secretArn} (Name: ${listResponse.SecretList[0].Name})`);
+                     } else {
+                         console.error("Could not find secret using legacy name pattern fallback either.");
+                         throw new Error(`Secret not found via tags or name pattern for cluster: ${clusterIdentifier}`);
+                     }
+                 } catch (fallbackError) {
+                     console.error("Error during legacy secret name pattern fallback:", fallbackError);
+                     throw new Error(`Failed to find secret ARN via tags or name pattern: ${fallbackError.message}`);
+                 }
+            }
+
+        } catch (error) {
+            console.error("Error during secret ARN discovery:", error);
+            // Avoid caching partial results or failures
+            cachedSecretArn = null;
+            throw new Error(`Could not retrieve secret ARN: ${error.message}`);
+        }
+
+         if (!secretArn) {
+             console.error("Secret ARN could not be determined after all attempts.");
+              cachedSecretArn = null; // Ensure no bad cache
+             throw new Error("Unable to determine the Secret ARN for the DB cluster.");
+         }
+
+        cachedSecretArn = secretArn; // Cache the found ARN
+        console.log(`Secret ARN determined and cached: ${cachedSecretArn}`);
+    } // End ARN Discovery
+
+    // --- Retrieve Secret Value ---
+    try {
+        const command = new GetSecretValueCommand({ SecretId: cachedSecretArn });
+        const data = await client.send(command);
+
+        if ('SecretString' in data) {
+            const secret = JSON.parse(data.SecretString);
+            // Prefer writer instance endpoint from secret if available
+            console.log(`DEBUG: Value of process.env.DB_CLUSTER_ENDPOINT inside getDbCredentials: ${process.env.DB_CLUSTER_ENDPOINT}`); // Use DB_CLUSTER_ENDPOINT
+            const host = secret.host || process.env.DB_CLUSTER_ENDPOINT; // Use DB_CLUSTER_ENDPOINT
+            if (!host) {
+                console.error("DB endpoint address is missing in secret and DB_CLUSTER_ENDPOINT env var."); // Update error message
+                throw new Error("DB endpoint address not found.");
+            }
+            console.log(`Using DB host: ${host}`);
+            return {
+                host: host,
+                port: secret.port || 5432,
+                user: secret.username,
+                password: secret.password,
+                database: secret.dbname || process.env.DB_NAME || 'postgres', // Use dbname from secret, fallback
+            };
+        } else {
+            console.error("Secret value is binary, not string. Handling not implemented.");
+            throw new Error("Cannot handle binary secret value.");
+        }
+    } catch (error) {
+        console.error("Error retrieving secret value:", error);
+         // If retrieving fails, invalidate the cached ARN as it might be wrong/stale
+         if (error.name === 'ResourceNotFoundException' || error.name === 'AccessDeniedException') {
+             console.log("Invalidating potentially incorrect cached Secret ARN due to retrieval error.");
+             cachedSecretArn = null;
+         }
+        throw new Error(`Could not retrieve database credentials: ${error.message}`);
+    }
+}
+
+// --- Initialize the database connection pool ---
+async function initializePool() {
+    // Check if pool exists and has a valid connect method (basic health check)
+    if (pool && typeof pool.connect === 'function') {
+        console.log("Database pool already initialized and seems valid.");
+        return;
+    }
+     if (pool) {
+         console.warn("Existing pool object found but seems invalid. Attempting re-initialization.");
+         // Attempt to end the potentially broken pool
+         try { await pool.end(); } catch (endError) { console.warn("Error ending previous invalid pool:", endError); }
+         pool = null; // Clear the invalid pool object
+     }
+
+    try {
+        console.log("Initializing database connection pool...");
+        const dbCredentials = await getDbCredentials();
+
+        // Log the connection parameters being used
+        console.log(`POOL_INIT: Connecting with host=${dbCredentials.host}, port=${dbCredentials.port}, database=${dbCredentials.database}, user=${dbCredentials.user}`);
+
+        pool = new Pool({
+            host: dbCredentials.host,
+            port: dbCredentials.port,
+            user: dbCredentials.user,
+            password: dbCredentials.password,
+            database: dbCredentials.database,
+            ssl: {
+                rejectUnauthorized: false // Set to true and provide CA cert in production if needed
+            },
+            // Pool configuration (adjust as needed)
+            max: process.env.DB_POOL_MAX ? parseInt(process.env.DB_POOL_MAX, 10) : 5, // Example: Env var for pool size
+            idleTimeoutMillis: 30000, // Close idle clients after 30s
+            connectionTimeoutMillis: 10000, // 10s connection timeout
+        });
+
+        // Add error listener to the pool
+         pool.on('error', (err, client) => {
+             console.error('Unexpected error on idle client in pool', err);
+             // Optional: Implement logic to remove the faulty client or re-initialize pool
+             // For simplicity now, just logging. Consider more robust handling.
+         });
+
+        // Test connection on initialization
+        const client = await pool.connect();
+        try {
+            console.log("Testing database connection...");
+            const res = await client.query('SELECT NOW()');
+            console.log("Database connection test successful:", res.rows[0]);
+        } finally {
+            client.release(); // Always release the client
+        }
+        console.log("Database pool initialized successfully.");
+
+    } catch (error) {
+        console.error("FATAL: Failed to initialize database pool:", error);
+        // Prevent using a broken pool
+        if (pool) {
+             try { await pool.end(); } catch (endError) { console.warn("Error ending partially initialized pool:", endError); }
+        }
+        pool = null;
+        throw error; // Re-throw to signal initialization failure
+    }
+}
+
+// --- Accessor for the shared pool (initialized lazily by the handler) ---
+function getPool() {
+    return pool;
+}
+
+// --- Helper Function to Run Queries in a Transaction ---
+// Commits when fn resolves, rolls back and rethrows when it throws.
+async function withTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        try { await client.query('ROLLBACK'); } catch (rollbackError) { console.warn("Rollback failed:", rollbackError); }
+        throw error;
+    }
+}
+
+module.exports = {
+    isValidSchemaName,
+    setTenantSearchPath,
+    initializePool,
+    getPool,
+    withTransaction,
+};
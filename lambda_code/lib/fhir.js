@@ -0,0 +1,252 @@
+// FHIR R4 resources built from the tenant tables, for the /fhir read and $everything routes.
+//
+//   patients row        -> Patient
+//   doctors row         -> Practitioner
+//   notes row (+addenda) -> Composition (one section per SOAP part)
+//   notes.dx_codes[n]   -> Condition '<note_id>-dx<n+1>' (encounter diagnosis, ICD-10-CM)
+//
+// Conditions have no table of their own: their ids are derived from the note and the
+// diagnosis rank, so the same code on the same note always maps to the same resource.
+const { toDateString, escapeHtml } = require('./superbill');
+const { lookupCode } = require('./codeSets');
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+const SYSTEMS = {
+    npi: 'http://hl7.org/fhir/sid/us-npi',
+    icd10cm: 'http://hl7.org/fhir/sid/icd-10-cm',
+    loinc: 'http://loinc.org',
+    uri: 'urn:ietf:rfc:3986',
+    conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+    conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+    conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+};
+
+// LOINC document and section codes for a SOAP progress note
+const PROGRESS_NOTE_TYPE = { system: SYSTEMS.loinc, code: '11506-3', display: 'Progress note' };
+const SOAP_SECTIONS = [
+    { column: 'subjective_note', title: 'Subjective', code: '61150-9', display: 'Subjective Narrative' },
+    { column: 'objective_note', title: 'Objective', code: '61149-1', display: 'Objective Narrative' },
+    { column: 'assessment_note', title: 'Assessment', code: '51848-0', display: 'Evaluation note' },
+    { column: 'plan_note', title: 'Plan', code: '18776-5', display: 'Plan of care note' },
+];
+const DIAGNOSES_SECTION = { title: 'Diagnoses', code: '29548-5', display: 'Diagnosis Narrative' };
+
+const CONDITION_ID_REGEX = /^([0-9a-f-]{36})-dx([1-9][0-9]?)$/i;
+
+// --- Helpers ---
+
+// FHIR JSON has no nulls, empty strings, empty arrays or empty objects: drop them
+function compact(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(compact).filter(item => item !== undefined);
+        return items.length > 0 ? items : undefined;
+    }
+    if (value instanceof Date) return value;
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value)
+            .map(([key, item]) => [key, compact(item)])
+            .filter(([, item]) => item !== undefined);
+        return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+    if (value === null || value === undefined) return undefined;
+    if (typeof value === 'string' && value.trim() === '') return undefined;
+    return value;
+}
+
+function toInstant(value) {
+    if (!value) return undefined;
+    return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+function reference(resourceType, id) {
+    return id ? { reference: `${resourceType}/${id}` } : undefined;
+}
+
+// Section narrative: plain text kept as is, line breaks preserved
+function narrative(text) {
+    const body = escapeHtml(text).replace(/\r?\n/g, '<br/>');
+    return { status: 'generated', div: `<div xmlns="http://www.w3.org/1999/xhtml">${body}</div>` };
+}
+
+function conditionId(noteId, index) {
+    return `${noteId}-dx${index + 1}`;
+}
+
+// '<note_id>-dx<n>' -> { noteId, index }, or null for anything else
+function parseConditionId(id) {
+    const match = CONDITION_ID_REGEX.exec(id || '');
+    return match ? { noteId: match[1].toLowerCase(), index: Number(match[2]) - 1 } : null;
+}
+
+// Only an address with at least one filled-in part is listed
+function toAddress(patient) {
+    const address = compact({
+        line: [patient.address_line1, patient.address_line2],
+        city: patient.city,
+        state: patient.state_province,
+        postalCode: patient.postal_code,
+        country: patient.country,
+    });
+    return address ? { use: 'home', ...address } : null;
+}
+
+// --- patients row -> Patient ---
+function toPatient(patient) {
+    return compact({
+        resourceType: 'Patient',
+        id: patient.patient_id,
+        meta: { lastUpdated: toInstant(patient.updated_at) },
+        identifier: [{ system: SYSTEMS.uri, value: `urn:uuid:${patient.patient_id}` }],
+        active: !patient.archived_at,
+        name: [
+            {
+                use: 'official',
+                family: patient.last_name,
+                given: [patient.first_name, patient.middle_initial],
+            },
+            patient.preferred_name ? { use: 'usual', given: [patient.preferred_name] } : null,
+        ],
+        telecom: [
+            patient.phone_number ? { system: 'phone', value: patient.phone_number, use: 'home' } : null,
+            patient.email ? { system: 'email', value: patient.email } : null,
+        ],
+        gender: patient.gender || undefined, // stored with the FHIR administrative-gender codes
+        birthDate: toDateString(patient.date_of_birth),
+        address: [toAddress(patient)],
+        // A duplicate chart merged into another (POST /patients/:id/merge)
+        link: patient.merged_into_patient_id
+            ? [{ other: reference('Patient', patient.merged_into_patient_id), type: 'replaced-by' }]
+            : undefined,
+    });
+}
+
+// --- doctors row -> Practitioner ---
+function toPractitioner(doctor) {
+    return compact({
+        resourceType: 'Practitioner',
+        id: doctor.doctor_id,
+        meta: { lastUpdated: toInstant(doctor.updated_at) },
+        identifier: [doctor.npi ? { system: SYSTEMS.npi, value: doctor.npi } : null],
+        active: doctor.is_active !== false,
+        name: [{ text: doctor.full_name }],
+        qualification: [doctor.credentials ? { code: { text: doctor.credentials } } : null],
+    });
+}
+
+// --- notes.dx_codes -> Condition per code ---
+function toConditions(note) {
+    return (note.dx_codes || []).map((code, index) => {
+        const entry = lookupCode('icd10', code);
+        return compact({
+            resourceType: 'Condition',
+            id: conditionId(note.note_id, index),
+            meta: { lastUpdated: toInstant(note.updated_at) },
+            clinicalStatus: { coding: [{ system: SYSTEMS.conditionClinical, code: 'active' }] },
+            verificationStatus: { coding: [{ system: SYSTEMS.conditionVerification, code: 'confirmed' }] },
+            category: [{ coding: [{ system: SYSTEMS.conditionCategory, code: 'encounter-diagnosis', display: 'Encounter Diagnosis' }] }],
+            code: {
+                coding: [{ system: SYSTEMS.icd10cm, code, display: entry?.description }],
+                text: entry?.description || code,
+            },
+            subject: reference('Patient', note.patient_id),
+            recordedDate: toInstant(note.created_at),
+            recorder: reference('Practitioner', note.doctor_id),
+        });
+    });
+}
+
+// --- notes row -> Composition ---
+// Draft notes are 'preliminary', signed notes 'final', and signed notes with addenda
+// 'amended'. The signer is the legal attester; addenda are listed after the SOAP sections.
+function toComposition(note, addenda = []) {
+    let status = note.signed_status === 'Signed' ? 'final' : 'preliminary';
+    if (status === 'final' && addenda.length > 0) status = 'amended';
+
+    const dxCodes = note.dx_codes || [];
+    const sections = SOAP_SECTIONS.map(section => (note[section.column] || '').trim() === '' ? null : {
+        title: section.title,
+        code: { coding: [{ system: SYSTEMS.loinc, code: section.code, display: section.display }] },
+        text: narrative(note[section.column]),
+    });
+    if (dxCodes.length > 0) {
+        sections.push({
+            title: DIAGNOSES_SECTION.title,
+            code: { coding: [{ system: SYSTEMS.loinc, code: DIAGNOSES_SECTION.code, display: DIAGNOSES_SECTION.display }] },
+            text: narrative(dxCodes.join('\n')),
+            entry: dxCodes.map((code, index) => reference('Condition', conditionId(note.note_id, index))),
+        });
+    }
+    if (addenda.length > 0) {
+        sections.push({
+            title: 'Addenda',
+            section: addenda.map(addendum => ({
+                title: addendum.reason ? `Addendum: ${addendum.reason}` : 'Addendum',
+                author: [reference('Practitioner', addendum.doctor_id)],
+                text: narrative(addendum.addendum_text),
+            })),
+        });
+    }
+
+    return compact({
+        resourceType: 'Composition',
+        id: note.note_id,
+        meta: { lastUpdated: toInstant(note.updated_at) },
+        status,
+        type: { coding: [PROGRESS_NOTE_TYPE], text: note.note_type || 'SOAP note' },
+        subject: reference('Patient', note.patient_id),
+        date: toInstant(note.signed_at || note.updated_at || note.created_at),
+        // author is required; a note whose doctor was removed keeps a display-only author
+        author: [reference('Practitioner', note.doctor_id) || { display: 'Unknown author' }],
+        title: 'SOAP Note',
+        attester: note.signed_status === 'Signed' ? [{
+            mode: 'legal',
+            time: toInstant(note.signed_at),
+            party: reference('Practitioner', note.signed_by),
+        }] : null,
+        section: sections,
+    });
+}
+
+// --- Bundle for Patient/$everything ---
+// matches are what was asked for (counted in total), includes the resources they refer to.
+// baseUrl (e.g. 'https://api.example.com/prod/fhir') gives each entry its fullUrl; without
+// it the entries are listed without one.
+function toSearchsetBundle({ matches, includes = [] }, { baseUrl, timestamp = new Date() } = {}) {
+    const toEntry = (resource, mode) => ({
+        fullUrl: baseUrl ? `${baseUrl}/${resource.resourceType}/${resource.id}` : undefined,
+        resource,
+        search: { mode },
+    });
+    return compact({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        timestamp: toInstant(timestamp),
+        total: matches.length,
+        entry: [
+            ...matches.map(resource => toEntry(resource, 'match')),
+            ...includes.map(resource => toEntry(resource, 'include')),
+        ],
+    });
+}
+
+// --- { field, message } problems -> OperationOutcome ---
+function toOperationOutcome(message, problems = [], issueCode = 'processing') {
+    const issues = problems.length > 0
+        ? problems.map(problem => ({ severity: 'error', code: problem.code || issueCode, diagnostics: problem.message, expression: [problem.field] }))
+        : [{ severity: 'error', code: issueCode, diagnostics: message }];
+    return compact({ resourceType: 'OperationOutcome', issue: issues });
+}
+
+module.exports = {
+    FHIR_CONTENT_TYPE,
+    SYSTEMS,
+    conditionId,
+    parseConditionId,
+    toPatient,
+    toPractitioner,
+    toConditions,
+    toComposition,
+    toSearchsetBundle,
+    toOperationOutcome,
+};
@@ -0,0 +1,267 @@
+// Structural check of the FHIR R4 JSON built in lib/fhir.js, run on every /fhir response
+// before it leaves the Lambda.
+//
+// This isn't a full StructureDefinition validator: it covers the resources and elements we
+// emit. Every resource is checked for the FHIR JSON rules (no nulls, empty strings, empty
+// arrays or empty objects; arrays where the element repeats), primitive formats, required
+// elements, required value sets, references and narrative. Returns [{ field, message, code }]
+// with field as a FHIRPath-style expression (e.g. 'Bundle.entry[2].resource.status').
+
+const PRIMITIVE_PATTERNS = {
+    id: /^[A-Za-z0-9\-.]{1,64}$/,
+    code: /^[^\s]+( [^\s]+)*$/,
+    uri: /^\S+$/,
+    date: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01]))?)?$/,
+    dateTime: /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12][0-9]|3[01])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|[+-]((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/,
+    instant: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|[+-]((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/,
+};
+
+const REFERENCE_REGEX = /^[A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/;
+const XHTML_DIV_REGEX = /^<div xmlns="http:\/\/www\.w3\.org\/1999\/xhtml">[\s\S]*<\/div>$/;
+
+// Value sets with required binding for the elements we emit
+const VALUE_SETS = {
+    administrativeGender: ['male', 'female', 'other', 'unknown'],
+    nameUse: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+    contactPointSystem: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+    contactPointUse: ['home', 'work', 'temp', 'old', 'mobile'],
+    addressUse: ['home', 'work', 'temp', 'old', 'billing'],
+    linkType: ['replaced-by', 'replaces', 'refer', 'seealso'],
+    compositionStatus: ['preliminary', 'final', 'amended', 'entered-in-error'],
+    attestationMode: ['personal', 'professional', 'legal', 'official'],
+    narrativeStatus: ['generated', 'extensions', 'additional', 'empty'],
+    bundleType: ['document', 'message', 'transaction', 'transaction-response', 'batch', 'batch-response', 'history', 'searchset', 'collection'],
+    searchEntryMode: ['match', 'include', 'outcome'],
+    issueSeverity: ['fatal', 'error', 'warning', 'information'],
+};
+
+// Shared element rules, by datatype
+const CODING = [
+    { path: 'coding[].system', type: 'uri' },
+    { path: 'coding[].code', type: 'code' },
+    { path: 'coding[].display', type: 'string' },
+    { path: 'text', type: 'string' },
+];
+const META = [{ path: 'meta.lastUpdated', type: 'instant' }];
+const IDENTIFIER = [{ path: 'identifier[].system', type: 'uri' }, { path: 'identifier[].value', type: 'string' }];
+
+// Rules per resource type. 'a[].b' walks every item of a; required on an array means at
+// least one item. 'codeable' applies the CodeableConcept rules under that element.
+const RESOURCE_RULES = {
+    Patient: [
+        { path: 'id', type: 'id', required: true }, ...META, ...IDENTIFIER,
+        { path: 'active', type: 'boolean' },
+        { path: 'name[].use', type: 'code', valueSet: 'nameUse' },
+        { path: 'name[].family', type: 'string' },
+        { path: 'name[].given[]', type: 'string' },
+        { path: 'telecom[].system', type: 'code', valueSet: 'contactPointSystem' },
+        { path: 'telecom[].value', type: 'string' },
+        { path: 'telecom[].use', type: 'code', valueSet: 'contactPointUse' },
+        { path: 'gender', type: 'code', valueSet: 'administrativeGender' },
+        { path: 'birthDate', type: 'date' },
+        { path: 'address[].use', type: 'code', valueSet: 'addressUse' },
+        { path: 'address[].line[]', type: 'string' },
+        { path: 'address[].city', type: 'string' },
+        { path: 'address[].state', type: 'string' },
+        { path: 'address[].postalCode', type: 'string' },
+        { path: 'address[].country', type: 'string' },
+        { path: 'link[].other', type: 'Reference', required: true },
+        { path: 'link[].type', type: 'code', valueSet: 'linkType', required: true },
+    ],
+    Practitioner: [
+        { path: 'id', type: 'id', required: true }, ...META, ...IDENTIFIER,
+        { path: 'active', type: 'boolean' },
+        { path: 'name[].text', type: 'string' },
+        { path: 'qualification[].code', codeable: true, required: true },
+    ],
+    Condition: [
+        { path: 'id', type: 'id', required: true }, ...META,
+        { path: 'clinicalStatus', codeable: true },
+        { path: 'verificationStatus', codeable: true },
+        { path: 'category[]', codeable: true },
+        { path: 'code', codeable: true },
+        { path: 'subject', type: 'Reference', required: true },
+        { path: 'recordedDate', type: 'dateTime' },
+        { path: 'recorder', type: 'Reference' },
+    ],
+    Composition: [
+        { path: 'id', type: 'id', required: true }, ...META,
+        { path: 'status', type: 'code', valueSet: 'compositionStatus', required: true },
+        { path: 'type', codeable: true, required: true },
+        { path: 'subject', type: 'Reference' },
+        { path: 'date', type: 'dateTime', required: true },
+        { path: 'author[]', type: 'Reference', required: true },
+        { path: 'title', type: 'string', required: true },
+        { path: 'attester[].mode', type: 'code', valueSet: 'attestationMode', required: true },
+        { path: 'attester[].time', type: 'dateTime' },
+        { path: 'attester[].party', type: 'Reference' },
+    ],
+    Bundle: [
+        { path: 'type', type: 'code', valueSet: 'bundleType', required: true },
+        { path: 'timestamp', type: 'instant' },
+        { path: 'total', type: 'unsignedInt' },
+        { path: 'entry[].fullUrl', type: 'uri' },
+        { path: 'entry[].search.mode', type: 'code', valueSet: 'searchEntryMode' },
+        { path: 'entry[].resource', type: 'Resource' },
+    ],
+    OperationOutcome: [
+        { path: 'issue[]', required: true },
+        { path: 'issue[].severity', type: 'code', valueSet: 'issueSeverity', required: true },
+        { path: 'issue[].code', type: 'code', required: true },
+        { path: 'issue[].diagnostics', type: 'string' },
+        { path: 'issue[].expression[]', type: 'string' },
+    ],
+};
+
+// --- FHIR JSON rules that hold for every element ---
+function checkJsonRepresentation(value, field, problems) {
+    if (value === null) {
+        problems.push({ field, code: 'structure', message: 'must be omitted rather than null' });
+    } else if (Array.isArray(value)) {
+        if (value.length === 0) problems.push({ field, code: 'structure', message: 'must be omitted rather than an empty array' });
+        value.forEach((item, index) => checkJsonRepresentation(item, `${field}[${index}]`, problems));
+    } else if (typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) problems.push({ field, code: 'structure', message: 'must be omitted rather than an empty object' });
+        // A Bundle entry's resource is checked on its own when its rule is reached
+        keys.filter(key => !(key === 'resource' && value[key]?.resourceType))
+            .forEach(key => checkJsonRepresentation(value[key], `${field}.${key}`, problems));
+    } else if (typeof value === 'string' && value.trim() === '') {
+        problems.push({ field, code: 'structure', message: 'must be omitted rather than an empty string' });
+    }
+}
+
+// --- Walk 'a[].b.c[]' to every { value, field } it reaches ---
+// Repeating elements must be arrays and single ones must not be; mismatches are reported.
+function collect(nodes, segments, problems) {
+    return segments.reduce((current, segment) => {
+        const repeats = segment.endsWith('[]');
+        const key = repeats ? segment.slice(0, -2) : segment;
+        const next = [];
+        current.forEach(({ value, field }) => {
+            if (!value || typeof value !== 'object' || value[key] === undefined) return;
+            const child = value[key];
+            const childField = `${field}.${key}`;
+            if (repeats && !Array.isArray(child)) {
+                problems.push({ field: childField, code: 'structure', message: 'must be an array' });
+            } else if (!repeats && Array.isArray(child)) {
+                problems.push({ field: childField, code: 'structure', message: 'must not be an array' });
+            } else if (repeats) {
+                child.forEach((item, index) => next.push({ value: item, field: `${childField}[${index}]` }));
+            } else {
+                next.push({ value: child, field: childField });
+            }
+        });
+        return next;
+    }, nodes);
+}
+
+function checkType(value, field, type, problems) {
+    if (type === 'string' || PRIMITIVE_PATTERNS[type]) {
+        if (typeof value !== 'string') {
+            problems.push({ field, code: 'value', message: `must be a ${type} (JSON string)` });
+        } else if (PRIMITIVE_PATTERNS[type] && !PRIMITIVE_PATTERNS[type].test(value)) {
+            problems.push({ field, code: 'value', message: `'${value}' is not a valid ${type}` });
+        }
+    } else if (type === 'boolean' && typeof value !== 'boolean') {
+        problems.push({ field, code: 'value', message: 'must be a boolean' });
+    } else if (type === 'unsignedInt' && !(Number.isInteger(value) && value >= 0)) {
+        problems.push({ field, code: 'value', message: 'must be a non-negative integer' });
+    } else if (type === 'Reference') {
+        if (typeof value !== 'object' || (value.reference === undefined && value.display === undefined)) {
+            problems.push({ field, code: 'required', message: 'must have a reference or a display' });
+        } else if (value.reference !== undefined && !REFERENCE_REGEX.test(value.reference)) {
+            problems.push({ field: `${field}.reference`, code: 'value', message: `'${value.reference}' is not a '<ResourceType>/<id>' reference` });
+        }
+    } else if (type === 'Resource') {
+        problems.push(...validateResource(value, field));
+    }
+}
+
+function applyRules(resource, field, rules, problems) {
+    rules.forEach(rule => {
+        const segments = rule.path.split('.');
+        const parents = collect([{ value: resource, field }], segments.slice(0, -1), problems);
+        const leaf = segments[segments.length - 1];
+        const leafKey = leaf.replace(/\[\]$/, '');
+        if (rule.required) {
+            parents.filter(parent => parent.value?.[leafKey] === undefined)
+                .forEach(parent => problems.push({ field: `${parent.field}.${leafKey}`, code: 'required', message: 'is required' }));
+        }
+        collect(parents, [leaf], problems).forEach(({ value, field: valueField }) => {
+            if (rule.codeable) {
+                applyRules(value, valueField, CODING, problems);
+                if (typeof value === 'object' && value.coding === undefined && value.text === undefined) {
+                    problems.push({ field: valueField, code: 'required', message: 'must have a coding or text' });
+                }
+            }
+            if (rule.type) checkType(value, valueField, rule.type, problems);
+            if (rule.valueSet && typeof value === 'string' && !VALUE_SETS[rule.valueSet].includes(value)) {
+                problems.push({ field: valueField, code: 'code-invalid', message: `'${value}' is not one of ${VALUE_SETS[rule.valueSet].join(', ')}` });
+            }
+        });
+    });
+}
+
+// --- Composition.section: nested sections, narrative and references ---
+// cmp-1/cmp-2: a section has text, entries or sub-sections.
+function checkSections(sections, field, problems) {
+    if (!Array.isArray(sections)) return;
+    sections.forEach((section, index) => {
+        const sectionField = `${field}[${index}]`;
+        if (section.text === undefined && section.entry === undefined && section.section === undefined) {
+            problems.push({ field: sectionField, code: 'invariant', message: 'must have text, entry or section (cmp-1)' });
+        }
+        applyRules(section, sectionField, [
+            { path: 'title', type: 'string' },
+            { path: 'code', codeable: true },
+            { path: 'author[]', type: 'Reference' },
+            { path: 'text.status', type: 'code', valueSet: 'narrativeStatus', required: true },
+            { path: 'text.div', type: 'string', required: true },
+            { path: 'entry[]', type: 'Reference' },
+        ], problems);
+        if (typeof section.text?.div === 'string' && !XHTML_DIV_REGEX.test(section.text.div)) {
+            problems.push({ field: `${sectionField}.text.div`, code: 'value', message: 'must be a <div> in the XHTML namespace' });
+        }
+        checkSections(section.section, `${sectionField}.section`, problems);
+    });
+}
+
+// --- Validate one resource (and, for a Bundle, every entry) ---
+function validateResource(resource, field) {
+    const problems = [];
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+        return [{ field: field || 'Resource', code: 'structure', message: 'must be a JSON object' }];
+    }
+    const rules = RESOURCE_RULES[resource.resourceType];
+    const root = field || resource.resourceType || 'Resource';
+    if (!rules) {
+        return [{ field: `${root}.resourceType`, code: 'not-supported', message: `'${resource.resourceType}' is not a resource type this server produces` }];
+    }
+
+    checkJsonRepresentation(resource, root, problems);
+    applyRules(resource, root, rules, problems);
+
+    if (resource.resourceType === 'Composition') {
+        checkSections(resource.section, `${root}.section`, problems);
+    }
+    if (resource.resourceType === 'Bundle') {
+        // bdl-1: total only when a search or history; bdl-7: fullUrl unique within the Bundle
+        if (resource.total !== undefined && !['searchset', 'history'].includes(resource.type)) {
+            problems.push({ field: `${root}.total`, code: 'invariant', message: 'is only allowed on searchset and history bundles (bdl-1)' });
+        }
+        const seen = new Set();
+        (Array.isArray(resource.entry) ? resource.entry : []).forEach((entry, index) => {
+            if (!entry.fullUrl) return;
+            if (seen.has(entry.fullUrl)) {
+                problems.push({ field: `${root}.entry[${index}].fullUrl`, code: 'invariant', message: `'${entry.fullUrl}' appears more than once (bdl-7)` });
+            }
+            seen.add(entry.fullUrl);
+        });
+    }
+    return problems;
+}
+
+module.exports = {
+    validateResource,
+};
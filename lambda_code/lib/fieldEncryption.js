@@ -0,0 +1,413 @@
+// Field-level envelope encryption of PHI columns. Every tenant has its own data keys in
+// its encryption_keys table, stored wrapped by the master key of lib/keyProviders.js. A
+// column listed in ENCRYPTED_TABLES holds
+//   enc:v1:<key_id>:<t|j>:<base64 of IV, GCM tag and ciphertext>
+// where 't' marks a text value and 'j' a JSON value (a JSONB column holds the envelope as
+// a JSON string).
+//
+// Routes don't deal with any of this. tenantMiddleware gives them a client wrapped by
+// withFieldEncryption, which encrypts the listed columns in INSERT ... VALUES (...) and
+// UPDATE ... SET column = $n statements, fills in their blind indexes, and decrypts the
+// listed columns in every row it returns. A statement that writes a listed column any other
+// way is refused rather than run with the value in plaintext. Values written before
+// encryption was enabled are read as they are until key rotation (lib/keyRotation.js)
+// rewrites them.
+//
+// Equality search on an encrypted identifier goes through its blind index: an HMAC of the
+// normalized value under the tenant's blind-index key, stored in its own column.
+const crypto = require('crypto');
+const { getPool, setTenantSearchPath } = require('./db');
+const { isFieldEncryptionEnabled, getKeyProvider } = require('./keyProviders');
+const { seal, open } = require('./aesGcm');
+
+const ENVELOPE_PREFIX = 'enc:v1:';
+const ENVELOPE_REGEX = /^enc:v1:(\d+):([tj]):([A-Za-z0-9+/]+={0,2})$/;
+// Unwrapped keys are reused for this long, so a rotation reaches every container within it
+const KEY_RING_TTL_MS = 5 * 60 * 1000;
+const BLIND_INDEX_HEX_LENGTH = 32;
+
+// Reduce a phone number to its digits, dropping a leading US country code
+// so "(555) 123-4567", "555.123.4567" and "+1 555 123 4567" all compare equal.
+function normalizePhoneNumber(phone) {
+    if (!phone) return '';
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+// Encrypted columns per table ('text' or 'json'). Revision snapshots are whole copies of
+// patient and note rows, so they are encrypted too, as are addenda and encounter transcripts.
+const ENCRYPTED_TABLES = {
+    patients: {
+        primaryKey: 'patient_id',
+        columns: { email: 'text', phone_number: 'text', custom_data: 'json' },
+    },
+    notes: {
+        primaryKey: 'note_id',
+        columns: { subjective_note: 'text', objective_note: 'text', assessment_note: 'text', plan_note: 'text' },
+    },
+    revisions: {
+        primaryKey: 'revision_id',
+        columns: { data: 'json' },
+    },
+    note_addenda: {
+        primaryKey: 'addendum_id',
+        columns: { addendum_text: 'text' },
+    },
+    encounter_recordings: {
+        primaryKey: 'recording_id',
+        columns: { transcript_text: 'text', transcript_segments: 'json' },
+    },
+};
+
+// Blind index columns, each computed from one encrypted column of the same table.
+// An empty normalized value is stored as NULL. email_bidx carries the UNIQUE that
+// patients.email had, so email is compared exactly as that constraint compared it.
+const BLIND_INDEXES = {
+    patients: {
+        email_bidx: { source: 'email', normalize: value => value.trim() },
+        phone_number_bidx: { source: 'phone_number', normalize: normalizePhoneNumber },
+        phone_last4_bidx: { source: 'phone_number', normalize: value => normalizePhoneNumber(value).slice(-4) },
+        phone_last7_bidx: { source: 'phone_number', normalize: value => normalizePhoneNumber(value).slice(-7) },
+    },
+};
+
+// Result columns that may hold envelopes. Routes select encrypted columns under their own
+// names, so a row field is only decrypted when some table encrypts a column of that name;
+// an envelope-looking value typed into any other column stays the text it is.
+const ENCRYPTED_COLUMN_NAMES = new Set(
+    Object.values(ENCRYPTED_TABLES).flatMap(({ columns }) => Object.keys(columns))
+);
+
+function isEncryptedColumn(table, column) {
+    return isFieldEncryptionEnabled() && Boolean(ENCRYPTED_TABLES[table]?.columns[column]);
+}
+
+// --- Tenant key rings ---
+// tenantSchema -> { loadedAt, activeKeyId, dataKeys: Map<key_id, Buffer>, blindIndexKey }
+const keyRings = new Map();
+
+async function loadKeyRing(client, tenantSchema) {
+    const result = await client.query(`
+        SELECT key_id, purpose, status, key_provider, master_key_id, wrapped_key
+        FROM encryption_keys ORDER BY key_id;
+    `);
+    const ring = { loadedAt: Date.now(), activeKeyId: null, dataKeys: new Map(), blindIndexKey: null };
+    for (const row of result.rows) {
+        const plaintextKey = await getKeyProvider(row.key_provider).unwrapDataKey(
+            { wrappedKey: row.wrapped_key, masterKeyId: row.master_key_id },
+            { tenantSchema }
+        );
+        if (row.purpose === 'blind_index') {
+            if (row.status === 'active') ring.blindIndexKey = plaintextKey;
+        } else {
+            ring.dataKeys.set(row.key_id, plaintextKey);
+            if (row.status === 'active') ring.activeKeyId = row.key_id;
+        }
+    }
+    keyRings.set(tenantSchema, ring);
+    console.log(`Loaded ${ring.dataKeys.size} data keys for tenant ${tenantSchema} (active: ${ring.activeKeyId ?? 'none'})`);
+    return ring;
+}
+
+// Cached ring, reloaded when it is old or lacks the key a value was encrypted with
+async function getKeyRing(client, tenantSchema, keyId) {
+    const ring = keyRings.get(tenantSchema);
+    if (ring && Date.now() - ring.loadedAt < KEY_RING_TTL_MS && (keyId === undefined || ring.dataKeys.has(keyId))) {
+        return ring;
+    }
+    return loadKeyRing(client, tenantSchema);
+}
+
+// New keys are committed on a connection of their own: if the request's transaction rolled
+// back, values already encrypted under a cached key would have no stored key to match.
+async function createKey(tenantSchema, purpose) {
+    const provider = getKeyProvider();
+    const { wrappedKey, masterKeyId } = await provider.generateDataKey({ tenantSchema });
+    const client = await getPool().connect();
+    try {
+        await setTenantSearchPath(client, tenantSchema);
+        // Another container may have created the active key first; the unique index keeps one
+        await client.query(`
+            INSERT INTO encryption_keys (purpose, key_provider, master_key_id, wrapped_key)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT DO NOTHING;
+        `, [purpose, provider.name, masterKeyId, wrappedKey]);
+    } finally {
+        client.release();
+    }
+    console.log(`Created ${purpose} key for tenant ${tenantSchema} with key provider ${provider.name}`);
+}
+
+// Ring with an active data key and a blind-index key, creating them on a tenant's first write
+async function getWritingKeyRing(client, tenantSchema) {
+    let ring = await getKeyRing(client, tenantSchema);
+    if (ring.activeKeyId !== null && ring.blindIndexKey) {
+        return ring;
+    }
+    if (ring.activeKeyId === null) await createKey(tenantSchema, 'data');
+    if (!ring.blindIndexKey) await createKey(tenantSchema, 'blind_index');
+    ring = await loadKeyRing(client, tenantSchema);
+    if (ring.activeKeyId === null || !ring.blindIndexKey) {
+        throw new Error(`Field encryption: no active keys for tenant ${tenantSchema}.`);
+    }
+    return ring;
+}
+
+// Drop the cached ring, e.g. after a rotation changed the active key
+function forgetKeyRing(tenantSchema) {
+    keyRings.delete(tenantSchema);
+}
+
+// --- Envelopes ---
+
+// The envelope header is authenticated with the ciphertext, so key ID and kind can't be swapped
+function encryptValue(ring, kind, plaintext) {
+    const header = `${ENVELOPE_PREFIX}${ring.activeKeyId}:${kind}`;
+    return `${header}:${seal(ring.dataKeys.get(ring.activeKeyId), Buffer.from(plaintext, 'utf8'), header)}`;
+}
+
+// A parameter bound to an encrypted column -> its encrypted form. JSON columns take JSON
+// text (what routes bind to ::jsonb) or a value to serialize.
+function encryptParam(ring, kind, value) {
+    if (value === null || value === undefined) return value;
+    if (kind === 'json') {
+        const jsonText = typeof value === 'string' ? value : JSON.stringify(value);
+        return JSON.stringify(encryptValue(ring, 'j', jsonText));
+    }
+    return encryptValue(ring, 't', String(value));
+}
+
+function computeBlindIndex(ring, table, column, value) {
+    const definition = BLIND_INDEXES[table]?.[column];
+    if (!definition) {
+        throw new Error(`Field encryption: ${table}.${column} is not a blind index.`);
+    }
+    if (value === null || value === undefined) return null;
+    const normalized = definition.normalize(String(value));
+    if (!normalized) return null;
+    return crypto.createHmac('sha256', ring.blindIndexKey)
+        .update(`${table}.${column}:${normalized}`)
+        .digest('hex')
+        .slice(0, BLIND_INDEX_HEX_LENGTH);
+}
+
+// Decrypt the envelopes in the encrypted columns of the rows, in place
+async function decryptRows(client, tenantSchema, rows) {
+    let ring = null;
+    for (const row of rows) {
+        for (const [field, value] of Object.entries(row)) {
+            if (!ENCRYPTED_COLUMN_NAMES.has(field)) continue;
+            if (typeof value !== 'string' || !value.startsWith(ENVELOPE_PREFIX)) continue;
+            const match = ENVELOPE_REGEX.exec(value);
+            if (!match) continue;
+            const keyId = Number(match[1]);
+            if (!ring || !ring.dataKeys.has(keyId)) {
+                ring = await getKeyRing(client, tenantSchema, keyId);
+            }
+            const key = ring.dataKeys.get(keyId);
+            if (!key) {
+                throw new Error(`Field encryption: data key ${keyId} of tenant ${tenantSchema} not found (column ${field}).`);
+            }
+            const plaintext = open(key, match[3], `${ENVELOPE_PREFIX}${match[1]}:${match[2]}`).toString('utf8');
+            row[field] = match[2] === 'j' ? JSON.parse(plaintext) : plaintext;
+        }
+    }
+}
+
+// --- Just enough SQL parsing for the two write shapes routes use ---
+
+// Call visit(index) for each character outside quotes and parentheses from start; stops
+// and returns the index when visit returns true
+function scanTopLevel(text, start, visit) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+            continue;
+        }
+        if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            if (depth === 0) return visit(i, true) ? i : text.length;
+            depth--;
+        } else if (depth === 0 && visit(i, false)) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+// Index of the parenthesis closing the one at openIndex
+function findClosingParen(text, openIndex) {
+    return scanTopLevel(text, openIndex + 1, (i, isClosing) => isClosing);
+}
+
+// Split at top-level commas
+function splitTopLevel(text) {
+    const parts = [];
+    let partStart = 0;
+    scanTopLevel(text, 0, (i, isClosing) => {
+        if (!isClosing && text[i] === ',') {
+            parts.push(text.slice(partStart, i));
+            partStart = i + 1;
+        }
+        return false;
+    });
+    parts.push(text.slice(partStart));
+    return parts.map(part => part.trim());
+}
+
+// End of an UPDATE's SET list: the first top-level WHERE, FROM or RETURNING
+function findSetListEnd(text, start) {
+    return scanTopLevel(text, start, (i, isClosing) =>
+        !isClosing && !/\w/.test(text[i - 1] || '') && /^(WHERE|FROM|RETURNING)\b/i.test(text.slice(i))
+    );
+}
+
+const unquote = (name) => name.trim().replace(/"/g, '').toLowerCase();
+
+// { table, assignments: [{ column, expression }], rebuild(extra) } for an INSERT ... VALUES or
+// UPDATE ... SET statement on a table with encrypted columns; otherwise null. rebuild adds
+// more column/expression pairs to the statement.
+function parseWrite(text) {
+    const sql = text.replace(/--[^\n]*/g, '');
+    const insert = /^\s*INSERT\s+INTO\s+([\w."]+)\s*\(/i.exec(sql);
+    const update = /^\s*UPDATE\s+([\w."]+)\s+SET\s/i.exec(sql);
+    const table = insert || update ? unquote((insert || update)[1].split('.').pop()) : null;
+    if (!ENCRYPTED_TABLES[table]) return null;
+
+    if (insert) {
+        const columnsOpen = insert[0].length - 1;
+        const columnsClose = findClosingParen(sql, columnsOpen);
+        const columns = splitTopLevel(sql.slice(columnsOpen + 1, columnsClose)).map(unquote);
+        const values = /^\s*VALUES\s*\(/i.exec(sql.slice(columnsClose + 1));
+        if (!values) {
+            return { table, assignments: columns.map(column => ({ column, expression: null })), rebuild: null };
+        }
+        const valuesOpen = columnsClose + values[0].length;
+        const valuesClose = findClosingParen(sql, valuesOpen);
+        const expressions = splitTopLevel(sql.slice(valuesOpen + 1, valuesClose));
+        const multiRow = /^\s*,/.test(sql.slice(valuesClose + 1));
+        return {
+            table,
+            assignments: columns.map((column, i) => ({ column, expression: multiRow ? null : expressions[i] ?? null })),
+            rebuild: (extra) => sql.slice(0, columnsClose).trimEnd()
+                + extra.map(({ column }) => `, ${column}`).join('')
+                + sql.slice(columnsClose, valuesClose)
+                + extra.map(({ expression }) => `, ${expression}`).join('')
+                + sql.slice(valuesClose),
+        };
+    }
+
+    const setStart = update[0].length;
+    const setEnd = findSetListEnd(sql, setStart);
+    const assignments = splitTopLevel(sql.slice(setStart, setEnd)).map(assignment => {
+        const match = /^"?(\w+)"?\s*=\s*([\s\S]+)$/.exec(assignment);
+        return match ? { column: match[1].toLowerCase(), expression: match[2].trim() } : { column: null, expression: assignment };
+    });
+    return {
+        table,
+        assignments,
+        rebuild: (extra) => `${sql.slice(0, setEnd).trimEnd()}${extra.map(({ column, expression }) => `, ${column} = ${expression}`).join('')} ${sql.slice(setEnd)}`,
+    };
+}
+
+// Which parameters need encrypting (paramIndex null for a NULL write) and which blind
+// indexes to add, or null when the statement writes no encrypted column. Throws for a
+// write that can't be encrypted.
+function planWrite(text) {
+    const parsed = parseWrite(text);
+    if (!parsed) return null;
+    const { table, assignments, rebuild } = parsed;
+    const encryptedColumns = ENCRYPTED_TABLES[table].columns;
+
+    const writes = [];
+    for (const { column, expression } of assignments) {
+        const target = column || Object.keys(encryptedColumns).find(name => new RegExp(`\\b${name}\\b`).test(expression));
+        if (!encryptedColumns[target]) continue;
+        // Cleared (every encrypted column defaults to NULL); its blind indexes are cleared with it
+        if (expression !== null && /^(NULL|DEFAULT)$/i.test(expression)) {
+            writes.push({ column: target, kind: encryptedColumns[target], paramIndex: null });
+            continue;
+        }
+        const param = expression !== null && column ? /^\$(\d+)(::\w+)?$/.exec(expression) : null;
+        if (!param || !rebuild) {
+            throw new Error(`Field encryption: ${table}.${target} can only be written as a bound parameter in INSERT ... VALUES or UPDATE ... SET (got '${expression ?? 'INSERT ... SELECT'}').`);
+        }
+        writes.push({ column: target, kind: encryptedColumns[target], paramIndex: Number(param[1]) - 1 });
+    }
+    if (writes.length === 0) return null;
+
+    const blindIndexes = Object.entries(BLIND_INDEXES[table] || {})
+        .map(([column, definition]) => ({ column, source: writes.find(write => write.column === definition.source) }))
+        .filter(({ source }) => source)
+        .map(({ column, source }) => ({ column, paramIndex: source.paramIndex }));
+    return { table, writes, blindIndexes, rebuild };
+}
+
+// --- Wrap a tenant client (search_path already set) ---
+// The wrapper has the same query() as the pg client; only what routes use is passed through.
+function withFieldEncryption(client, tenantSchema) {
+    const wrapped = {
+        get processID() { return client.processID; },
+        escapeIdentifier: (value) => client.escapeIdentifier(value),
+        release: (...args) => client.release(...args),
+        tenantSchema,
+        async query(text, values) {
+            let sql = text;
+            let params = values;
+            const plan = isFieldEncryptionEnabled() && typeof text === 'string' ? planWrite(text) : null;
+            if (plan) {
+                const bound = plan.writes.filter(({ paramIndex }) => paramIndex !== null);
+                const ring = bound.length > 0 ? await getWritingKeyRing(client, tenantSchema) : null;
+                params = [...(values || [])];
+                bound.forEach(({ kind, paramIndex }) => {
+                    params[paramIndex] = encryptParam(ring, kind, values[paramIndex]);
+                });
+                const extra = plan.blindIndexes.map(({ column, paramIndex }) => {
+                    if (paramIndex === null) return { column, expression: 'NULL' };
+                    params.push(computeBlindIndex(ring, plan.table, column, values[paramIndex]));
+                    return { column, expression: `$${params.length}` };
+                });
+                if (extra.length > 0) sql = plan.rebuild(extra);
+            }
+
+            const result = await client.query(sql, params);
+            if (isFieldEncryptionEnabled() && result && Array.isArray(result.rows) && result.rows.length > 0) {
+                await decryptRows(client, tenantSchema, result.rows);
+            }
+            return result;
+        },
+    };
+    return wrapped;
+}
+
+// --- Blind index of a search value, for WHERE <column> = $n ---
+// client must come from withFieldEncryption. Null when the value normalizes to nothing.
+async function blindIndex(client, table, column, value) {
+    const ring = await getWritingKeyRing(client, client.tenantSchema);
+    return computeBlindIndex(ring, table, column, value);
+}
+
+// Active data key of the client's tenant, creating the tenant's keys if it has none yet
+async function getActiveDataKeyId(client) {
+    const ring = await getWritingKeyRing(client, client.tenantSchema);
+    return ring.activeKeyId;
+}
+
+module.exports = {
+    ENCRYPTED_TABLES,
+    BLIND_INDEXES,
+    ENVELOPE_PREFIX,
+    KEY_RING_TTL_MS,
+    normalizePhoneNumber,
+    isEncryptedColumn,
+    withFieldEncryption,
+    blindIndex,
+    getActiveDataKeyId,
+    forgetKeyRing,
+};
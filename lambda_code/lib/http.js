@@ -0,0 +1,81 @@
+// HTTP helpers shared by the handler and the route modules
+
+// --- Error carrying an HTTP status for the handler to return ---
+// `details` is merged into the response body (e.g. { allowedStatuses: [...] }).
+class HttpError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+// --- Parse the JSON request body, rejecting anything that isn't a JSON object ---
+function parseJsonBody(event) {
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+        console.error("Error parsing request body JSON:", parseError);
+        throw new HttpError(400, "Bad Request: Invalid JSON format in request body.");
+    }
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw new HttpError(400, "Bad Request: Request body must be a JSON object.");
+    }
+    return body;
+}
+
+// --- Parse a positive integer query parameter (page, page_size, ...) ---
+// Throws a plain Error with a client-facing message; callers wrap it in a 400.
+function parsePositiveInt(rawValue, fallback, name) {
+    if (rawValue === undefined || rawValue === null || rawValue === '') return fallback;
+    const parsed = Number(rawValue);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new Error(`'${name}' must be a positive integer.`);
+    }
+    return parsed;
+}
+
+// --- Translate an error thrown by a route into a response ---
+// Postgres errors are mapped by SQLSTATE so routes only need to handle the cases
+// where they can say something more specific.
+function toErrorResponse(error, ctx) {
+    if (error instanceof HttpError) {
+        return { statusCode: error.statusCode, body: { message: error.message, ...error.details } };
+    }
+
+    const action = ctx.route?.action || 'process request';
+    console.error(`Error while trying to ${action} for tenant ${ctx.tenantSchema || 'N/A'}:`, error);
+    if (error.code) {
+        console.error("DB Error Code:", error.code);
+        console.error("DB Error Detail:", error.detail);
+    }
+
+    switch (error.code) {
+        case '3F000': // invalid_schema_name
+            console.warn(`Schema '${ctx.tenantSchema}' not found.`);
+            return { statusCode: 404, body: { message: `Tenant schema '${ctx.tenantSchema}' not found.`, error: error.message } };
+        case '22P02': // invalid_text_representation (bad UUID, date, JSON...)
+        case '22007': // invalid_datetime_format
+        case '22008': // datetime_field_overflow
+            return { statusCode: 400, body: { message: "Bad Request: Invalid data format provided.", error: error.message } };
+        case '23505': // unique_violation
+            return { statusCode: 409, body: { message: "Conflict: Request violates a unique constraint.", error: error.detail } };
+        case '23503': // foreign_key_violation
+            return { statusCode: 400, body: { message: "Bad Request: Request references a record that does not exist.", error: error.detail } };
+        case '55000': // object_not_in_prerequisite_state (raised by the signed-note lock trigger)
+            return { statusCode: 409, body: { message: "Conflict: The record is locked and can no longer be modified.", error: error.message } };
+        case '42P01': // undefined_table
+            return { statusCode: 500, body: { message: `Internal Server Error: A required table is missing in schema ${ctx.tenantSchema}.`, error: error.message } };
+        default:
+            return { statusCode: 500, body: { message: `Internal Server Error: Could not ${action}.`, error: error.message } };
+    }
+}
+
+module.exports = {
+    HttpError,
+    parseJsonBody,
+    parsePositiveInt,
+    toErrorResponse,
+};
@@ -0,0 +1,62 @@
+// Who is making the request, as far as the Cognito token tells us
+const { HttpError } = require('./http');
+
+// Operators of the platform itself (tenant provisioning); not tied to any one clinic.
+// Clinic roles come from other groups, see validation/permissions.js.
+const PLATFORM_ADMIN_GROUP = 'platform_admin';
+
+// --- Editor/actor details recorded alongside changes ---
+// `sub` is the stable Cognito user id; `name` is for display (email, falling back to username).
+function getActor(ctx) {
+    const claims = ctx.claims || {};
+    return {
+        sub: claims.sub || null,
+        name: claims.email || claims['cognito:username'] || null,
+    };
+}
+
+// --- Cognito groups of the caller ---
+// The REST API authorizer flattens list claims to a string ("admin" or "[admin, doctor]"),
+// so accept that as well as a real array.
+function getGroups(ctx) {
+    const rawGroups = ctx.claims?.['cognito:groups'];
+    if (!rawGroups) return [];
+    if (Array.isArray(rawGroups)) return rawGroups;
+    return String(rawGroups)
+        .replace(/^\[|\]$/g, '')
+        .split(/[,\s]+/)
+        .filter(Boolean);
+}
+
+// --- Doctor profile linked to the caller (doctors.cognito_sub), or null ---
+// Needs ctx.client, so only usable behind tenantMiddleware.
+async function getLinkedDoctor(ctx) {
+    const sub = getActor(ctx).sub;
+    if (!sub) return null;
+    const result = await ctx.client.query(
+        `SELECT doctor_id, full_name, credentials, is_active FROM doctors WHERE cognito_sub = $1;`,
+        [sub]
+    );
+    return result.rows[0] || null;
+}
+
+// --- The caller's active doctor profile; 403 when there isn't one ---
+// Used wherever a record is attributed to a doctor (note author, signer, addendum author).
+async function requireActingDoctor(ctx) {
+    const doctor = await getLinkedDoctor(ctx);
+    if (!doctor || !doctor.is_active) {
+        console.warn(`User ${ctx.claims?.sub || 'unknown'} has no ${doctor ? 'active ' : ''}doctor profile in ${ctx.tenantSchema}; denied ${ctx.method} ${ctx.route.path}`);
+        throw new HttpError(403, doctor
+            ? "Forbidden: The doctor profile linked to your user account is deactivated."
+            : "Forbidden: Your user account is not linked to a doctor profile. Ask a clinic administrator to link it.");
+    }
+    return doctor;
+}
+
+module.exports = {
+    PLATFORM_ADMIN_GROUP,
+    getActor,
+    getGroups,
+    getLinkedDoctor,
+    requireActingDoctor,
+};
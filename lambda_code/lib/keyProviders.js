@@ -0,0 +1,145 @@
+// Key providers for field encryption (lib/fieldEncryption.js). Each tenant's data keys are
+// stored wrapped by a master key that only the provider can use.
+//
+// A provider is { name, masterKeyId(), generateDataKey(context) -> { plaintextKey, wrappedKey, masterKeyId },
+// wrapDataKey(plaintextKey, context) -> { wrappedKey, masterKeyId },
+// unwrapDataKey({ wrappedKey, masterKeyId }, context) -> plaintextKey } where keys are 32-byte
+// Buffers, wrappedKey is a base64 string and context is { tenantSchema }. The context is bound
+// to the wrapped key, so one tenant's key can't be unwrapped as another's.
+// FIELD_ENCRYPTION_KEY_PROVIDER picks the provider for new keys; when it is unset, fields are
+// written in plaintext:
+//   'local' - master keys in the JSON file FIELD_ENCRYPTION_KEY_FILE, for development and
+//             tests: { "current": "dev-1", "keys": { "dev-1": "<32 random bytes, base64>" } }.
+//             Adding a key and pointing "current" at it rotates the master key.
+//   'kms'   - the AWS KMS key FIELD_ENCRYPTION_KMS_KEY_ID, with the tenant schema as the
+//             encryption context.
+// Adding a provider means adding a factory to PROVIDERS.
+const crypto = require('crypto');
+const fs = require('fs');
+const { seal, open } = require('./aesGcm');
+
+const DATA_KEY_BYTES = 32;
+
+// --- Local key file ---
+
+function readLocalKeyFile(keyFile) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read the local master key file '${keyFile}': ${error.message}`);
+    }
+    const keys = new Map(Object.entries(parsed.keys || {}).map(([id, value]) => [id, Buffer.from(value, 'base64')]));
+    if (!keys.has(parsed.current)) {
+        throw new Error(`The local master key file '${keyFile}' has no key named by "current".`);
+    }
+    for (const [id, key] of keys) {
+        if (key.length !== DATA_KEY_BYTES) {
+            throw new Error(`Master key '${id}' in '${keyFile}' must be ${DATA_KEY_BYTES} bytes, base64-encoded.`);
+        }
+    }
+    return { current: parsed.current, keys };
+}
+
+function createLocalProvider() {
+    const keyFile = process.env.FIELD_ENCRYPTION_KEY_FILE;
+    if (!keyFile) {
+        throw new Error("FIELD_ENCRYPTION_KEY_FILE must name the master key file of the 'local' key provider.");
+    }
+    const { current, keys } = readLocalKeyFile(keyFile);
+    const masterKey = (masterKeyId) => {
+        if (!keys.has(masterKeyId)) {
+            throw new Error(`Master key '${masterKeyId}' is not in '${keyFile}'.`);
+        }
+        return keys.get(masterKeyId);
+    };
+    const contextAad = ({ tenantSchema }) => `tenant:${tenantSchema}`;
+    const wrap = (plaintextKey, context) => ({
+        wrappedKey: seal(masterKey(current), plaintextKey, contextAad(context)),
+        masterKeyId: current,
+    });
+
+    return {
+        name: 'local',
+        masterKeyId: () => current,
+        generateDataKey: async (context) => {
+            const plaintextKey = crypto.randomBytes(DATA_KEY_BYTES);
+            return { plaintextKey, ...wrap(plaintextKey, context) };
+        },
+        wrapDataKey: async (plaintextKey, context) => wrap(plaintextKey, context),
+        unwrapDataKey: async ({ wrappedKey, masterKeyId }, context) => open(masterKey(masterKeyId), wrappedKey, contextAad(context)),
+    };
+}
+
+// --- AWS KMS ---
+
+function createKmsProvider() {
+    const keyId = process.env.FIELD_ENCRYPTION_KMS_KEY_ID;
+    if (!keyId) {
+        throw new Error("FIELD_ENCRYPTION_KMS_KEY_ID must be set for the 'kms' key provider.");
+    }
+    const { KMSClient, GenerateDataKeyCommand, EncryptCommand, DecryptCommand } = require('@aws-sdk/client-kms');
+    const client = new KMSClient({ region: process.env.AWS_REGION });
+    const encryptionContext = ({ tenantSchema }) => ({ tenant: tenantSchema });
+
+    return {
+        name: 'kms',
+        masterKeyId: () => keyId,
+        generateDataKey: async (context) => {
+            const response = await client.send(new GenerateDataKeyCommand({
+                KeyId: keyId,
+                KeySpec: 'AES_256',
+                EncryptionContext: encryptionContext(context),
+            }));
+            return {
+                plaintextKey: Buffer.from(response.Plaintext),
+                wrappedKey: Buffer.from(response.CiphertextBlob).toString('base64'),
+                masterKeyId: keyId,
+            };
+        },
+        wrapDataKey: async (plaintextKey, context) => {
+            const response = await client.send(new EncryptCommand({
+                KeyId: keyId,
+                Plaintext: plaintextKey,
+                EncryptionContext: encryptionContext(context),
+            }));
+            return { wrappedKey: Buffer.from(response.CiphertextBlob).toString('base64'), masterKeyId: keyId };
+        },
+        unwrapDataKey: async ({ wrappedKey, masterKeyId }, context) => {
+            const response = await client.send(new DecryptCommand({
+                KeyId: masterKeyId,
+                CiphertextBlob: Buffer.from(wrappedKey, 'base64'),
+                EncryptionContext: encryptionContext(context),
+            }));
+            return Buffer.from(response.Plaintext);
+        },
+    };
+}
+
+const PROVIDERS = {
+    local: createLocalProvider,
+    kms: createKmsProvider,
+};
+
+// One instance per Lambda container and provider name
+const providerInstances = new Map();
+
+function isFieldEncryptionEnabled() {
+    return Boolean(process.env.FIELD_ENCRYPTION_KEY_PROVIDER);
+}
+
+// Keys are unwrapped with the provider recorded next to them, which need not be the current one
+function getKeyProvider(name = process.env.FIELD_ENCRYPTION_KEY_PROVIDER) {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown FIELD_ENCRYPTION_KEY_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!providerInstances.has(name)) {
+        providerInstances.set(name, PROVIDERS[name]());
+    }
+    return providerInstances.get(name);
+}
+
+module.exports = {
+    isFieldEncryptionEnabled,
+    getKeyProvider,
+};
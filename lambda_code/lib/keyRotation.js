@@ -0,0 +1,207 @@
+// Key rotation for field encryption (lib/fieldEncryption.js), one tenant at a time:
+//   1. data keys wrapped by another provider or master key than the current one are
+//      rewrapped, which is all a master key rotation needs;
+//   2. with newDataKey, the active data key is retired and a new one takes its place;
+//   3. every encrypted column still holding plaintext or another key's ciphertext is
+//      rewritten under the active key, in batches, until the deadline;
+//   4. rows missing a blind index (written before its column existed) get it filled.
+// A run that stops at the deadline is resumed by running it again. The blind-index key
+// is never replaced: every blind index would have to be recomputed at once.
+const { withTransaction } = require('./db');
+const { getKeyProvider } = require('./keyProviders');
+const {
+    ENCRYPTED_TABLES,
+    BLIND_INDEXES,
+    ENVELOPE_PREFIX,
+    KEY_RING_TTL_MS,
+    getActiveDataKeyId,
+    forgetKeyRing,
+} = require('./fieldEncryption');
+
+const DEFAULT_BATCH_SIZE = 200;
+
+// --- 1. Rewrap keys under the current master key ---
+async function rewrapKeys(client, tenantSchema) {
+    const provider = getKeyProvider();
+    const masterKeyId = provider.masterKeyId();
+    const stale = await client.query(`
+        SELECT key_id, key_provider, master_key_id, wrapped_key
+        FROM encryption_keys
+        WHERE key_provider <> $1 OR master_key_id <> $2
+        ORDER BY key_id;
+    `, [provider.name, masterKeyId]);
+    for (const row of stale.rows) {
+        const plaintextKey = await getKeyProvider(row.key_provider).unwrapDataKey(
+            { wrappedKey: row.wrapped_key, masterKeyId: row.master_key_id },
+            { tenantSchema }
+        );
+        const rewrapped = await provider.wrapDataKey(plaintextKey, { tenantSchema });
+        await client.query(`
+            UPDATE encryption_keys SET key_provider = $2, master_key_id = $3, wrapped_key = $4
+            WHERE key_id = $1;
+        `, [row.key_id, provider.name, rewrapped.masterKeyId, rewrapped.wrappedKey]);
+        console.log(`Rewrapped key ${row.key_id} of tenant ${tenantSchema} (${row.key_provider}/${row.master_key_id} -> ${provider.name}/${rewrapped.masterKeyId})`);
+    }
+    return stale.rows.length;
+}
+
+// --- 2. Replace the active data key ---
+async function replaceDataKey(client, tenantSchema) {
+    const provider = getKeyProvider();
+    const { wrappedKey, masterKeyId } = await provider.generateDataKey({ tenantSchema });
+    const keyId = await withTransaction(client, async () => {
+        // Concurrent rotations of one tenant would otherwise retire each other's new key
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext(current_schema() || ':encryption_keys'));`);
+        await client.query(`
+            UPDATE encryption_keys SET status = 'retired', retired_at = NOW()
+            WHERE purpose = 'data' AND status = 'active';
+        `);
+        const result = await client.query(`
+            INSERT INTO encryption_keys (purpose, key_provider, master_key_id, wrapped_key)
+            VALUES ('data', $1, $2, $3)
+            RETURNING key_id;
+        `, [provider.name, masterKeyId, wrappedKey]);
+        return result.rows[0].key_id;
+    });
+    forgetKeyRing(tenantSchema);
+    console.log(`Data key ${keyId} is now active for tenant ${tenantSchema}`);
+    return keyId;
+}
+
+// WHERE condition for values of one column not yet under the active key ($1 is the pattern).
+// A JSONB column holds the envelope as a JSON string, hence the leading quote.
+function staleCondition(column, kind) {
+    return kind === 'json'
+        ? `${column} IS NOT NULL AND ${column}::text NOT LIKE $1`
+        : `${column} IS NOT NULL AND ${column} NOT LIKE $1`;
+}
+
+function activePattern(keyId, kind) {
+    return `${kind === 'json' ? '"' : ''}${ENVELOPE_PREFIX}${keyId}:%`;
+}
+
+// --- 3. Re-encrypt one batch of a column; returns the number of rows rewritten ---
+// The client's wrapper decrypts what is read and encrypts what is written back.
+async function reencryptBatch(client, table, column, kind, keyId, batchSize) {
+    const { primaryKey } = ENCRYPTED_TABLES[table];
+    return withTransaction(client, async () => {
+        // Lets signed notes be rewritten and keeps updated_at as it was (see migration 016)
+        await client.query(`SET LOCAL emr.reencrypting = 'on';`);
+        const result = await client.query(`
+            SELECT ${primaryKey}, ${column} FROM ${table}
+            WHERE ${staleCondition(column, kind)}
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED;
+        `, [activePattern(keyId, kind), batchSize]);
+        for (const row of result.rows) {
+            const value = kind === 'json' ? JSON.stringify(row[column]) : row[column];
+            await client.query(`UPDATE ${table} SET ${column} = $1 WHERE ${primaryKey} = $2;`, [value, row[primaryKey]]);
+        }
+        return result.rows.length;
+    });
+}
+
+async function countStale(client, table, column, kind, keyId) {
+    const result = await client.query(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE ${staleCondition(column, kind)};`,
+        [activePattern(keyId, kind)]
+    );
+    return parseInt(result.rows[0].count, 10);
+}
+
+// --- 4. Fill missing blind indexes ---
+// Rewriting the source columns through the client recomputes all their blind indexes.
+// A value that normalizes to nothing (a phone number without digits) keeps a NULL index,
+// so rows are walked in key order rather than re-selected until none are left.
+function missingBlindIndexCondition(table) {
+    return Object.entries(BLIND_INDEXES[table])
+        .map(([column, { source }]) => `(${source} IS NOT NULL AND ${column} IS NULL)`)
+        .join(' OR ');
+}
+
+function blindIndexSources(table) {
+    return [...new Set(Object.values(BLIND_INDEXES[table]).map(({ source }) => source))];
+}
+
+// Returns the rows rewritten, or [] once the table has no more after afterKey
+async function backfillBlindIndexBatch(client, table, afterKey, batchSize) {
+    const { primaryKey, columns } = ENCRYPTED_TABLES[table];
+    const sources = blindIndexSources(table);
+    return withTransaction(client, async () => {
+        await client.query(`SET LOCAL emr.reencrypting = 'on';`);
+        const result = await client.query(`
+            SELECT ${primaryKey}, ${sources.join(', ')} FROM ${table}
+            WHERE (${missingBlindIndexCondition(table)}) AND ($1::text IS NULL OR ${primaryKey}::text > $1)
+            ORDER BY ${primaryKey}::text
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED;
+        `, [afterKey, batchSize]);
+        for (const row of result.rows) {
+            const values = sources.map(column => (columns[column] === 'json' ? JSON.stringify(row[column]) : row[column]));
+            const assignments = sources.map((column, index) => `${column} = $${index + 1}`).join(', ');
+            await client.query(`UPDATE ${table} SET ${assignments} WHERE ${primaryKey} = $${sources.length + 1};`, [...values, row[primaryKey]]);
+        }
+        return result.rows;
+    });
+}
+
+// Rows still missing a blind index their values would have
+async function countMissingBlindIndexes(client, table) {
+    const columns = Object.keys(BLIND_INDEXES[table]);
+    const result = await client.query(
+        `SELECT ${[...blindIndexSources(table), ...columns].join(', ')} FROM ${table} WHERE ${missingBlindIndexCondition(table)};`
+    );
+    return result.rows.filter(row => columns.some(column => {
+        const { source, normalize } = BLIND_INDEXES[table][column];
+        return row[column] === null && row[source] !== null && normalize(String(row[source])) !== '';
+    })).length;
+}
+
+// --- Rotate one tenant ---
+// client comes from withFieldEncryption with the tenant's search_path set.
+// complete is true once nothing is left to re-encrypt and the active key is older than
+// the key ring cache, so no container can still be writing under the previous key.
+async function rotateTenantKeys(client, tenantSchema, { newDataKey = false, deadline = Infinity, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    // Another container may have rotated since this one cached the ring
+    forgetKeyRing(tenantSchema);
+    const rewrappedKeys = await rewrapKeys(client, tenantSchema);
+    const activeKeyId = newDataKey ? await replaceDataKey(client, tenantSchema) : await getActiveDataKeyId(client);
+
+    const reencrypted = {};
+    const remaining = {};
+    for (const [table, { columns }] of Object.entries(ENCRYPTED_TABLES)) {
+        for (const [column, kind] of Object.entries(columns)) {
+            const label = `${table}.${column}`;
+            reencrypted[label] = 0;
+            while (Date.now() < deadline) {
+                const count = await reencryptBatch(client, table, column, kind, activeKeyId, batchSize);
+                reencrypted[label] += count;
+                if (count < batchSize) break;
+            }
+            remaining[label] = await countStale(client, table, column, kind, activeKeyId);
+        }
+    }
+
+    for (const table of Object.keys(BLIND_INDEXES)) {
+        const label = `${table}.blind_indexes`;
+        reencrypted[label] = 0;
+        let afterKey = null;
+        while (Date.now() < deadline) {
+            const rows = await backfillBlindIndexBatch(client, table, afterKey, batchSize);
+            reencrypted[label] += rows.length;
+            if (rows.length < batchSize) break;
+            afterKey = String(rows[rows.length - 1][ENCRYPTED_TABLES[table].primaryKey]);
+        }
+        remaining[label] = await countMissingBlindIndexes(client, table);
+    }
+
+    const activeKey = await client.query(`SELECT created_at FROM encryption_keys WHERE key_id = $1;`, [activeKeyId]);
+    const settled = Date.now() - new Date(activeKey.rows[0].created_at).getTime() >= KEY_RING_TTL_MS;
+    const complete = settled && Object.values(remaining).every(count => count === 0);
+    console.log(`Key rotation for tenant ${tenantSchema}: active key ${activeKeyId}, ${rewrappedKeys} keys rewrapped, ${Object.values(reencrypted).reduce((a, b) => a + b, 0)} values re-encrypted, complete: ${complete}`);
+    return { tenant: tenantSchema, activeKeyId, rewrappedKeys, reencrypted, remaining, complete };
+}
+
+module.exports = {
+    rotateTenantKeys,
+};
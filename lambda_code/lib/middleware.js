@@ -0,0 +1,187 @@
+// Per-route middleware: tenant resolution, DB client acquisition, schema version
+// checks, auditing, group checks and body / custom field validation
+const { getPool, setTenantSearchPath } = require('./db');
+const { getSchemaVersion, MINIMUM_SCHEMA_VERSION } = require('./migrations');
+const { parseJsonBody, toErrorResponse } = require('./http');
+const { initAudit, writeAuditEntry } = require('./audit');
+const { getGroups } = require('./identity');
+const { loadFieldDefinitions } = require('./customFields');
+const { withFieldEncryption } = require('./fieldEncryption');
+const { validate, buildCustomDataSchema, PERMISSIONS, hasPermission, rolesForGroups } = require('../validation');
+
+// --- Extract Tenant ID from Cognito claims ---
+// Sets ctx.tenantSchema; schema-name validation happens in setTenantSearchPath.
+async function resolveTenant(ctx, next) {
+    const rawTenantId = ctx.claims?.['custom:clinic_id'];
+    if (typeof rawTenantId === 'string' && rawTenantId.trim().length > 0) {
+        ctx.tenantSchema = rawTenantId.trim();
+        console.log(`Tenant ID (custom:clinic_id) found in claims: ${ctx.tenantSchema}`);
+        return next();
+    }
+
+    if (rawTenantId !== undefined) {
+        console.warn(`Invalid or empty custom:clinic_id claim found: ${rawTenantId}`);
+    } else {
+        console.warn("Tenant ID (custom:clinic_id) not found in event.requestContext.authorizer.claims");
+    }
+    // 400 rather than 401/403: the user is authenticated, the token setup is what's malformed.
+    return {
+        statusCode: 400,
+        body: { message: "Bad Request: Tenant identifier missing or invalid in user token." },
+    };
+}
+
+// --- Acquire a pooled client scoped to the tenant schema ---
+// Sets ctx.client for the rest of the chain and always releases it afterwards. The client
+// encrypts and decrypts the columns in lib/fieldEncryption.js on the way through.
+async function withTenantClient(ctx, next) {
+    const client = await getPool().connect();
+    const clientId = client.processID || 'N/A';
+    console.log(`[Client ${clientId}] Acquired for ${ctx.method} ${ctx.route.path}`);
+    try {
+        await setTenantSearchPath(client, ctx.tenantSchema);
+        ctx.client = withFieldEncryption(client, ctx.tenantSchema);
+        return await next();
+    } finally {
+        console.log(`[Client ${clientId}] Releasing client for ${ctx.method} ${ctx.route.path}`);
+        client.release();
+    }
+}
+
+// Tenants already seen at or above MINIMUM_SCHEMA_VERSION by this container. Versions
+// only go up, so a positive result never needs re-checking; a tenant that is behind is
+// checked again on every request so it is served as soon as it has been migrated.
+const upToDateSchemas = new Set();
+
+// --- Refuse to serve a tenant whose schema is behind the code ---
+// Runs before auditAccess: a schema that old may not have an audit_log to write to.
+async function requireSchemaVersion(ctx, next) {
+    if (upToDateSchemas.has(ctx.tenantSchema)) {
+        return next();
+    }
+    const schemaVersion = await getSchemaVersion(ctx.client, ctx.tenantSchema);
+    if (schemaVersion >= MINIMUM_SCHEMA_VERSION) {
+        upToDateSchemas.add(ctx.tenantSchema);
+        return next();
+    }
+    console.error(`Tenant schema ${ctx.tenantSchema} is at version ${schemaVersion}; version ${MINIMUM_SCHEMA_VERSION} is required. Run POST /admin/migrations.`);
+    return {
+        statusCode: 503,
+        body: {
+            message: "Service Unavailable: The clinic database is being upgraded. Please try again later.",
+            schemaVersion: schemaVersion,
+            requiredVersion: MINIMUM_SCHEMA_VERSION
+        },
+    };
+}
+
+// --- Write an audit_log row for every tenant request, whatever its outcome ---
+// Errors are turned into their response here so the row records the real status code.
+async function auditAccess(ctx, next) {
+    initAudit(ctx);
+    let response;
+    try {
+        response = await next();
+    } catch (error) {
+        response = toErrorResponse(error, ctx);
+    }
+    await writeAuditEntry(ctx, response.statusCode);
+    return response;
+}
+
+// --- Only let members of one of the given Cognito groups through ---
+function requireGroup(...groups) {
+    return async function requireGroupMembership(ctx, next) {
+        const userGroups = getGroups(ctx);
+        if (groups.some(group => userGroups.includes(group))) {
+            return next();
+        }
+        console.warn(`User ${ctx.claims?.sub || 'unknown'} (groups: ${userGroups.join(', ') || 'none'}) denied ${ctx.method} ${ctx.route.path}`);
+        return {
+            statusCode: 403,
+            body: { message: `Forbidden: This action requires membership in group '${groups.join("' or '")}'.` },
+        };
+    };
+}
+
+// --- Only let users whose roles grant the permission through (validation/permissions.js) ---
+// Goes after tenantMiddleware so denials are audited. An unknown permission name is a
+// bug in the route table and fails when the routes are loaded.
+function requirePermission(permission) {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission '${permission}'.`);
+    }
+    const checkPermission = async function requireRolePermission(ctx, next) {
+        const userGroups = getGroups(ctx);
+        if (hasPermission(userGroups, permission)) {
+            return next();
+        }
+        console.warn(`User ${ctx.claims?.sub || 'unknown'} (roles: ${rolesForGroups(userGroups).join(', ') || 'none'}) lacks '${permission}'; denied ${ctx.method} ${ctx.route.path}`);
+        return {
+            statusCode: 403,
+            body: { message: `Forbidden: Your role does not allow this action ('${permission}' requires role '${PERMISSIONS[permission].join("' or '")}').` },
+        };
+    };
+    checkPermission.permission = permission;
+    return checkPermission;
+}
+
+// --- Validate the JSON body against a schema from ../validation ---
+// Sets ctx.body on success; otherwise responds 422 listing every invalid field.
+// Pass { partial: true } for PUT routes where omitted fields are left unchanged.
+function validateBody(schema, options = {}) {
+    return async function validateRequestBody(ctx, next) {
+        const body = parseJsonBody(ctx.event);
+        const errors = validate(schema, body, options);
+        if (errors.length > 0) {
+            console.warn(`Request body failed validation for ${ctx.method} ${ctx.route.path}:`, errors);
+            return {
+                statusCode: 422,
+                body: { message: "Unprocessable Entity: Request validation failed.", errors: errors },
+            };
+        }
+        ctx.body = body;
+        return next();
+    };
+}
+
+// --- Validate ctx.body.custom_data against the clinic's custom field definitions ---
+// Goes after validateBody. On PUT (partial) an omitted custom_data is left unchanged,
+// so it is only checked when sent; a sent custom_data replaces the stored one whole.
+function validateCustomData(formArea, options = {}) {
+    return async function validateCustomDataFields(ctx, next) {
+        const customData = ctx.body.custom_data;
+        if (options.partial && customData === undefined) {
+            return next();
+        }
+        const definitions = await loadFieldDefinitions(ctx.client, formArea);
+        if (definitions.length === 0) {
+            return next();
+        }
+        const errors = validate(buildCustomDataSchema(definitions), customData || {})
+            .map(error => ({ ...error, field: `custom_data.${error.field}` }));
+        if (errors.length > 0) {
+            console.warn(`custom_data failed validation for ${ctx.method} ${ctx.route.path}:`, errors);
+            return {
+                statusCode: 422,
+                body: { message: "Unprocessable Entity: Request validation failed.", errors: errors },
+            };
+        }
+        return next();
+    };
+}
+
+// Standard chain for routes that read or write tenant data (PHI), so all of them are audited
+const tenantMiddleware = [resolveTenant, withTenantClient, requireSchemaVersion, auditAccess];
+
+module.exports = {
+    resolveTenant,
+    withTenantClient,
+    requireSchemaVersion,
+    auditAccess,
+    requireGroup,
+    requirePermission,
+    validateBody,
+    validateCustomData,
+    tenantMiddleware,
+};
@@ -0,0 +1,258 @@
+// Versioned tenant schema migrations (definitions live in ../migrations).
+//
+// Every tenant schema records the migrations applied to it in its own
+// schema_migrations table. Each migration runs in its own transaction together with
+// its schema_migrations row, under an advisory lock per schema, so concurrent runners
+// never apply the same version twice and a failed run can simply be repeated.
+const { isValidSchemaName, withTransaction } = require('./db');
+const { migrations, MINIMUM_SCHEMA_VERSION, LATEST_SCHEMA_VERSION } = require('../migrations');
+
+// --- Database-wide prerequisites shared by every tenant ---
+// Migrations use these, but they live outside any tenant schema, so no migration may
+// create or replace them: a tenant migrated later would put back its older definition for
+// every clinic. They are applied before each run instead; change them here only. The
+// advisory lock keeps concurrent runners from replacing the same function at once.
+const GLOBAL_STEPS = [
+    {
+        name: 'extensions',
+        sql: () => `
+            SELECT pg_advisory_xact_lock(hashtext('emr_global_steps'));
+            CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+            CREATE EXTENSION IF NOT EXISTS pg_trgm;
+        `,
+    },
+    {
+        name: 'shared_functions',
+        sql: () => `
+            SELECT pg_advisory_xact_lock(hashtext('emr_global_steps'));
+            CREATE OR REPLACE FUNCTION public.trigger_set_timestamp()
+            RETURNS TRIGGER AS $$
+            BEGIN
+                -- Re-encryption by key rotation isn't an edit
+                IF current_setting('emr.reencrypting', true) = 'on' THEN
+                    RETURN NEW;
+                END IF;
+                NEW.updated_at = NOW();
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql;
+
+            CREATE OR REPLACE FUNCTION public.reject_signed_note_update()
+            RETURNS TRIGGER AS $$
+            DECLARE
+                allowed TEXT[] := ARRAY['patient_id'];
+            BEGIN
+                -- Moving a signed note to another chart (patient merge) is the only change allowed,
+                -- apart from key rotation rewriting the ciphertext of its encrypted sections
+                IF current_setting('emr.reencrypting', true) = 'on' THEN
+                    allowed := allowed || ARRAY['subjective_note', 'objective_note', 'assessment_note', 'plan_note'];
+                END IF;
+                IF OLD.signed_status = 'Signed' AND (to_jsonb(NEW) - allowed) IS DISTINCT FROM (to_jsonb(OLD) - allowed) THEN
+                    RAISE EXCEPTION 'Note % is signed and cannot be modified; add an addendum instead.', OLD.note_id
+                        USING ERRCODE = 'object_not_in_prerequisite_state';
+                END IF;
+                RETURN NEW;
+            END;
+            $$ LANGUAGE plpgsql;
+        `,
+    },
+];
+
+// --- Grants to the Lambda's role on the tables the migrations create ---
+// Only when the Lambda connects as a different role than the one that owns the schema
+// (TENANT_DB_ROLE). Re-applied after every run, so a migration that adds a table only
+// needs its grant added here. `s` and dbRole are already-quoted identifiers.
+const GRANTS_STEP = {
+    name: 'grants',
+    skip: ({ dbRole }) => !dbRole,
+    sql: (s, { dbRole }) => `
+        GRANT USAGE ON SCHEMA ${s} TO ${dbRole};
+        GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE
+            ${s}.patients, ${s}.notes, ${s}.doctors, ${s}.clinic_settings,
+            ${s}.custom_form_fields, ${s}.waiting_queue
+            TO ${dbRole};
+        GRANT SELECT, INSERT, UPDATE ON TABLE ${s}.encounter_recordings, ${s}.appointments TO ${dbRole};
+        GRANT SELECT, INSERT, DELETE ON TABLE ${s}.realtime_connections TO ${dbRole};
+        GRANT SELECT, INSERT ON TABLE ${s}.note_addenda, ${s}.revisions, ${s}.audit_log, ${s}.claim_exports TO ${dbRole};
+        GRANT DELETE ON TABLE ${s}.revisions TO ${dbRole}; -- patient purges only
+        GRANT UPDATE (data) ON TABLE ${s}.revisions TO ${dbRole}; -- key rotation only
+        GRANT UPDATE (addendum_text) ON TABLE ${s}.note_addenda TO ${dbRole}; -- key rotation only
+        GRANT SELECT, INSERT, UPDATE ON TABLE ${s}.encryption_keys TO ${dbRole};
+        GRANT USAGE ON SEQUENCE ${s}.encryption_keys_key_id_seq TO ${dbRole};
+        GRANT SELECT ON TABLE ${s}.schema_migrations TO ${dbRole};
+    `,
+};
+
+// --- Run one global step or the grants in its own transaction ---
+async function runSchemaStep(client, label, step, quotedSchema, options) {
+    if (step.skip && step.skip(options)) {
+        return 'skipped';
+    }
+    console.log(`${label}: step '${step.name}'`);
+    await withTransaction(client, () => client.query(step.sql(quotedSchema, options)));
+    return 'applied';
+}
+
+// "004_note_signing": matches the file name, used in logs and step reports
+function migrationLabel(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+function quoteSchema(client, schemaName) {
+    if (!isValidSchemaName(schemaName)) {
+        throw new Error(`Invalid schema name '${schemaName}'.`);
+    }
+    return client.escapeIdentifier(schemaName);
+}
+
+// --- Every provisioned tenant schema (one with a clinic_settings table) ---
+async function listTenantSchemas(client) {
+    const result = await client.query(`
+        SELECT table_schema FROM information_schema.tables
+        WHERE table_name = 'clinic_settings'
+        ORDER BY table_schema;
+    `);
+    return result.rows.map(row => row.table_schema);
+}
+
+// --- Versions already applied to a schema ---
+// Schemas created before migrations were tracked have no schema_migrations table yet: nothing applied.
+async function getAppliedVersions(client, schemaName) {
+    const s = quoteSchema(client, schemaName);
+    const exists = await client.query(`SELECT to_regclass($1) AS table_name;`, [`${s}.schema_migrations`]);
+    if (!exists.rows[0]?.table_name) return [];
+    const result = await client.query(`SELECT version FROM ${s}.schema_migrations ORDER BY version;`);
+    return result.rows.map(row => row.version);
+}
+
+// --- Highest applied version, 0 for an untracked schema ---
+async function getSchemaVersion(client, schemaName) {
+    const applied = await getAppliedVersions(client, schemaName);
+    return applied.length > 0 ? Math.max(...applied) : 0;
+}
+
+// --- Current version and pending migrations of one schema ---
+async function getMigrationStatus(client, schemaName) {
+    const applied = new Set(await getAppliedVersions(client, schemaName));
+    const currentVersion = applied.size > 0 ? Math.max(...applied) : 0;
+    return {
+        tenant: schemaName,
+        currentVersion,
+        latestVersion: LATEST_SCHEMA_VERSION,
+        minimumVersion: MINIMUM_SCHEMA_VERSION,
+        belowMinimum: currentVersion < MINIMUM_SCHEMA_VERSION,
+        pending: migrations
+            .filter(migration => !applied.has(migration.version))
+            .map(migration => ({ version: migration.version, name: migration.name })),
+    };
+}
+
+// Applies the pending migrations in order, recording each in the report; true on failure
+async function applyPending(client, schemaName, s, pending, report) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS ${s}.schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+    `);
+
+    for (const migration of pending) {
+        const label = migrationLabel(migration);
+        try {
+            const applied = await withTransaction(client, async () => {
+                // Serialise runners per schema; the lock is released at COMMIT/ROLLBACK
+                await client.query(`SELECT pg_advisory_xact_lock(hashtext($1));`, [`schema_migrations:${schemaName}`]);
+                const alreadyApplied = await client.query(`SELECT 1 FROM ${s}.schema_migrations WHERE version = $1;`, [migration.version]);
+                if (alreadyApplied.rows.length > 0) return false;
+
+                console.log(`Migrating ${schemaName}: applying ${label}`);
+                await client.query(migration.up(s));
+                await client.query(`INSERT INTO ${s}.schema_migrations (version, name) VALUES ($1, $2);`, [migration.version, migration.name]);
+                return true;
+            });
+            report.migrations.push({ version: migration.version, name: migration.name, status: applied ? 'applied' : 'skipped' });
+            report.toVersion = Math.max(report.toVersion, migration.version);
+        } catch (migrationError) {
+            console.error(`Migrating ${schemaName} failed at ${label}:`, migrationError);
+            report.migrations.push({ version: migration.version, name: migration.name, status: 'failed' });
+            report.failedVersion = migration.version;
+            report.failedStep = `migration ${label}`;
+            report.error = migrationError;
+            return true;
+        }
+    }
+    return false;
+}
+
+// --- Apply every pending migration to one schema, stopping at the first failure ---
+// With dryRun nothing is written; the pending migrations are returned with their SQL.
+// Otherwise GLOBAL_STEPS run first (throwing if they fail) unless the caller has just
+// run them, and with dbRole the grants are re-applied afterwards, even when nothing was
+// pending, so tables added since the tenant was provisioned are reachable.
+// Returns { tenant, fromVersion, toVersion, dryRun, migrations: [{ version, name, status }],
+// grants, failedVersion, failedStep, error }; migration statuses are 'pending' (dry run),
+// 'applied', 'skipped' (another runner got there first) or 'failed'. grants is 'applied',
+// 'skipped' (no dbRole), 'failed' (failedStep is then 'grants') or null when not reached.
+async function migrateTenant(client, schemaName, { dryRun = false, dbRole = null, globalStepsApplied = false } = {}) {
+    const s = quoteSchema(client, schemaName);
+    const status = await getMigrationStatus(client, schemaName);
+    const pending = migrations.filter(migration => status.pending.some(p => p.version === migration.version));
+    const report = {
+        tenant: schemaName,
+        fromVersion: status.currentVersion,
+        toVersion: status.currentVersion,
+        dryRun,
+        migrations: [],
+        grants: null,
+        failedVersion: null,
+        failedStep: null,
+        error: null,
+    };
+
+    if (dryRun) {
+        report.migrations = pending.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            status: 'pending',
+            sql: migration.up(s).trim(),
+        }));
+        report.toVersion = pending.length > 0 ? Math.max(status.currentVersion, ...pending.map(m => m.version)) : status.currentVersion;
+        return report;
+    }
+
+    if (!globalStepsApplied) {
+        for (const step of GLOBAL_STEPS) {
+            await runSchemaStep(client, 'Database-wide prerequisites', step);
+        }
+    }
+    if (pending.length === 0) {
+        console.log(`Schema ${schemaName} is up to date at version ${status.currentVersion}.`);
+    } else {
+        const failure = await applyPending(client, schemaName, s, pending, report);
+        if (failure) return report;
+        console.log(`Schema ${schemaName} migrated from version ${report.fromVersion} to ${report.toVersion}.`);
+    }
+
+    try {
+        report.grants = await runSchemaStep(client, `Migrating ${schemaName}`, GRANTS_STEP, s, { dbRole: dbRole ? client.escapeIdentifier(dbRole) : null });
+    } catch (grantError) {
+        console.error(`Migrating ${schemaName} failed granting access to ${dbRole}:`, grantError);
+        report.grants = 'failed';
+        report.failedStep = 'grants';
+        report.error = grantError;
+    }
+    return report;
+}
+
+module.exports = {
+    GLOBAL_STEPS,
+    GRANTS_STEP,
+    MINIMUM_SCHEMA_VERSION,
+    LATEST_SCHEMA_VERSION,
+    migrationLabel,
+    listTenantSchemas,
+    getSchemaVersion,
+    getMigrationStatus,
+    migrateTenant,
+};
@@ -0,0 +1,128 @@
+// Language model providers for AI-assisted drafting (POST /soapnotes/draft).
+//
+// A provider is { name, model, complete({ system, prompt, maxTokens }) } where complete
+// resolves to the model's text reply. LLM_PROVIDER picks one:
+//   'stub'    - (default) deterministic and local: sorts the narrative's sentences into
+//               SOAP sections by keyword and suggests codes from a small keyword table.
+//               Nothing leaves the Lambda; used for development and testing.
+//   'bedrock' - an Anthropic model on Amazon Bedrock (BEDROCK_MODEL_ID), HIPAA eligible.
+// Adding a provider means adding a factory to PROVIDERS.
+
+const DEFAULT_BEDROCK_MODEL_ID = 'anthropic.claude-3-haiku-20240307-v1:0';
+const BEDROCK_TIMEOUT_MS = 20000; // leaves room in the Lambda's 30 second timeout
+
+// --- Stub ---
+
+// First matching rule wins; sentences matching none are Subjective
+const STUB_SECTION_RULES = [
+    { section: 'plan', pattern: /\b(plan|recommend|perform|administer|applied|treated with|adjust|manipulat|follow[- ]?up|return|continue|schedule|refer|prescrib|home exercise|re-?evaluat|\d+x\s*\/?\s*(a\s+)?week)/i },
+    { section: 'assessment', pattern: /\b(assessment|impression|diagnos|consistent with|likely|suspect|improv|worse|unchanged|prognosis)/i },
+    { section: 'objective', pattern: /\b(exam|palpat|tender|range of motion|rom|reflex|strength|blood pressure|bp|pulse|heart rate|temp|x-?ray|observ|positive|negative|spasm|posture|gait|orthopedic|slr|vitals?)\b/i },
+];
+
+const STUB_DX_KEYWORDS = [
+    { pattern: /sciatica/i, code: 'M54.30', rationale: 'sciatica described' },
+    { pattern: /low back|lumbar/i, code: 'M54.50', rationale: 'low back pain described' },
+    { pattern: /neck|cervical/i, code: 'M54.2', rationale: 'neck pain described' },
+    { pattern: /thoracic|mid[- ]back/i, code: 'M54.6', rationale: 'thoracic pain described' },
+    { pattern: /headache/i, code: 'R51.9', rationale: 'headache described' },
+    { pattern: /spasm/i, code: 'M62.830', rationale: 'muscle spasm noted' },
+    { pattern: /subluxation|segmental dysfunction/i, code: 'M99.03', rationale: 'segmental dysfunction noted' },
+];
+
+const STUB_PROCEDURE_KEYWORDS = [
+    { pattern: /adjust|manipulat|cmt\b/i, code: '98940', rationale: 'spinal manipulation performed' },
+    { pattern: /manual therapy|soft tissue|myofascial/i, code: '97140', rationale: 'manual therapy performed' },
+    { pattern: /therapeutic exercise|stretch|strengthening/i, code: '97110', rationale: 'therapeutic exercise performed' },
+    { pattern: /e-?stim|electrical stim/i, code: '97014', rationale: 'electrical stimulation applied' },
+    { pattern: /hot pack|cold pack|ice pack|moist heat|cryotherapy/i, code: '97010', rationale: 'hot/cold packs applied' },
+    { pattern: /ultrasound/i, code: '97035', rationale: 'ultrasound applied' },
+    { pattern: /traction/i, code: '97012', rationale: 'mechanical traction applied' },
+    { pattern: /massage/i, code: '97124', rationale: 'massage performed' },
+];
+
+// The stub only sees what a real model would: the prompt. The narrative is between the
+// <narrative> tags that buildDraftPrompt (lib/soapDraft.js) puts around it.
+function stubDraft(prompt) {
+    const match = /<narrative>\n?([\s\S]*?)\n?<\/narrative>/.exec(prompt);
+    const narrative = match ? match[1] : prompt;
+    const sections = { subjective: [], objective: [], assessment: [], plan: [] };
+    narrative.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean).forEach(sentence => {
+        const rule = STUB_SECTION_RULES.find(candidate => candidate.pattern.test(sentence));
+        sections[rule ? rule.section : 'subjective'].push(sentence);
+    });
+
+    const dxCodes = STUB_DX_KEYWORDS.filter(entry => entry.pattern.test(narrative))
+        .map(({ code, rationale }) => ({ code, rationale }));
+    const billingCodes = STUB_PROCEDURE_KEYWORDS.filter(entry => entry.pattern.test(narrative))
+        .map(({ code, rationale }) => ({ code, units: 1, dx_pointers: dxCodes.length > 0 ? [1] : [], rationale }));
+
+    return JSON.stringify({
+        subjective: sections.subjective.join(' '),
+        objective: sections.objective.join(' '),
+        assessment: sections.assessment.join(' '),
+        plan: sections.plan.join(' '),
+        dx_codes: dxCodes,
+        billing_codes: billingCodes,
+    });
+}
+
+function createStubProvider() {
+    return {
+        name: 'stub',
+        model: 'keyword-stub',
+        complete: async ({ prompt }) => stubDraft(prompt),
+    };
+}
+
+// --- Amazon Bedrock (Anthropic messages API) ---
+function createBedrockProvider() {
+    // Loaded here so the stub works without the Bedrock client installed
+    const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+    const client = new BedrockRuntimeClient({ region: process.env.BEDROCK_REGION || process.env.AWS_REGION });
+    const modelId = process.env.BEDROCK_MODEL_ID || DEFAULT_BEDROCK_MODEL_ID;
+
+    return {
+        name: 'bedrock',
+        model: modelId,
+        complete: async ({ system, prompt, maxTokens = 2000 }) => {
+            const command = new InvokeModelCommand({
+                modelId,
+                contentType: 'application/json',
+                accept: 'application/json',
+                body: JSON.stringify({
+                    anthropic_version: 'bedrock-2023-05-31',
+                    max_tokens: maxTokens,
+                    temperature: 0,
+                    system,
+                    messages: [{ role: 'user', content: prompt }],
+                }),
+            });
+            const response = await client.send(command, { abortSignal: AbortSignal.timeout(BEDROCK_TIMEOUT_MS) });
+            const payload = JSON.parse(Buffer.from(response.body).toString('utf8'));
+            return (payload.content || []).filter(part => part.type === 'text').map(part => part.text).join('');
+        },
+    };
+}
+
+const PROVIDERS = {
+    stub: createStubProvider,
+    bedrock: createBedrockProvider,
+};
+
+// One instance per Lambda container and provider name
+const providerInstances = new Map();
+
+function getModelProvider(name = process.env.LLM_PROVIDER || 'stub') {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown LLM_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!providerInstances.has(name)) {
+        providerInstances.set(name, PROVIDERS[name]());
+    }
+    return providerInstances.get(name);
+}
+
+module.exports = {
+    getModelProvider,
+};
@@ -0,0 +1,129 @@
+// Chart note PDF for a signed SOAP note: clinic letterhead, patient and provider header,
+// the S/O/A/P sections, coded diagnoses and procedures, the signature block, addenda and
+// the clinic's terms. This is the copy that is faxed and mailed to attorneys and
+// referring providers.
+const { createPdf } = require('./pdf');
+const { toDateString } = require('./superbill');
+const { lookupCode } = require('./codeSets');
+const { normalizeBillingLine, diagnosisPointerLetter } = require('../validation');
+
+const SOAP_SECTIONS = [
+    { column: 'subjective_note', title: 'Subjective' },
+    { column: 'objective_note', title: 'Objective' },
+    { column: 'assessment_note', title: 'Assessment' },
+    { column: 'plan_note', title: 'Plan' },
+];
+
+// '2025-04-15 09:30 UTC'
+function formatTimestamp(value) {
+    if (!value) return '';
+    const iso = (value instanceof Date ? value : new Date(value)).toISOString();
+    return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+function patientName(patient) {
+    const given = [patient.first_name, patient.middle_initial].filter(Boolean).join(' ');
+    return `${patient.last_name}, ${given}`;
+}
+
+function providerName(doctor) {
+    if (!doctor) return 'Unknown provider';
+    return doctor.credentials ? `${doctor.full_name}, ${doctor.credentials}` : doctor.full_name;
+}
+
+function formatPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : phone;
+}
+
+// Letterhead lines under the clinic name, from the billing address in billing_info
+function letterheadLines(billingInfo = {}) {
+    const street = [billingInfo.address_line1, billingInfo.address_line2].filter(Boolean).join(', ');
+    const cityLine = [billingInfo.city, [billingInfo.state, billingInfo.postal_code].filter(Boolean).join(' ')]
+        .filter(Boolean).join(', ');
+    const phone = billingInfo.contact_phone ? `Phone ${formatPhone(billingInfo.contact_phone)}` : '';
+    return [street, cityLine, phone].filter(Boolean);
+}
+
+// --- Render the note; returns the PDF as a Buffer ---
+// doctorsById holds the note's author, its signer and the addenda authors.
+function renderNotePdf({ note, patient, doctorsById, addenda = [], settings, createdAt = new Date() }) {
+    const author = doctorsById.get(note.doctor_id) || null;
+    const signer = doctorsById.get(note.signed_by) || author;
+    const dateOfService = toDateString(note.created_at);
+
+    const pdf = createPdf({
+        title: `Chart Note - ${patientName(patient)} - ${dateOfService}`,
+        footerText: `${patientName(patient)} - DOB ${toDateString(patient.date_of_birth)} - Date of service ${dateOfService} - Confidential`,
+        createdAt,
+    });
+
+    // Letterhead
+    pdf.text(settings?.clinic_name || 'Clinic', { font: 'bold', size: 16, align: 'center', gap: 2 });
+    letterheadLines(settings?.billing_info || {}).forEach(line => pdf.text(line, { size: 9, align: 'center', gap: 0 }));
+    pdf.rule();
+
+    // Patient and provider header
+    pdf.text(`${note.note_type || 'SOAP'} Chart Note`, { font: 'bold', size: 14, gap: 6 });
+    pdf.field('Patient', patientName(patient));
+    pdf.field('Date of birth', toDateString(patient.date_of_birth));
+    pdf.field('Date of service', dateOfService);
+    pdf.field('Provider', providerName(author));
+    if (author?.npi) pdf.field('Provider NPI', author.npi);
+    pdf.rule();
+
+    SOAP_SECTIONS.forEach(section => {
+        const content = (note[section.column] || '').trim();
+        pdf.heading(section.title);
+        pdf.text(content || 'Not documented.', { font: content ? 'regular' : 'italic', gap: 6 });
+    });
+
+    const dxCodes = note.dx_codes || [];
+    if (dxCodes.length > 0) {
+        pdf.heading('Diagnoses (ICD-10-CM)');
+        dxCodes.forEach((code, index) => {
+            const entry = lookupCode('icd10', code);
+            pdf.field(`${diagnosisPointerLetter(index + 1)}.  ${code}`, entry?.description || '');
+        });
+    }
+
+    const billingLines = (note.billing_codes || []).map(normalizeBillingLine);
+    if (billingLines.length > 0) {
+        pdf.heading('Procedures (CPT)');
+        billingLines.forEach(line => {
+            const entry = lookupCode('cpt', line.code);
+            const details = [
+                entry?.description,
+                `${line.units} unit${line.units === 1 ? '' : 's'}`,
+                line.dx_pointers.length > 0 ? `Dx ${line.dx_pointers.map(diagnosisPointerLetter).join(', ')}` : null,
+            ].filter(Boolean).join(' - ');
+            pdf.field([line.code, ...line.modifiers].join('-'), details);
+        });
+    }
+
+    // Signature block
+    pdf.heading('Signature');
+    pdf.text(`Electronically signed by ${providerName(signer)} on ${formatTimestamp(note.signed_at)}.`, { gap: 2 });
+    if (signer?.npi) pdf.text(`NPI ${signer.npi}`, { gap: 6 });
+
+    if (addenda.length > 0) {
+        pdf.heading('Addenda');
+        addenda.forEach(addendum => {
+            pdf.keepTogether(40);
+            pdf.text(`${formatTimestamp(addendum.created_at)} - ${providerName(doctorsById.get(addendum.doctor_id))}`, { font: 'bold', size: 10, gap: 1 });
+            if (addendum.reason) pdf.text(`Reason: ${addendum.reason}`, { font: 'italic', gap: 1 });
+            pdf.text(addendum.addendum_text, { gap: 8 });
+        });
+    }
+
+    if (settings?.custom_terms_conditions) {
+        pdf.rule();
+        pdf.text(settings.custom_terms_conditions, { font: 'italic', size: 8, gap: 0 });
+    }
+
+    return pdf.toBuffer();
+}
+
+module.exports = {
+    renderNotePdf,
+};
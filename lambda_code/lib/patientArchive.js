@@ -0,0 +1,39 @@
+// Archived patients (patients.archived_at): their chart stays readable, but no new visits,
+// notes, recordings or queue entries are started for them until they are restored. A purge
+// (hard delete) waits out the clinic's record_retention_years.
+const { HttpError } = require('./http');
+
+// State laws commonly count a minor's retention period from the age of majority
+const AGE_OF_MAJORITY = 18;
+
+// --- 409 when new clinical activity is started for an archived patient ---
+// A missing patient is left to the caller's own 400/404 handling.
+async function assertPatientNotArchived(client, patientId) {
+    const result = await client.query(`SELECT archived_at FROM patients WHERE patient_id = $1;`, [patientId]);
+    if (result.rows[0]?.archived_at) {
+        console.warn(`Patient ${patientId} is archived; refusing new activity.`);
+        throw new HttpError(409, `Conflict: Patient ${patientId} is archived. Restore the patient first.`, { archived_at: result.rows[0].archived_at });
+    }
+}
+
+function addYears(date, years) {
+    const result = new Date(date);
+    result.setUTCFullYear(result.getUTCFullYear() + years);
+    return result;
+}
+
+// --- The earliest time an archived patient's records may be purged ---
+// retentionYears after the later of the archiving and the last note, and for patients
+// seen as minors no earlier than retentionYears after they came of age.
+function retentionEndsAt({ archivedAt, lastNoteAt, dateOfBirth }, retentionYears) {
+    const lastActivity = lastNoteAt && new Date(lastNoteAt) > new Date(archivedAt) ? lastNoteAt : archivedAt;
+    const fromActivity = addYears(lastActivity, retentionYears);
+    if (!dateOfBirth) return fromActivity;
+    const fromMajority = addYears(dateOfBirth, AGE_OF_MAJORITY + retentionYears);
+    return fromMajority > fromActivity ? fromMajority : fromActivity;
+}
+
+module.exports = {
+    assertPatientNotArchived,
+    retentionEndsAt,
+};
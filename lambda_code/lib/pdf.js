@@ -0,0 +1,215 @@
+// Minimal PDF 1.4 writer for text documents: US Letter pages, the standard Helvetica fonts
+// (built into every PDF reader, so nothing is embedded), word-wrapped text, labelled
+// fields, horizontal rules and a footer with page numbers on every page.
+//
+// Text is drawn in WinAnsiEncoding: typographic quotes and dashes become their ASCII
+// forms and anything outside Latin-1 becomes '?'.
+
+const PAGE_WIDTH = 612; // 8.5in in points
+const PAGE_HEIGHT = 792; // 11in
+const MARGIN = 54; // 0.75in
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_BASELINE = 30;
+const LINE_HEIGHT = 1.3; // times the font size
+const DEFAULT_WIDTH = 556; // for Latin-1 letters without an entry below
+
+// Advance widths (1/1000 em) of characters 32-126, from the Adobe core font metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS },
+};
+
+const ASCII_REPLACEMENTS = {
+    '\u2018': "'", '\u2019': "'", '\u201c': '"', '\u201d': '"',
+    '\u2013': '-', '\u2014': '-', '\u2022': '*', '\u2026': '...', '\u00a0': ' ', '\t': '    ',
+};
+
+// --- Text helpers ---
+
+function toWinAnsi(text) {
+    return String(text ?? '')
+        .replace(/[\u2018\u2019\u201c\u201d\u2013\u2014\u2022\u2026\u00a0\t]/g, char => ASCII_REPLACEMENTS[char])
+        .replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, '')
+        .replace(/[^\u0000-\u00ff]/g, '?');
+}
+
+function textWidth(text, font, size) {
+    const { widths } = FONTS[font];
+    let total = 0;
+    for (const char of text) {
+        total += widths[char.charCodeAt(0) - 32] || DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+}
+
+// Greedy word wrap; line breaks in the text are kept and a word wider than the line is split
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    toWinAnsi(text).split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(' ').forEach(word => {
+            const candidate = line === '' ? word : `${line} ${word}`;
+            if (textWidth(candidate, font, size) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line !== '') lines.push(line);
+            line = word;
+            while (textWidth(line, font, size) > maxWidth && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+function escapePdfString(text) {
+    return text.replace(/[\\()]/g, '\\$&');
+}
+
+function pdfDate(date) {
+    const iso = date.toISOString(); // 2025-04-15T09:30:00.000Z
+    return `D:${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`;
+}
+
+// --- Document builder ---
+// Content flows down the page and onto a new one when it reaches the bottom margin.
+// footerText appears on the left of every page's footer, 'Page N of M' on the right.
+function createPdf({ title = '', footerText = '', createdAt = new Date() } = {}) {
+    const pages = [];
+    let operations = null;
+    let y = 0; // top of the next line
+
+    function newPage() {
+        operations = [];
+        pages.push(operations);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    // Start a new page unless `height` more points fit on this one
+    function keepTogether(height) {
+        if (!operations || y - height < MARGIN) newPage();
+    }
+
+    function drawLine(line, x, baseline, font, size) {
+        operations.push(`BT /${FONTS[font].resource} ${size} Tf ${x.toFixed(2)} ${baseline.toFixed(2)} Td (${escapePdfString(line)}) Tj ET`);
+    }
+
+    // Paragraph of wrapped text. align: 'left' | 'center' | 'right'; gap: space after it
+    function text(content, { font = 'regular', size = 10, indent = 0, align = 'left', gap = 4 } = {}) {
+        const lineHeight = size * LINE_HEIGHT;
+        const width = CONTENT_WIDTH - indent;
+        wrapText(content, font, size, width).forEach(line => {
+            keepTogether(lineHeight);
+            let x = MARGIN + indent;
+            if (align === 'center') x = MARGIN + indent + (width - textWidth(line, font, size)) / 2;
+            if (align === 'right') x = PAGE_WIDTH - MARGIN - textWidth(line, font, size);
+            drawLine(line, x, y - size, font, size);
+            y -= lineHeight;
+        });
+        y -= gap;
+    }
+
+    // Bold label with its value wrapped in the column beside it
+    function field(label, value, { size = 10, labelWidth = 110, gap = 2 } = {}) {
+        const lineHeight = size * LINE_HEIGHT;
+        const valueLines = wrapText(value, 'regular', size, CONTENT_WIDTH - labelWidth);
+        valueLines.forEach((line, index) => {
+            keepTogether(lineHeight);
+            if (index === 0) drawLine(toWinAnsi(label), MARGIN, y - size, 'bold', size);
+            drawLine(line, MARGIN + labelWidth, y - size, 'regular', size);
+            y -= lineHeight;
+        });
+        y -= gap;
+    }
+
+    // Bold heading, kept on the same page as the first lines after it
+    function heading(content, { size = 12 } = {}) {
+        keepTogether(size * LINE_HEIGHT + 4 + 3 * 10 * LINE_HEIGHT);
+        y -= 6;
+        text(content, { font: 'bold', size, gap: 2 });
+    }
+
+    function rule({ gap = 8 } = {}) {
+        keepTogether(gap * 2);
+        y -= gap;
+        operations.push(`0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+        y -= gap;
+    }
+
+    function space(points) {
+        y -= points;
+    }
+
+    // --- Serialize: catalog, page tree, fonts, info, then a page and content stream per page ---
+    function toBuffer() {
+        if (pages.length === 0) newPage();
+        const footerLeft = wrapText(footerText, 'regular', 8, CONTENT_WIDTH - 80)[0] || '';
+        pages.forEach((pageOperations, index) => {
+            const pageLabel = `Page ${index + 1} of ${pages.length}`;
+            pageOperations.push(`BT /F1 8 Tf ${MARGIN} ${FOOTER_BASELINE} Td (${escapePdfString(footerLeft)}) Tj ET`);
+            const labelX = PAGE_WIDTH - MARGIN - textWidth(pageLabel, 'regular', 8);
+            pageOperations.push(`BT /F1 8 Tf ${labelX.toFixed(2)} ${FOOTER_BASELINE} Td (${pageLabel}) Tj ET`);
+        });
+
+        const fontNames = Object.keys(FONTS);
+        const firstPageObject = 4 + fontNames.length;
+        const pageObjectIds = pages.map((_, index) => firstPageObject + index * 2);
+        const fontResources = fontNames.map((name, index) => `/${FONTS[name].resource} ${3 + index} 0 R`).join(' ');
+
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+            ...fontNames.map(name => `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name].baseFont} /Encoding /WinAnsiEncoding >>`),
+            `<< /Title (${escapePdfString(toWinAnsi(title))}) /CreationDate (${pdfDate(createdAt)}) >>`,
+        ];
+        pages.forEach((pageOperations, index) => {
+            const stream = pageOperations.join('\n');
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${pageObjectIds[index] + 1} 0 R >>`);
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        });
+
+        // Every character is Latin-1, so string length is the byte offset the xref needs
+        let output = '%PDF-1.4\n%\u00e2\u00e3\u00cf\u00d3\n'; // binary marker comment
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${3 + fontNames.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        return Buffer.from(output, 'latin1');
+    }
+
+    return { text, field, heading, rule, space, keepTogether, toBuffer };
+}
+
+module.exports = {
+    createPdf,
+    wrapText,
+    textWidth,
+};
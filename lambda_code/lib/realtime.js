@@ -0,0 +1,122 @@
+// Push channel for live queue updates. Workstations hold a WebSocket open on the realtime
+// API (websocket.js registers it in the tenant's realtime_connections table); after each
+// queue change the REST Lambda posts an event to every connection of that tenant through
+// the API Gateway Management API at REALTIME_ENDPOINT. Tenancy comes from the search_path
+// of the client passed in, so an event can only reach connections of the same clinic.
+//
+// Queue events look like
+//   { type: 'queue', action: 'added' | 'status_changed' | 'updated' | 'removed',
+//     entry: {...}, previous_status?, occurred_at }
+// where entry has the columns of a GET /queue row ('removed' carries only the IDs and status).
+// Broadcasting is best effort: a failure is logged and never fails the request.
+
+const POST_TIMEOUT_MS = 3000;
+// API Gateway closes WebSocket connections after two hours whatever happens
+const MAX_CONNECTION_AGE = '2 hours';
+const GONE_STATUS_CODE = 410;
+
+let managementClient = null;
+
+// Loaded here so routes work without the client when no realtime API is configured
+function getManagementClient() {
+    if (!managementClient) {
+        const { ApiGatewayManagementApiClient } = require('@aws-sdk/client-apigatewaymanagementapi');
+        managementClient = new ApiGatewayManagementApiClient({
+            region: process.env.AWS_REGION,
+            endpoint: process.env.REALTIME_ENDPOINT,
+        });
+    }
+    return managementClient;
+}
+
+// --- Connection registry (tenant client: search_path is already set) ---
+
+async function registerConnection(client, connectionId, userSub) {
+    await client.query(`
+        INSERT INTO realtime_connections (connection_id, user_sub) VALUES ($1, $2)
+        ON CONFLICT (connection_id) DO NOTHING;
+    `, [connectionId, userSub || null]);
+}
+
+async function removeConnection(client, connectionId) {
+    await client.query(`DELETE FROM realtime_connections WHERE connection_id = $1;`, [connectionId]);
+}
+
+// --- Send an event to every open connection of the client's tenant ---
+async function broadcastToTenant(client, tenantSchema, event) {
+    if (!process.env.REALTIME_ENDPOINT) {
+        console.log(`REALTIME_ENDPOINT is not set; not broadcasting ${event.type}.${event.action} for tenant ${tenantSchema}`);
+        return;
+    }
+    try {
+        // $disconnect is not guaranteed, so drop connections API Gateway has closed anyway
+        await client.query(`DELETE FROM realtime_connections WHERE connected_at < NOW() - $1::interval;`, [MAX_CONNECTION_AGE]);
+        const result = await client.query(`SELECT connection_id FROM realtime_connections;`);
+        if (result.rows.length === 0) {
+            return;
+        }
+
+        const { PostToConnectionCommand } = require('@aws-sdk/client-apigatewaymanagementapi');
+        const data = Buffer.from(JSON.stringify(event));
+        const goneConnectionIds = [];
+        await Promise.all(result.rows.map(async ({ connection_id: connectionId }) => {
+            try {
+                await getManagementClient().send(
+                    new PostToConnectionCommand({ ConnectionId: connectionId, Data: data }),
+                    { abortSignal: AbortSignal.timeout(POST_TIMEOUT_MS) }
+                );
+            } catch (error) {
+                if (error.$metadata?.httpStatusCode === GONE_STATUS_CODE || error.name === 'GoneException') {
+                    goneConnectionIds.push(connectionId);
+                } else {
+                    console.error(`Could not post ${event.type}.${event.action} to connection ${connectionId} for tenant ${tenantSchema}:`, error);
+                }
+            }
+        }));
+        if (goneConnectionIds.length > 0) {
+            await client.query(`DELETE FROM realtime_connections WHERE connection_id = ANY($1);`, [goneConnectionIds]);
+        }
+        console.log(`Broadcast ${event.type}.${event.action} to ${result.rows.length - goneConnectionIds.length} connections for tenant ${tenantSchema} (${goneConnectionIds.length} gone)`);
+    } catch (error) {
+        console.error(`Broadcasting ${event.type}.${event.action} failed for tenant ${tenantSchema}:`, error);
+    }
+}
+
+// --- Queue changes; call once the change is committed ---
+// For 'removed' pass the deleted row; otherwise the entry is re-read with the patient's
+// name so clients can show it without another GET /queue.
+async function publishQueueEvent(ctx, action, entry, previousStatus) {
+    const { client, tenantSchema } = ctx;
+    let payload = entry;
+    if (action !== 'removed') {
+        try {
+            const result = await client.query(`
+                SELECT
+                    wq.queue_entry_id, wq.patient_id, p.first_name, p.last_name, p.date_of_birth,
+                    wq.queue_timestamp, wq.status, wq.status_updated_at, wq.roomed_at,
+                    wq.with_provider_at, wq.checked_out_at, wq.cancelled_at, wq.notes
+                FROM waiting_queue wq
+                JOIN patients p ON wq.patient_id = p.patient_id
+                WHERE wq.queue_entry_id = $1;
+            `, [entry.queue_entry_id]);
+            payload = result.rows[0] || entry;
+        } catch (error) {
+            console.error(`Could not load queue entry ${entry.queue_entry_id} to broadcast for tenant ${tenantSchema}:`, error);
+        }
+    }
+
+    await broadcastToTenant(client, tenantSchema, {
+        type: 'queue',
+        action,
+        entry: payload,
+        ...(previousStatus ? { previous_status: previousStatus } : {}),
+        occurred_at: new Date().toISOString(),
+    });
+}
+
+module.exports = {
+    registerConnection,
+    removeConnection,
+    broadcastToTenant,
+    publishQueueEvent,
+};
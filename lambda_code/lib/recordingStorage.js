@@ -0,0 +1,105 @@
+// Encounter recording storage in S3 (RECORDINGS_BUCKET). The browser uploads audio straight
+// to the bucket with a presigned PUT URL, so recordings never pass through API Gateway's
+// 10 MB payload limit; transcription jobs write their output to the same bucket.
+const { S3Client, PutObjectCommand, HeadObjectCommand, GetObjectCommand, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const UPLOAD_URL_EXPIRES_SECONDS = 15 * 60;
+const DELETE_BATCH_SIZE = 1000; // most keys one DeleteObjects request takes
+
+// Accepted recording formats -> file extension (and the Transcribe MediaFormat)
+const RECORDING_EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/wav': 'wav',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'mp4',
+    'audio/mpeg': 'mp3',
+    'audio/flac': 'flac',
+};
+
+let s3Client = null;
+
+function getS3Client() {
+    if (!s3Client) {
+        s3Client = new S3Client({ region: process.env.AWS_REGION });
+    }
+    return s3Client;
+}
+
+function getRecordingsBucket() {
+    const bucket = process.env.RECORDINGS_BUCKET;
+    if (!bucket) {
+        throw new Error('RECORDINGS_BUCKET is not set; encounter recordings are unavailable.');
+    }
+    return bucket;
+}
+
+// --- Object keys, grouped by tenant so a clinic's files can be listed or removed together ---
+
+function recordingKey(tenantSchema, patientId, recordingId, contentType) {
+    return `recordings/${tenantSchema}/${patientId}/${recordingId}.${RECORDING_EXTENSIONS[contentType]}`;
+}
+
+function transcriptKey(tenantSchema, recordingId) {
+    return `transcripts/${tenantSchema}/${recordingId}.json`;
+}
+
+// --- Presigned upload; the client must send the same Content-Type it was signed with ---
+async function createUploadUrl(key, contentType) {
+    const command = new PutObjectCommand({ Bucket: getRecordingsBucket(), Key: key, ContentType: contentType });
+    const url = await getSignedUrl(getS3Client(), command, { expiresIn: UPLOAD_URL_EXPIRES_SECONDS });
+    return {
+        url,
+        method: 'PUT',
+        headers: { 'Content-Type': contentType },
+        expires_in: UPLOAD_URL_EXPIRES_SECONDS,
+    };
+}
+
+// Size in bytes of an uploaded object, or null when nothing has been uploaded under the key
+async function getObjectSize(key) {
+    try {
+        const head = await getS3Client().send(new HeadObjectCommand({ Bucket: getRecordingsBucket(), Key: key }));
+        return head.ContentLength ?? 0;
+    } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+    }
+}
+
+async function readJsonObject(key) {
+    const response = await getS3Client().send(new GetObjectCommand({ Bucket: getRecordingsBucket(), Key: key }));
+    return JSON.parse(await response.Body.transformToString('utf8'));
+}
+
+// Remove objects for good (patient purge). Keys that don't exist count as deleted;
+// any other per-key failure throws so the caller can stop before dropping the rows.
+async function deleteObjects(keys) {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        const response = await getS3Client().send(new DeleteObjectsCommand({
+            Bucket: getRecordingsBucket(),
+            Delete: { Objects: batch.map(key => ({ Key: key })), Quiet: true },
+        }));
+        if (response.Errors?.length > 0) {
+            const failed = response.Errors.map(error => `${error.Key} (${error.Code})`).join(', ');
+            throw new Error(`Could not delete ${response.Errors.length} objects: ${failed}`);
+        }
+    }
+}
+
+function s3Uri(key) {
+    return `s3://${getRecordingsBucket()}/${key}`;
+}
+
+module.exports = {
+    RECORDING_EXTENSIONS,
+    getRecordingsBucket,
+    recordingKey,
+    transcriptKey,
+    createUploadUrl,
+    getObjectSize,
+    readJsonObject,
+    deleteObjects,
+    s3Uri,
+};
@@ -0,0 +1,98 @@
+// Revision history for records that are edited in place (patients, SOAP notes).
+//
+// Each row in the tenant's `revisions` table is a full snapshot of the record as it
+// was *before* one update, together with who made that update and when. Revision N
+// therefore differs from revision N + 1 (or from the live row, for the latest one)
+// by exactly the change recorded in revision N.
+const { HttpError } = require('./http');
+const { getActor } = require('./identity');
+
+// Columns that change on every write, or only mirror another column (blind indexes of
+// encrypted fields), and would only add noise to a diff
+const DIFF_IGNORED_FIELDS = ['updated_at', 'email_bidx', 'phone_number_bidx', 'phone_last4_bidx', 'phone_last7_bidx'];
+
+// --- Snapshot the prior version of a record (call inside the update's transaction) ---
+// priorRow must come from a SELECT ... FOR UPDATE so revision numbers can't race.
+async function recordRevision(client, ctx, entityType, entityId, priorRow) {
+    const actor = getActor(ctx);
+    // A VALUES list so lib/fieldEncryption.js can encrypt the snapshot
+    const insertQuery = `
+        INSERT INTO revisions (entity_type, entity_id, revision_number, data, edited_by_sub, edited_by_name)
+        VALUES (
+            $1, $2,
+            (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM revisions WHERE entity_type = $1 AND entity_id = $2),
+            $3::jsonb, $4, $5
+        )
+        RETURNING revision_id, revision_number;
+    `;
+    const result = await client.query(insertQuery, [entityType, entityId, JSON.stringify(priorRow), actor.sub, actor.name]);
+    console.log(`Recorded ${entityType} ${entityId} revision ${result.rows[0].revision_number} (edited by ${actor.sub || 'unknown'})`);
+    return result.rows[0];
+}
+
+// --- List an entity's revisions, oldest first ---
+async function listRevisions(client, entityType, entityId) {
+    const result = await client.query(
+        `SELECT revision_id, revision_number, edited_by_sub, edited_by_name, edited_at, data
+         FROM revisions
+         WHERE entity_type = $1 AND entity_id = $2
+         ORDER BY revision_number ASC;`,
+        [entityType, entityId]
+    );
+    return result.rows;
+}
+
+// --- Field-level differences between two snapshots ---
+// Returns [{ field, from, to }] for every top-level field whose value differs.
+function diffSnapshots(fromData, toData) {
+    const fields = new Set([...Object.keys(fromData || {}), ...Object.keys(toData || {})]);
+    const changes = [];
+    for (const field of fields) {
+        if (DIFF_IGNORED_FIELDS.includes(field)) continue;
+        const fromValue = fromData?.[field] === undefined ? null : fromData[field];
+        const toValue = toData?.[field] === undefined ? null : toData[field];
+        if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+            changes.push({ field, from: fromValue, to: toValue });
+        }
+    }
+    return changes;
+}
+
+// --- Resolve ?from= / ?to= (a revision number or 'current') to a snapshot ---
+function pickSnapshot(revisions, currentRow, rawValue, name) {
+    if (rawValue === 'current') {
+        return { revision: 'current', data: currentRow };
+    }
+    const revisionNumber = Number(rawValue);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+        throw new HttpError(400, `Bad Request: '${name}' must be a revision number or 'current'.`);
+    }
+    const revision = revisions.find(r => r.revision_number === revisionNumber);
+    if (!revision) {
+        throw new HttpError(404, `Revision ${revisionNumber} not found.`);
+    }
+    return { revision: revisionNumber, data: revision.data };
+}
+
+// --- Build the diff response for GET .../revisions/diff?from=&to= ---
+// `to` defaults to 'current' (the live row) so ?from=N shows everything changed since N.
+async function diffRevisions(client, entityType, entityId, currentRow, query) {
+    if (query.from === undefined || query.from === '') {
+        throw new HttpError(400, "Bad Request: Missing required query parameter 'from'.");
+    }
+    const revisions = await listRevisions(client, entityType, entityId);
+    const from = pickSnapshot(revisions, currentRow, query.from, 'from');
+    const to = pickSnapshot(revisions, currentRow, query.to === undefined || query.to === '' ? 'current' : query.to, 'to');
+    return {
+        from: from.revision,
+        to: to.revision,
+        changes: diffSnapshots(from.data, to.data),
+    };
+}
+
+module.exports = {
+    recordRevision,
+    listRevisions,
+    diffSnapshots,
+    diffRevisions,
+};
@@ -0,0 +1,72 @@
+// Declarative route registry for the Lambda handler.
+//
+// A route is a plain object:
+//   {
+//     method: 'GET',
+//     path: '/patients/:id',        // ':name' segments become ctx.params.name
+//     action: 'fetch patient',      // used in logs and generic 500 messages
+//     middleware: [resolveTenant],  // run in order before the handler
+//     handler: async (ctx) => ({ statusCode: 200, body: {...} }),
+//   }
+//
+// Middleware has the signature async (ctx, next) => response and may return early
+// (e.g. a 400) instead of calling next().
+
+// --- Turn '/patients/:id' into a matcher ---
+function compilePath(template) {
+    const paramNames = [];
+    const pattern = template
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                paramNames.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return { regex: new RegExp(`^${pattern}$`), paramNames };
+}
+
+// Drop a trailing slash so '/patients/' and '/patients' resolve to the same route
+function normalizePath(path) {
+    if (!path) return '/';
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+function createRouter(routes) {
+    const compiled = routes.map(route => ({ route, ...compilePath(route.path) }));
+
+    // Resolve a request to { route, params }, or { allowedMethods } when the path exists
+    // under a different method, or null when no route has this path.
+    function match(method, rawPath) {
+        const path = normalizePath(rawPath);
+        const allowedMethods = new Set();
+        for (const entry of compiled) {
+            const result = entry.regex.exec(path);
+            if (!result) continue;
+            if (entry.route.method === method) {
+                const params = {};
+                entry.paramNames.forEach((name, i) => { params[name] = decodeURIComponent(result[i + 1]); });
+                return { route: entry.route, params };
+            }
+            allowedMethods.add(entry.route.method);
+        }
+        return allowedMethods.size > 0 ? { allowedMethods: [...allowedMethods, 'OPTIONS'] } : null;
+    }
+
+    return { match };
+}
+
+// --- Run a route's middleware chain and then its handler ---
+async function runRoute(route, ctx) {
+    const chain = [...(route.middleware || []), (innerCtx) => route.handler(innerCtx)];
+    const dispatch = (index) => chain[index](ctx, () => dispatch(index + 1));
+    return dispatch(0);
+}
+
+module.exports = {
+    createRouter,
+    runRoute,
+    normalizePath,
+};
@@ -0,0 +1,163 @@
+// AI-assisted SOAP drafting: turns dictated or typed narrative into proposed
+// Subjective/Objective/Assessment/Plan text and suggested codes. Nothing is saved; the
+// provider edits the draft in the note editor and saves it through POST /soapnotes.
+//
+// The model (lib/modelProviders.js) is asked for JSON. Its reply is parsed here and every
+// suggested code is checked against the bundled code sets, so the editor only receives
+// codes POST /soapnotes would accept; anything dropped is reported in warnings. A
+// well-formed code missing from a set that isn't complete (COMPLETE_CODE_SETS) is kept
+// with a warning, as POST /soapnotes would save it.
+const { lookupCode, isCompleteCodeSet } = require('./codeSets');
+const { MAX_DIAGNOSIS_POINTERS, ICD10_CODE_PATTERN, CPT_CODE_PATTERN } = require('../validation');
+
+const MAX_DRAFT_DIAGNOSES = 12;
+const MAX_DRAFT_PROCEDURES = 20;
+
+const DRAFT_SYSTEM_PROMPT = `You are a clinical documentation assistant. You turn a clinician's dictated or typed narrative about one patient visit into a draft SOAP note that the clinician will review and edit before it is saved.
+
+Rules:
+- Use only facts stated in the narrative. Never invent findings, measurements, history or treatment. Leave a section as an empty string when the narrative has nothing for it.
+- Subjective: the patient's complaints, history and reported symptoms. Objective: exam findings, measurements and tests. Assessment: the clinical impression. Plan: treatment given, home care, referrals and follow-up.
+- Write in concise clinical prose.
+- Suggest ICD-10-CM diagnosis codes (most specific billable code, primary first) and CPT procedure codes only when the narrative supports them, each with a short rationale. dx_pointers are 1-based positions in dx_codes.
+- Reply with a single JSON object and nothing else, in this shape:
+{"subjective": "", "objective": "", "assessment": "", "plan": "", "dx_codes": [{"code": "", "rationale": ""}], "billing_codes": [{"code": "", "units": 1, "dx_pointers": [1], "rationale": ""}]}`;
+
+const SOURCE_LABELS = {
+    typed: 'typed notes',
+    transcript: 'a transcript of the visit',
+};
+
+// Whole years on the date of the visit
+function ageInYears(dateOfBirth, today = new Date()) {
+    const dob = dateOfBirth instanceof Date ? dateOfBirth : new Date(dateOfBirth);
+    let age = today.getUTCFullYear() - dob.getUTCFullYear();
+    const beforeBirthday = today.getUTCMonth() < dob.getUTCMonth()
+        || (today.getUTCMonth() === dob.getUTCMonth() && today.getUTCDate() < dob.getUTCDate());
+    if (beforeBirthday) age--;
+    return age;
+}
+
+// --- System prompt and user message for the model ---
+// The clinic's custom_llm_instructions are appended to the system prompt. Only the
+// patient's age and sex go to the model, never their name or identifiers.
+function buildDraftPrompt({ text, source = 'typed', instructions, patient }) {
+    let system = DRAFT_SYSTEM_PROMPT;
+    if (instructions && instructions.trim() !== '') {
+        system += `\n\nClinic instructions (follow them unless they conflict with the rules above):\n${instructions.trim()}`;
+    }
+
+    const context = [];
+    if (patient?.date_of_birth) context.push(`Patient age: ${ageInYears(patient.date_of_birth)}`);
+    if (patient?.gender) context.push(`Patient sex: ${patient.gender}`);
+    const prompt = [
+        `Draft a SOAP note from the following ${SOURCE_LABELS[source] || SOURCE_LABELS.typed}.`,
+        ...context,
+        '<narrative>',
+        text.trim(),
+        '</narrative>',
+    ].join('\n');
+    return { system, prompt };
+}
+
+// --- Model reply -> object, or null when there is no JSON object to read ---
+// Tolerates a ```json fence or a sentence around the object.
+function parseDraftOutput(output) {
+    const raw = String(output || '');
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        const parsed = JSON.parse(raw.slice(start, end + 1));
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (parseError) {
+        return null;
+    }
+}
+
+function asText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// --- Keep only suggested codes the note could be saved with ---
+// The entry for a suggested code; an unchecked one for a well-formed code missing from an
+// incomplete set, or null when the code can't be used
+function resolveSuggestedCode(name, code, pattern) {
+    const entry = lookupCode(name, code);
+    if (entry || isCompleteCodeSet(name)) return entry;
+    const formatted = name === 'icd10' && code.length > 3 && !code.includes('.') ? `${code.slice(0, 3)}.${code.slice(3)}` : code;
+    return new RegExp(pattern).test(formatted) ? { code: formatted, billable: true, description: '', unchecked: true } : null;
+}
+
+function reviewSuggestedCodes(parsed) {
+    const warnings = [];
+    const dxCodes = [];
+    (Array.isArray(parsed.dx_codes) ? parsed.dx_codes : []).forEach(suggestion => {
+        const code = asText(typeof suggestion === 'string' ? suggestion : suggestion?.code).toUpperCase();
+        if (code === '' || dxCodes.some(dx => dx.code === code)) return;
+        const entry = resolveSuggestedCode('icd10', code, ICD10_CODE_PATTERN);
+        if (!entry || !entry.billable) {
+            warnings.push(`Suggested diagnosis ${code} was dropped: ${entry ? 'not a billable code' : 'not in the ICD-10-CM code set'}.`);
+        } else if (dxCodes.length >= MAX_DRAFT_DIAGNOSES) {
+            warnings.push(`Suggested diagnosis ${code} was dropped: a note lists at most ${MAX_DRAFT_DIAGNOSES} diagnoses.`);
+        } else {
+            if (entry.unchecked) warnings.push(`Suggested diagnosis ${entry.code} is not in the bundled ICD-10-CM codes; check it before saving.`);
+            dxCodes.push({ code: entry.code, description: entry.description, rationale: asText(suggestion?.rationale) });
+        }
+    });
+
+    const billingCodes = [];
+    (Array.isArray(parsed.billing_codes) ? parsed.billing_codes : []).forEach(suggestion => {
+        const code = asText(typeof suggestion === 'string' ? suggestion : suggestion?.code).toUpperCase();
+        if (code === '' || billingCodes.some(line => line.code === code)) return;
+        const entry = resolveSuggestedCode('cpt', code, CPT_CODE_PATTERN);
+        if (!entry || !entry.billable) {
+            warnings.push(`Suggested procedure ${code} was dropped: ${entry ? 'not a billable code' : 'not in the CPT code set'}.`);
+            return;
+        }
+        if (billingCodes.length >= MAX_DRAFT_PROCEDURES) return;
+        if (entry.unchecked) warnings.push(`Suggested procedure ${entry.code} is not in the bundled CPT codes; check it before saving.`);
+        const units = Number.isInteger(suggestion?.units) && suggestion.units >= 1 && suggestion.units <= 999 ? suggestion.units : 1;
+        // Pointers must land on a kept diagnosis; a line without any points at the primary
+        let pointers = (Array.isArray(suggestion?.dx_pointers) ? suggestion.dx_pointers : [])
+            .filter(pointer => Number.isInteger(pointer) && pointer >= 1 && pointer <= dxCodes.length);
+        pointers = [...new Set(pointers)].slice(0, MAX_DIAGNOSIS_POINTERS);
+        if (pointers.length === 0 && dxCodes.length > 0) pointers = [1];
+        billingCodes.push({ code: entry.code, description: entry.description, units, dx_pointers: pointers, rationale: asText(suggestion?.rationale) });
+    });
+    return { dxCodes, billingCodes, warnings };
+}
+
+// --- Ask the model for a draft ---
+// Throws { unusable: true } errors when the reply can't be read as a draft; errors from
+// the provider itself propagate as they are.
+async function draftSoapNote({ text, source, instructions, patient, provider }) {
+    const { system, prompt } = buildDraftPrompt({ text, source, instructions, patient });
+    const output = await provider.complete({ system, prompt });
+    const parsed = parseDraftOutput(output);
+    if (!parsed) {
+        const error = new Error('The model reply did not contain a JSON draft.');
+        error.unusable = true;
+        throw error;
+    }
+
+    const { dxCodes, billingCodes, warnings } = reviewSuggestedCodes(parsed);
+    const draft = {
+        subjective: asText(parsed.subjective),
+        objective: asText(parsed.objective),
+        assessment: asText(parsed.assessment),
+        plan: asText(parsed.plan),
+        dx_codes: dxCodes,
+        billing_codes: billingCodes,
+    };
+    if (!draft.subjective && !draft.objective && !draft.assessment && !draft.plan) {
+        warnings.push('The draft has no section text; the narrative may be too short.');
+    }
+    return { draft, warnings };
+}
+
+module.exports = {
+    buildDraftPrompt,
+    parseDraftOutput,
+    draftSoapNote,
+};
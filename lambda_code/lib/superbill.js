@@ -0,0 +1,198 @@
+// Superbill for a SOAP note: the note's billing lines priced from the clinic's
+// cpt_fees, with their diagnosis pointers, the patient and the rendering provider.
+// buildSuperbill gives the JSON form; renderSuperbillHtml the printable page.
+const { normalizeBillingLine, diagnosisPointerLetter } = require('../validation');
+
+// Work in whole cents so 3 x $33.33 is $99.99, not $99.99000000000001
+function toCents(amount) {
+    return Math.round(Number(amount) * 100);
+}
+
+function fromCents(cents) {
+    return cents / 100;
+}
+
+// pg returns DATE / TIMESTAMPTZ columns as Date objects
+function toDateString(value) {
+    if (!value) return null;
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// --- Price a note's billing lines from the fee schedule (also used for 837P claims) ---
+// Amounts are in cents; a code with no fee has null amounts and is listed in unpricedCodes.
+function priceBillingLines(note, fees = {}) {
+    const unpricedCodes = new Set();
+    let totalCents = 0;
+
+    const lines = (note.billing_codes || []).map((entry, index) => {
+        const line = normalizeBillingLine(entry);
+        const fee = fees[line.code];
+        const hasFee = fee !== undefined && fee !== null;
+        const unitCents = hasFee ? toCents(fee) : null;
+        const amountCents = hasFee ? unitCents * line.units : null;
+        if (hasFee) {
+            totalCents += amountCents;
+        } else {
+            unpricedCodes.add(line.code);
+        }
+        return { ...line, line: index + 1, unitCents, amountCents };
+    });
+    return { lines, totalCents, unpricedCodes: [...unpricedCodes] };
+}
+
+// --- Assemble the superbill from the rows it is built from ---
+// Lines whose CPT code has no fee in the schedule are kept with a null amount and listed
+// in unpriced_codes, so the front desk sees what still needs a price.
+function buildSuperbill({ note, patient, doctor, settings }) {
+    const dxCodes = note.dx_codes || [];
+    const { lines, totalCents, unpricedCodes } = priceBillingLines(note, settings?.cpt_fees || {});
+
+    const charges = lines.map(line => ({
+        line: line.line,
+        code: line.code,
+        modifiers: line.modifiers,
+        units: line.units,
+        unit_fee: line.unitCents === null ? null : fromCents(line.unitCents),
+        amount: line.amountCents === null ? null : fromCents(line.amountCents),
+        dx_pointers: line.dx_pointers.map(diagnosisPointerLetter),
+        diagnoses: line.dx_pointers.map(pointer => dxCodes[pointer - 1]).filter(Boolean),
+    }));
+
+    return {
+        clinic: { name: settings?.clinic_name || null },
+        note: {
+            note_id: note.note_id,
+            date_of_service: toDateString(note.created_at),
+            signed_status: note.signed_status,
+            signed_at: note.signed_at || null,
+        },
+        patient: {
+            patient_id: patient.patient_id,
+            first_name: patient.first_name,
+            last_name: patient.last_name,
+            middle_initial: patient.middle_initial || null,
+            date_of_birth: toDateString(patient.date_of_birth),
+            gender: patient.gender || null,
+            phone_number: patient.phone_number || null,
+            email: patient.email || null,
+            address_line1: patient.address_line1 || null,
+            address_line2: patient.address_line2 || null,
+            city: patient.city || null,
+            state_province: patient.state_province || null,
+            postal_code: patient.postal_code || null,
+            country: patient.country || null,
+            insurance_info: patient.insurance_info || {},
+        },
+        rendering_provider: doctor
+            ? { doctor_id: doctor.doctor_id, full_name: doctor.full_name, credentials: doctor.credentials || null }
+            : null,
+        diagnoses: dxCodes.map((code, index) => ({ pointer: diagnosisPointerLetter(index + 1), code })),
+        charges,
+        total_charges: fromCents(totalCents),
+        currency: 'USD',
+        unpriced_codes: unpricedCodes,
+        generated_at: new Date().toISOString(),
+    };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatMoney(amount) {
+    return amount === null ? 'Not in fee schedule' : `$${amount.toFixed(2)}`;
+}
+
+// --- Printable HTML page for the front desk ---
+// Every value from the database goes through escapeHtml.
+function renderSuperbillHtml(superbill) {
+    const { clinic, note, patient, rendering_provider: provider } = superbill;
+    const patientName = [patient.first_name, patient.middle_initial, patient.last_name].filter(Boolean).join(' ');
+    const cityLine = [patient.city, patient.state_province, patient.postal_code].filter(Boolean).join(', ');
+    const insurance = patient.insurance_info || {};
+
+    const diagnosisRows = superbill.diagnoses.map(dx => `
+            <tr><td>${escapeHtml(dx.pointer)}</td><td>${escapeHtml(dx.code)}</td></tr>`).join('');
+    const chargeRows = superbill.charges.map(charge => `
+            <tr>
+                <td>${charge.line}</td>
+                <td>${escapeHtml(charge.code)}</td>
+                <td>${escapeHtml(charge.modifiers.join(' '))}</td>
+                <td>${escapeHtml(charge.dx_pointers.join(', '))}</td>
+                <td class="num">${charge.units}</td>
+                <td class="num">${escapeHtml(formatMoney(charge.unit_fee))}</td>
+                <td class="num">${escapeHtml(formatMoney(charge.amount))}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Superbill - ${escapeHtml(patientName)} - ${escapeHtml(note.date_of_service)}</title>
+    <style>
+        body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 2em; }
+        h1 { font-size: 20px; margin: 0 0 0.2em; }
+        h2 { font-size: 14px; margin: 1.5em 0 0.5em; border-bottom: 1px solid #999; }
+        .columns { display: flex; gap: 3em; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #bbb; padding: 4px 6px; text-align: left; }
+        th { background: #f0f0f0; }
+        .num { text-align: right; }
+        .total td { font-weight: bold; }
+        .warning { color: #a94442; margin-top: 0.5em; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(clinic.name || 'Superbill')}</h1>
+    <div>Superbill &middot; Date of service ${escapeHtml(note.date_of_service)} &middot; Note ${escapeHtml(note.note_id)} (${escapeHtml(note.signed_status)})</div>
+
+    <div class="columns">
+        <div>
+            <h2>Patient</h2>
+            <div>${escapeHtml(patientName)}</div>
+            <div>DOB: ${escapeHtml(patient.date_of_birth)}${patient.gender ? ` &middot; ${escapeHtml(patient.gender)}` : ''}</div>
+            ${patient.address_line1 ? `<div>${escapeHtml(patient.address_line1)}</div>` : ''}
+            ${patient.address_line2 ? `<div>${escapeHtml(patient.address_line2)}</div>` : ''}
+            ${cityLine ? `<div>${escapeHtml(cityLine)}</div>` : ''}
+            ${patient.phone_number ? `<div>Phone: ${escapeHtml(patient.phone_number)}</div>` : ''}
+            ${insurance.payer_name || insurance.member_id ? `<div>Insurance: ${escapeHtml(insurance.payer_name || '')} ${escapeHtml(insurance.member_id || '')}</div>` : ''}
+        </div>
+        <div>
+            <h2>Rendering Provider</h2>
+            <div>${provider ? `${escapeHtml(provider.full_name)}${provider.credentials ? `, ${escapeHtml(provider.credentials)}` : ''}` : 'Not recorded'}</div>
+        </div>
+    </div>
+
+    <h2>Diagnoses (ICD-10)</h2>
+    <table>
+        <thead><tr><th>Pointer</th><th>Code</th></tr></thead>
+        <tbody>${diagnosisRows || '<tr><td colspan="2">None recorded</td></tr>'}
+        </tbody>
+    </table>
+
+    <h2>Services</h2>
+    <table>
+        <thead><tr><th>#</th><th>CPT</th><th>Modifiers</th><th>Dx Pointers</th><th class="num">Units</th><th class="num">Fee</th><th class="num">Amount</th></tr></thead>
+        <tbody>${chargeRows || '<tr><td colspan="7">No services recorded</td></tr>'}
+            <tr class="total"><td colspan="6">Total charges</td><td class="num">${escapeHtml(formatMoney(superbill.total_charges))}</td></tr>
+        </tbody>
+    </table>
+    ${superbill.unpriced_codes.length > 0 ? `<div class="warning">Not in the clinic fee schedule (excluded from the total): ${escapeHtml(superbill.unpriced_codes.join(', '))}</div>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    priceBillingLines,
+    toDateString,
+    buildSuperbill,
+    renderSuperbillHtml,
+    escapeHtml,
+};
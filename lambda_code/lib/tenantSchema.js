@@ -0,0 +1,118 @@
+// Tenant schema provisioning: database-wide prerequisites, the schema itself, every
+// migration from ../migrations, then grants and the initial settings row. The
+// prerequisites and grants are defined in lib/migrations.js, which re-applies them
+// whenever an existing tenant is migrated.
+//
+// Each step runs in its own transaction and only uses IF NOT EXISTS / OR REPLACE /
+// ON CONFLICT DO NOTHING, and migrations already recorded in the schema are skipped,
+// so a provisioning run that failed part-way can simply be repeated. Tables belong in
+// a migration, not here; keep perclinicpostgres.md in step with both.
+const { isValidSchemaName, withTransaction } = require('./db');
+const { GLOBAL_STEPS, GRANTS_STEP, migrateTenant, migrationLabel } = require('./migrations');
+
+// Postgres truncates identifiers longer than this (NAMEDATALEN - 1)
+const MAX_SCHEMA_NAME_LENGTH = 63;
+const SCHEMA_NAME_PREFIX = 'clinic_';
+
+// --- Per-tenant steps; `s` is the already-quoted schema identifier ---
+// SCHEMA_STEPS run before the migrations, TENANT_STEPS after them.
+const SCHEMA_STEPS = [
+    {
+        name: 'schema',
+        sql: (s) => `CREATE SCHEMA IF NOT EXISTS ${s};`,
+    },
+];
+
+const TENANT_STEPS = [
+    GRANTS_STEP,
+    {
+        name: 'initial_settings',
+        sql: (s) => `
+            INSERT INTO ${s}.clinic_settings (clinic_name) VALUES ($1)
+            ON CONFLICT (setting_id) DO NOTHING;
+        `,
+        values: ({ clinicName }) => [clinicName],
+    },
+];
+
+// --- Derive the schema name (and custom:clinic_id value) from the clinic name ---
+// "St. Mary's Clinic" -> "clinic_st_mary_s_clinic". Deterministic, so re-running
+// provisioning for the same clinic targets the same schema.
+function generateSchemaName(clinicName) {
+    const slug = String(clinicName)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // drop accents left over from NFKD ("í" -> "i")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    const schemaName = `${SCHEMA_NAME_PREFIX}${slug}`.slice(0, MAX_SCHEMA_NAME_LENGTH).replace(/_+$/, '');
+    if (slug.length === 0 || !isValidSchemaName(schemaName)) {
+        throw new Error(`Cannot derive a valid schema name from clinic name '${clinicName}'.`);
+    }
+    return schemaName;
+}
+
+// --- Run one provisioning step in its own transaction ---
+async function runStep(client, schemaName, step, quotedSchema, options) {
+    if (step.skip && step.skip(options)) {
+        return 'skipped';
+    }
+    console.log(`Provisioning ${schemaName}: step '${step.name}'`);
+    await withTransaction(client, () => client.query(step.sql(quotedSchema, options), step.values ? step.values(options) : undefined));
+    return 'applied';
+}
+
+// --- Run every step, stopping at the first failure ---
+// Returns { steps: [{ step, status }], failedStep, error }; statuses are
+// 'applied', 'skipped' or 'failed'. Migrations are reported as 'migration NNN_name'.
+async function provisionTenantSchema(client, { schemaName, clinicName, dbRole }) {
+    if (!isValidSchemaName(schemaName) || schemaName.length > MAX_SCHEMA_NAME_LENGTH) {
+        throw new Error(`Invalid schema name '${schemaName}'.`);
+    }
+    const quotedSchema = client.escapeIdentifier(schemaName);
+    const options = { clinicName, dbRole: dbRole ? client.escapeIdentifier(dbRole) : null };
+    const steps = [];
+
+    const runSteps = async (stepList) => {
+        for (const step of stepList) {
+            try {
+                steps.push({ step: step.name, status: await runStep(client, schemaName, step, quotedSchema, options) });
+            } catch (stepError) {
+                console.error(`Provisioning ${schemaName} failed at step '${step.name}':`, stepError);
+                steps.push({ step: step.name, status: 'failed' });
+                return { failedStep: step.name, error: stepError };
+            }
+        }
+        return null;
+    };
+
+    const schemaFailure = await runSteps([...GLOBAL_STEPS, ...SCHEMA_STEPS]);
+    if (schemaFailure) return { steps, ...schemaFailure };
+
+    // An existing schema re-runs nothing here: applied migrations are not pending any more
+    let migration;
+    try {
+        // GLOBAL_STEPS ran above and the grants run with TENANT_STEPS, each reported as a step
+        migration = await migrateTenant(client, schemaName, { globalStepsApplied: true });
+    } catch (statusError) {
+        console.error(`Provisioning ${schemaName} failed reading its migration status:`, statusError);
+        steps.push({ step: 'migrations', status: 'failed' });
+        return { steps, failedStep: 'migrations', error: statusError };
+    }
+    for (const applied of migration.migrations) {
+        steps.push({ step: `migration ${migrationLabel(applied)}`, status: applied.status });
+    }
+    if (migration.failedStep !== null) {
+        return { steps, failedStep: migration.failedStep, error: migration.error };
+    }
+
+    const tenantFailure = await runSteps(TENANT_STEPS);
+    if (tenantFailure) return { steps, ...tenantFailure };
+    return { steps, failedStep: null, error: null };
+}
+
+module.exports = {
+    MAX_SCHEMA_NAME_LENGTH,
+    generateSchemaName,
+    provisionTenantSchema,
+};
@@ -0,0 +1,162 @@
+// Transcription backends for encounter recordings (/recordings).
+//
+// A provider is { name, startJob({ jobName, mediaKey, contentType, outputKey }) -> { jobId, status },
+// getJob(jobId, { outputKey }) -> { status, transcript?, failureReason? } } where status is
+// one of 'queued' | 'processing' | 'complete' | 'failed' and transcript is
+// { text, segments: [{ speaker, start_time, end_time, text }] }. TRANSCRIPTION_PROVIDER picks one:
+//   'stub' - (default) local stand-in: the job runs for a few seconds, then returns a canned
+//            two-speaker visit transcript whatever the audio. For development and testing.
+//   'aws'  - Amazon Transcribe Medical (conversation, primary care, speaker labels), HIPAA
+//            eligible; reads the audio from and writes its output to RECORDINGS_BUCKET.
+// Adding a provider means adding a factory to PROVIDERS.
+const { RECORDING_EXTENSIONS, getRecordingsBucket, readJsonObject, s3Uri } = require('./recordingStorage');
+
+const STUB_PROCESSING_MS = 3000;
+const TRANSCRIBE_TIMEOUT_MS = 10000;
+
+// --- Stub ---
+
+const STUB_SEGMENTS = [
+    { speaker: 'spk_0', text: 'What brings you in today?' },
+    { speaker: 'spk_1', text: 'My low back has been hurting for about two weeks, since I lifted some boxes. It goes down my right leg sometimes.' },
+    { speaker: 'spk_0', text: 'On a scale of zero to ten, how bad is it?' },
+    { speaker: 'spk_1', text: 'About a six, worse when I sit for a long time.' },
+    { speaker: 'spk_0', text: 'Exam shows tenderness and muscle spasm over the lower lumbar paraspinals with reduced range of motion in flexion. Straight leg raise is negative. This is consistent with lumbar segmental dysfunction with muscle spasm. I performed a spinal adjustment of the lumbar spine today. Continue stretching at home and return in one week.' },
+];
+
+// Segments a few seconds apart, as if spoken in turn
+function stubTranscript() {
+    let clock = 0;
+    const segments = STUB_SEGMENTS.map(segment => {
+        const duration = Math.max(2, Math.round(segment.text.split(' ').length / 2.5));
+        const timed = { speaker: segment.speaker, start_time: clock, end_time: clock + duration, text: segment.text };
+        clock += duration + 1;
+        return timed;
+    });
+    return { text: segments.map(segment => segment.text).join(' '), segments };
+}
+
+// The job ID carries its start time, so any Lambda container can answer for it
+function createStubProvider() {
+    return {
+        name: 'stub',
+        startJob: async () => ({ jobId: `stub-${Date.now()}`, status: 'processing' }),
+        getJob: async (jobId) => {
+            const startedAt = Number(String(jobId).replace(/^stub-/, ''));
+            if (!Number.isFinite(startedAt)) {
+                return { status: 'failed', failureReason: `Unknown stub job '${jobId}'.` };
+            }
+            if (Date.now() - startedAt < STUB_PROCESSING_MS) {
+                return { status: 'processing' };
+            }
+            return { status: 'complete', transcript: stubTranscript() };
+        },
+    };
+}
+
+// --- Amazon Transcribe Medical ---
+
+const TRANSCRIBE_STATUSES = {
+    QUEUED: 'queued',
+    IN_PROGRESS: 'processing',
+    COMPLETED: 'complete',
+    FAILED: 'failed',
+};
+
+// Transcribe output JSON -> { text, segments }. Consecutive words from the same speaker
+// form one segment; punctuation is attached to the word before it.
+function transcriptFromTranscribeOutput(output) {
+    const results = output?.results || {};
+    const speakerByStartTime = new Map();
+    (results.speaker_labels?.segments || []).forEach(segment => {
+        (segment.items || []).forEach(item => speakerByStartTime.set(item.start_time, item.speaker_label));
+    });
+
+    const segments = [];
+    let current = null;
+    (results.items || []).forEach(item => {
+        const content = item.alternatives?.[0]?.content || '';
+        if (item.type === 'punctuation') {
+            if (current) current.text += content;
+            return;
+        }
+        const speaker = item.speaker_label || speakerByStartTime.get(item.start_time) || current?.speaker || 'spk_0';
+        const startTime = Number(item.start_time);
+        const endTime = Number(item.end_time);
+        if (!current || current.speaker !== speaker) {
+            current = { speaker, start_time: startTime, end_time: endTime, text: content };
+            segments.push(current);
+        } else {
+            current.text += ` ${content}`;
+            current.end_time = endTime;
+        }
+    });
+
+    const text = results.transcripts?.[0]?.transcript || segments.map(segment => segment.text).join(' ');
+    return { text, segments };
+}
+
+function createAwsProvider() {
+    // Loaded here so the stub works without the Transcribe client installed
+    const {
+        TranscribeClient,
+        StartMedicalTranscriptionJobCommand,
+        GetMedicalTranscriptionJobCommand,
+    } = require('@aws-sdk/client-transcribe');
+    const client = new TranscribeClient({ region: process.env.AWS_REGION });
+    const send = (command) => client.send(command, { abortSignal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS) });
+
+    return {
+        name: 'aws',
+        startJob: async ({ jobName, mediaKey, contentType, outputKey }) => {
+            const response = await send(new StartMedicalTranscriptionJobCommand({
+                MedicalTranscriptionJobName: jobName,
+                LanguageCode: 'en-US',
+                Specialty: 'PRIMARYCARE',
+                Type: 'CONVERSATION',
+                Media: { MediaFileUri: s3Uri(mediaKey) },
+                MediaFormat: RECORDING_EXTENSIONS[contentType],
+                OutputBucketName: getRecordingsBucket(),
+                OutputKey: outputKey,
+                Settings: { ShowSpeakerLabels: true, MaxSpeakerLabels: 2 },
+            }));
+            const job = response.MedicalTranscriptionJob || {};
+            return { jobId: jobName, status: TRANSCRIBE_STATUSES[job.TranscriptionJobStatus] || 'queued' };
+        },
+        getJob: async (jobId, { outputKey }) => {
+            const response = await send(new GetMedicalTranscriptionJobCommand({ MedicalTranscriptionJobName: jobId }));
+            const job = response.MedicalTranscriptionJob || {};
+            const status = TRANSCRIBE_STATUSES[job.TranscriptionJobStatus] || 'processing';
+            if (status === 'failed') {
+                return { status, failureReason: job.FailureReason || 'Transcription failed.' };
+            }
+            if (status !== 'complete') {
+                return { status };
+            }
+            return { status, transcript: transcriptFromTranscribeOutput(await readJsonObject(outputKey)) };
+        },
+    };
+}
+
+const PROVIDERS = {
+    stub: createStubProvider,
+    aws: createAwsProvider,
+};
+
+// One instance per Lambda container and provider name
+const providerInstances = new Map();
+
+function getTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || 'stub') {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown TRANSCRIPTION_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!providerInstances.has(name)) {
+        providerInstances.set(name, PROVIDERS[name]());
+    }
+    return providerInstances.get(name);
+}
+
+module.exports = {
+    getTranscriptionProvider,
+    transcriptFromTranscribeOutput,
+};
@@ -0,0 +1,159 @@
+// ANSI X12 5010 building blocks: element cleaning, segment serialization and a structural
+// check of the segments an 837P file is made of. Segments are arrays, ['NM1', '85', '2', ...],
+// with composites as nested arrays (['HC', '97140', '59']); trailing empty elements are dropped.
+
+const ELEMENT_SEPARATOR = '*';
+const COMPONENT_SEPARATOR = ':';
+const REPETITION_SEPARATOR = '^';
+const SEGMENT_TERMINATOR = '~';
+
+// --- Make a value safe to place in an element ---
+// X12 basic/extended character set in upper case; separators and line breaks become spaces.
+// Names and addresses longer than the element allows are cut to maxLength.
+function cleanElement(value, maxLength) {
+    if (value === undefined || value === null) return '';
+    const cleaned = String(value)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // drop accents left over from NFKD
+        .toUpperCase()
+        .replace(/[*:^~\r\n\t]/g, ' ')
+        .replace(/[^A-Z0-9 !"&'()+,\-./;?=%@[\]_{}\\|<>#$]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return maxLength ? cleaned.slice(0, maxLength).trim() : cleaned;
+}
+
+function serializeElement(element) {
+    return Array.isArray(element) ? trimTrailingEmpty(element).join(COMPONENT_SEPARATOR) : (element ?? '');
+}
+
+function trimTrailingEmpty(parts) {
+    const trimmed = [...parts];
+    while (trimmed.length > 1 && (trimmed[trimmed.length - 1] === '' || trimmed[trimmed.length - 1] === undefined || trimmed[trimmed.length - 1] === null)) {
+        trimmed.pop();
+    }
+    return trimmed;
+}
+
+// ISA is fixed width and keeps every element, empty or not
+function serializeSegment(segment) {
+    const elements = segment[0] === 'ISA' ? segment : trimTrailingEmpty(segment);
+    return elements.map(serializeElement).join(ELEMENT_SEPARATOR) + SEGMENT_TERMINATOR;
+}
+
+// One segment per line, as clearinghouse portals display them
+function serializeSegments(segments) {
+    return segments.map(serializeSegment).join('\n') + '\n';
+}
+
+// --- Element rules for the segments the 837P writer emits ---
+// elements[i] is [minLength, maxLength] for element i + 1 (null for a composite or an element
+// not used); required lists the 1-based element positions that must have a value.
+const SEGMENT_RULES = {
+    ISA: { required: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16], elements: [[2, 2], [10, 10], [2, 2], [10, 10], [2, 2], [15, 15], [2, 2], [15, 15], [6, 6], [4, 4], [1, 1], [5, 5], [9, 9], [1, 1], [1, 1], [1, 1]] },
+    GS: { required: [1, 2, 3, 4, 5, 6, 7, 8], elements: [[2, 2], [2, 15], [2, 15], [8, 8], [4, 8], [1, 9], [1, 2], [1, 12]] },
+    ST: { required: [1, 2, 3], elements: [[3, 3], [4, 9], [1, 35]] },
+    BHT: { required: [1, 2, 3, 4, 5, 6], elements: [[4, 4], [2, 2], [1, 50], [8, 8], [4, 8], [2, 2]] },
+    NM1: { required: [1, 2, 3], elements: [[2, 3], [1, 1], [1, 60], [1, 35], [1, 25], [1, 10], [1, 10], [1, 2], [2, 80]] },
+    PER: { required: [1, 3, 4], elements: [[2, 2], [1, 60], [2, 2], [1, 256]] },
+    HL: { required: [1, 3, 4], elements: [[1, 12], [1, 12], [1, 2], [1, 1]] },
+    PRV: { required: [1, 2, 3], elements: [[1, 3], [2, 3], [1, 50]] },
+    N3: { required: [1], elements: [[1, 55], [1, 55]] },
+    N4: { required: [1, 2, 3], elements: [[2, 30], [2, 2], [3, 15]] },
+    REF: { required: [1, 2], elements: [[2, 3], [1, 50]] },
+    SBR: { required: [1, 9], elements: [[1, 1], [2, 2], [1, 50], [1, 60], [1, 3], null, null, null, [1, 2]] },
+    PAT: { required: [1], elements: [[2, 2]] },
+    DMG: { required: [1, 2, 3], elements: [[2, 3], [1, 35], [1, 1]] },
+    CLM: { required: [1, 2, 5, 6, 7, 8, 9], elements: [[1, 20], [1, 18], null, null, null, [1, 1], [1, 1], [1, 1], [1, 1]] },
+    HI: { required: [1], elements: [null, null, null, null, null, null, null, null, null, null, null, null] },
+    LX: { required: [1], elements: [[1, 6]] },
+    SV1: { required: [1, 2, 3, 4, 7], elements: [null, [1, 18], [2, 2], [1, 15], null, null, null] },
+    DTP: { required: [1, 2, 3], elements: [[3, 3], [2, 3], [1, 35]] },
+    SE: { required: [1, 2], elements: [[1, 10], [4, 9]] },
+    GE: { required: [1, 2], elements: [[1, 6], [1, 9]] },
+    IEA: { required: [1, 2], elements: [[1, 5], [9, 9]] },
+};
+
+function isEmptyElement(element) {
+    if (Array.isArray(element)) return element.every(part => part === '' || part === undefined || part === null);
+    return element === '' || element === undefined || element === null;
+}
+
+// --- Check segments element by element and the envelope around them ---
+// Returns [{ field, message }] naming the segment by position and id (e.g. "segment 12 (NM1)").
+function checkSegments(segments) {
+    const errors = [];
+    const fail = (index, message) => errors.push({ field: `segment ${index + 1} (${segments[index][0]})`, message });
+    const hlIds = new Set();
+    let transactionStart = null;
+
+    segments.forEach((segment, index) => {
+        const [id, ...elements] = segment;
+        const rule = SEGMENT_RULES[id];
+        if (!rule) {
+            fail(index, 'is not a segment the 837P writer knows');
+            return;
+        }
+        if (elements.length > rule.elements.length) {
+            fail(index, `has ${elements.length} elements; at most ${rule.elements.length} are allowed`);
+        }
+        rule.required.forEach(position => {
+            if (isEmptyElement(elements[position - 1])) fail(index, `element ${id}${String(position).padStart(2, '0')} is required`);
+        });
+        elements.forEach((element, i) => {
+            const serialized = String(serializeElement(element));
+            // ISA11 and ISA16 are the separators themselves
+            if (id !== 'ISA' && (/[*~^]/.test(serialized) || (!Array.isArray(element) && serialized.includes(COMPONENT_SEPARATOR)))) {
+                fail(index, `element ${id}${String(i + 1).padStart(2, '0')} contains a separator character`);
+            }
+            const lengths = rule.elements[i];
+            if (!lengths || isEmptyElement(element) || Array.isArray(element)) return;
+            if (serialized.length < lengths[0] || serialized.length > lengths[1]) {
+                fail(index, `element ${id}${String(i + 1).padStart(2, '0')} must be ${lengths[0] === lengths[1] ? lengths[0] : `${lengths[0]}-${lengths[1]}`} characters`);
+            }
+        });
+
+        // Hierarchy: every HL's parent must come before it
+        if (id === 'HL') {
+            if (hlIds.has(elements[0])) fail(index, `repeats HL id ${elements[0]}`);
+            if (elements[1] && !hlIds.has(elements[1])) fail(index, `refers to parent HL ${elements[1]}, which does not precede it`);
+            hlIds.add(elements[0]);
+        }
+        if (id === 'ST') transactionStart = index;
+        if (id === 'SE' && transactionStart !== null) {
+            const count = index - transactionStart + 1;
+            if (Number(elements[0]) !== count) fail(index, `counts ${elements[0]} segments; the transaction has ${count}`);
+            if (elements[1] !== segments[transactionStart][2]) fail(index, 'control number does not match ST02');
+            transactionStart = null;
+        }
+    });
+
+    // Envelope control numbers must pair up
+    const find = (id) => segments.find(segment => segment[0] === id);
+    const isa = find('ISA'), iea = find('IEA'), gs = find('GS'), ge = find('GE');
+    if (!isa || !iea || segments[0] !== isa || segments[segments.length - 1] !== iea) {
+        errors.push({ field: 'interchange', message: 'must start with ISA and end with IEA' });
+    } else if (isa[13] !== iea[2]) {
+        errors.push({ field: 'interchange', message: 'IEA02 does not match ISA13' });
+    }
+    if (!gs || !ge || gs[6] !== ge[2]) {
+        errors.push({ field: 'functional group', message: 'GS06 and GE02 must be present and match' });
+    } else if (Number(ge[1]) !== segments.filter(segment => segment[0] === 'ST').length) {
+        errors.push({ field: 'functional group', message: 'GE01 does not match the number of transactions' });
+    }
+    if (transactionStart !== null) {
+        errors.push({ field: 'transaction', message: 'ST has no closing SE' });
+    }
+    return errors;
+}
+
+module.exports = {
+    ELEMENT_SEPARATOR,
+    COMPONENT_SEPARATOR,
+    REPETITION_SEPARATOR,
+    SEGMENT_TERMINATOR,
+    cleanElement,
+    serializeSegment,
+    serializeSegments,
+    checkSegments,
+};
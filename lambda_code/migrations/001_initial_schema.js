@@ -0,0 +1,110 @@
+// Baseline tenant schema: the tables every clinic had before migrations were tracked.
+// Written with IF NOT EXISTS so it can be recorded against schemas created by hand.
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+    up: (s) => `
+        CREATE TABLE IF NOT EXISTS ${s}.clinic_settings (
+            setting_id INT PRIMARY KEY DEFAULT 1 CHECK (setting_id = 1),
+            clinic_name VARCHAR(255) NOT NULL,
+            custom_terms_conditions TEXT,
+            custom_llm_instructions TEXT,
+            cpt_fees JSONB DEFAULT '{}'::jsonb,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_clinic_settings
+        BEFORE UPDATE ON ${s}.clinic_settings
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+
+        CREATE TABLE IF NOT EXISTS ${s}.doctors (
+            doctor_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            full_name VARCHAR(150) NOT NULL,
+            credentials VARCHAR(50),
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_doctors
+        BEFORE UPDATE ON ${s}.doctors
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+        CREATE INDEX IF NOT EXISTS idx_doctors_full_name ON ${s}.doctors(full_name);
+
+        CREATE TABLE IF NOT EXISTS ${s}.custom_form_fields (
+            field_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            form_area VARCHAR(100) NOT NULL,
+            field_label VARCHAR(255) NOT NULL,
+            field_type VARCHAR(50) NOT NULL,
+            options JSONB,
+            is_required BOOLEAN DEFAULT FALSE,
+            display_order INTEGER DEFAULT 0,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_custom_form_fields
+        BEFORE UPDATE ON ${s}.custom_form_fields
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+        CREATE INDEX IF NOT EXISTS idx_custom_form_fields_form_area ON ${s}.custom_form_fields(form_area);
+
+        CREATE TABLE IF NOT EXISTS ${s}.patients (
+            patient_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            first_name VARCHAR(100) NOT NULL,
+            last_name VARCHAR(100) NOT NULL,
+            middle_initial CHAR(1),
+            preferred_name VARCHAR(100),
+            date_of_birth DATE NOT NULL,
+            gender VARCHAR(50),
+            phone_number VARCHAR(20),
+            email VARCHAR(255) UNIQUE,
+            address_line1 VARCHAR(255),
+            address_line2 VARCHAR(255),
+            city VARCHAR(100),
+            state_province VARCHAR(100),
+            postal_code VARCHAR(20),
+            country VARCHAR(100),
+            is_medicare_eligible BOOLEAN,
+            custom_data JSONB,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_patients
+        BEFORE UPDATE ON ${s}.patients
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+        CREATE INDEX IF NOT EXISTS idx_patients_last_name ON ${s}.patients(last_name);
+
+        CREATE TABLE IF NOT EXISTS ${s}.notes (
+            note_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            patient_id UUID NOT NULL,
+            doctor_id UUID,
+            note_type VARCHAR(50),
+            signed_status VARCHAR(20) DEFAULT 'Draft',
+            subjective_note TEXT,
+            objective_note TEXT,
+            assessment_note TEXT,
+            plan_note TEXT,
+            dx_codes JSONB,
+            billing_codes JSONB,
+            custom_data JSONB,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            CONSTRAINT fk_notes_patient FOREIGN KEY(patient_id) REFERENCES ${s}.patients(patient_id) ON DELETE CASCADE,
+            CONSTRAINT fk_notes_doctor FOREIGN KEY(doctor_id) REFERENCES ${s}.doctors(doctor_id) ON DELETE SET NULL
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_notes
+        BEFORE UPDATE ON ${s}.notes
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+        CREATE INDEX IF NOT EXISTS idx_notes_patient_id ON ${s}.notes(patient_id);
+        CREATE INDEX IF NOT EXISTS idx_notes_doctor_id ON ${s}.notes(doctor_id);
+        CREATE INDEX IF NOT EXISTS idx_notes_note_type ON ${s}.notes(note_type);
+
+        CREATE TABLE IF NOT EXISTS ${s}.waiting_queue (
+            queue_entry_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            patient_id UUID NOT NULL REFERENCES ${s}.patients(patient_id) ON DELETE CASCADE,
+            queue_timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            status VARCHAR(20) DEFAULT 'waiting',
+            notes TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_waiting_queue_status ON ${s}.waiting_queue(status);
+        CREATE INDEX IF NOT EXISTS idx_waiting_queue_patient_id ON ${s}.waiting_queue(patient_id);
+    `,
+};
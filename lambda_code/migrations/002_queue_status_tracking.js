@@ -0,0 +1,27 @@
+// Waiting queue status machine: required status with a CHECK and a timestamp per status
+module.exports = {
+    version: 2,
+    name: 'queue_status_tracking',
+    up: (s) => `
+        UPDATE ${s}.waiting_queue SET status = 'waiting' WHERE status IS NULL;
+
+        ALTER TABLE ${s}.waiting_queue
+            ALTER COLUMN status SET NOT NULL,
+            ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            ADD COLUMN IF NOT EXISTS roomed_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS with_provider_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS checked_out_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+        DO $$
+        BEGIN
+            IF NOT EXISTS (
+                SELECT 1 FROM pg_constraint
+                WHERE conname = 'waiting_queue_status_check' AND conrelid = '${s}.waiting_queue'::regclass
+            ) THEN
+                ALTER TABLE ${s}.waiting_queue ADD CONSTRAINT waiting_queue_status_check
+                    CHECK (status IN ('waiting', 'roomed', 'with_provider', 'checked_out', 'cancelled'));
+            END IF;
+        END $$;
+    `,
+};
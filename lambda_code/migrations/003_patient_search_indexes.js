@@ -0,0 +1,10 @@
+// Trigram indexes behind the fuzzy GET /patients search (needs the pg_trgm extension)
+module.exports = {
+    version: 3,
+    name: 'patient_search_indexes',
+    up: (s) => `
+        CREATE INDEX IF NOT EXISTS idx_patients_first_name_trgm ON ${s}.patients USING GIN (first_name gin_trgm_ops);
+        CREATE INDEX IF NOT EXISTS idx_patients_last_name_trgm ON ${s}.patients USING GIN (last_name gin_trgm_ops);
+        CREATE INDEX IF NOT EXISTS idx_patients_phone_digits_trgm ON ${s}.patients USING GIN ((regexp_replace(phone_number, '\\D', '', 'g')) gin_trgm_ops);
+    `,
+};
@@ -0,0 +1,43 @@
+// SOAP note signing: signer columns, the signed-note lock trigger and note_addenda.
+// notes_signature_check is added NOT VALID so notes marked 'Signed' by hand before
+// this migration (with no recorded signer) don't block it; new writes are checked.
+module.exports = {
+    version: 4,
+    name: 'note_signing',
+    up: (s) => `
+        UPDATE ${s}.notes SET signed_status = 'Draft' WHERE signed_status IS NULL OR signed_status NOT IN ('Draft', 'Signed');
+
+        ALTER TABLE ${s}.notes
+            ALTER COLUMN signed_status SET NOT NULL,
+            ADD COLUMN IF NOT EXISTS signed_by UUID,
+            ADD COLUMN IF NOT EXISTS signed_at TIMESTAMPTZ;
+
+        DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'notes_signed_status_check' AND conrelid = '${s}.notes'::regclass) THEN
+                ALTER TABLE ${s}.notes ADD CONSTRAINT notes_signed_status_check CHECK (signed_status IN ('Draft', 'Signed'));
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'fk_notes_signed_by' AND conrelid = '${s}.notes'::regclass) THEN
+                ALTER TABLE ${s}.notes ADD CONSTRAINT fk_notes_signed_by FOREIGN KEY (signed_by) REFERENCES ${s}.doctors(doctor_id);
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'notes_signature_check' AND conrelid = '${s}.notes'::regclass) THEN
+                ALTER TABLE ${s}.notes ADD CONSTRAINT notes_signature_check
+                    CHECK ((signed_status = 'Signed') = (signed_by IS NOT NULL AND signed_at IS NOT NULL)) NOT VALID;
+            END IF;
+        END $$;
+
+        CREATE OR REPLACE TRIGGER lock_signed_notes
+        BEFORE UPDATE ON ${s}.notes
+        FOR EACH ROW EXECUTE FUNCTION public.reject_signed_note_update();
+
+        CREATE TABLE IF NOT EXISTS ${s}.note_addenda (
+            addendum_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            note_id UUID NOT NULL REFERENCES ${s}.notes(note_id) ON DELETE CASCADE,
+            doctor_id UUID NOT NULL REFERENCES ${s}.doctors(doctor_id),
+            addendum_text TEXT NOT NULL,
+            reason VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_note_addenda_note_id ON ${s}.note_addenda(note_id);
+    `,
+};
@@ -0,0 +1,18 @@
+// Prior versions of patients and SOAP notes, written before every update
+module.exports = {
+    version: 5,
+    name: 'revisions',
+    up: (s) => `
+        CREATE TABLE IF NOT EXISTS ${s}.revisions (
+            revision_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('patient', 'soap_note')),
+            entity_id UUID NOT NULL,
+            revision_number INTEGER NOT NULL,
+            data JSONB NOT NULL,
+            edited_by_sub VARCHAR(255),
+            edited_by_name VARCHAR(255),
+            edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            CONSTRAINT uq_revisions_entity_number UNIQUE (entity_type, entity_id, revision_number)
+        );
+    `,
+};
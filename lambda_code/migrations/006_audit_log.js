@@ -0,0 +1,28 @@
+// HIPAA access audit log, one row per tenant request
+module.exports = {
+    version: 6,
+    name: 'audit_log',
+    up: (s) => `
+        CREATE TABLE IF NOT EXISTS ${s}.audit_log (
+            audit_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            user_sub VARCHAR(255),
+            user_name VARCHAR(255),
+            clinic_id VARCHAR(63),
+            http_method VARCHAR(10) NOT NULL,
+            route VARCHAR(255) NOT NULL,
+            request_path TEXT NOT NULL,
+            action VARCHAR(100) NOT NULL,
+            patient_ids UUID[] NOT NULL DEFAULT '{}',
+            note_ids UUID[] NOT NULL DEFAULT '{}',
+            source_ip VARCHAR(45),
+            user_agent TEXT,
+            status_code INTEGER NOT NULL,
+            outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('success', 'failure'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON ${s}.audit_log(occurred_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_user_sub ON ${s}.audit_log(user_sub, occurred_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_patient_ids ON ${s}.audit_log USING GIN (patient_ids);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_note_ids ON ${s}.audit_log USING GIN (note_ids);
+    `,
+};
@@ -0,0 +1,12 @@
+// Structured patient details accepted by PUT /patients/:id
+module.exports = {
+    version: 7,
+    name: 'patient_detail_columns',
+    up: (s) => `
+        ALTER TABLE ${s}.patients
+            ADD COLUMN IF NOT EXISTS contact_info JSONB DEFAULT '{}'::jsonb,
+            ADD COLUMN IF NOT EXISTS address JSONB DEFAULT '{}'::jsonb,
+            ADD COLUMN IF NOT EXISTS insurance_info JSONB DEFAULT '{}'::jsonb,
+            ADD COLUMN IF NOT EXISTS medical_history JSONB DEFAULT '{}'::jsonb;
+    `,
+};
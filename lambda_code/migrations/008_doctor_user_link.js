@@ -0,0 +1,9 @@
+// Link doctors to their Cognito user so notes are attributed from the token, not the request body
+module.exports = {
+    version: 8,
+    name: 'doctor_user_link',
+    up: (s) => `
+        ALTER TABLE ${s}.doctors ADD COLUMN IF NOT EXISTS cognito_sub VARCHAR(255);
+        CREATE UNIQUE INDEX IF NOT EXISTS uq_doctors_cognito_sub ON ${s}.doctors(cognito_sub);
+    `,
+};
@@ -0,0 +1,12 @@
+// Stable keys for custom_form_fields: the property each field's value is stored under in
+// custom_data. Definitions created before this get a key derived from their id.
+module.exports = {
+    version: 9,
+    name: 'custom_field_keys',
+    up: (s) => `
+        ALTER TABLE ${s}.custom_form_fields ADD COLUMN IF NOT EXISTS field_key VARCHAR(100);
+        UPDATE ${s}.custom_form_fields SET field_key = 'field_' || replace(field_id::text, '-', '') WHERE field_key IS NULL;
+        ALTER TABLE ${s}.custom_form_fields ALTER COLUMN field_key SET NOT NULL;
+        CREATE UNIQUE INDEX IF NOT EXISTS uq_custom_form_fields_area_key ON ${s}.custom_form_fields(form_area, field_key);
+    `,
+};
@@ -0,0 +1,23 @@
+// Identifiers an 837P claim needs (billing provider, clearinghouse, rendering NPI) and a
+// record of each exported claim file; its identity column supplies the X12 control numbers.
+module.exports = {
+    version: 10,
+    name: 'claim_export',
+    up: (s) => `
+        ALTER TABLE ${s}.clinic_settings ADD COLUMN IF NOT EXISTS billing_info JSONB DEFAULT '{}'::jsonb;
+        ALTER TABLE ${s}.doctors
+            ADD COLUMN IF NOT EXISTS npi VARCHAR(10),
+            ADD COLUMN IF NOT EXISTS taxonomy_code VARCHAR(10);
+        CREATE TABLE IF NOT EXISTS ${s}.claim_exports (
+            export_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            interchange_control_number INTEGER GENERATED ALWAYS AS IDENTITY (MAXVALUE 999999999 CYCLE),
+            note_ids UUID[] NOT NULL,
+            claim_count INTEGER NOT NULL,
+            total_charges NUMERIC(12, 2) NOT NULL,
+            usage_indicator CHAR(1) NOT NULL CHECK (usage_indicator IN ('P', 'T')),
+            created_by_sub VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_claim_exports_note_ids ON ${s}.claim_exports USING GIN (note_ids);
+    `,
+};
@@ -0,0 +1,34 @@
+// Audio recorded during a visit and its transcription job. The audio itself lives in S3
+// (storage_key); the row tracks the job and holds the finished transcript with its
+// speaker segments.
+module.exports = {
+    version: 11,
+    name: 'encounter_recordings',
+    up: (s) => `
+        CREATE TABLE IF NOT EXISTS ${s}.encounter_recordings (
+            recording_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            patient_id UUID NOT NULL REFERENCES ${s}.patients(patient_id) ON DELETE CASCADE,
+            note_id UUID REFERENCES ${s}.notes(note_id) ON DELETE SET NULL,
+            queue_entry_id UUID REFERENCES ${s}.waiting_queue(queue_entry_id) ON DELETE SET NULL,
+            content_type VARCHAR(100) NOT NULL,
+            storage_key VARCHAR(500) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'awaiting_upload'
+                CHECK (status IN ('awaiting_upload', 'queued', 'processing', 'complete', 'failed')),
+            transcription_provider VARCHAR(50),
+            transcription_job_id VARCHAR(200),
+            failure_reason TEXT,
+            transcript_text TEXT,
+            transcript_segments JSONB,
+            created_by_sub VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            transcription_started_at TIMESTAMPTZ,
+            transcription_completed_at TIMESTAMPTZ
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_encounter_recordings
+        BEFORE UPDATE ON ${s}.encounter_recordings
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+        CREATE INDEX IF NOT EXISTS idx_encounter_recordings_patient_id ON ${s}.encounter_recordings(patient_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_encounter_recordings_note_id ON ${s}.encounter_recordings(note_id);
+    `,
+};
@@ -0,0 +1,36 @@
+// Scheduled visits: the clinic's time zone, each doctor's weekly working hours and the
+// appointments table. Checking an appointment in creates its waiting_queue entry.
+module.exports = {
+    version: 12,
+    name: 'appointments',
+    up: (s) => `
+        ALTER TABLE ${s}.clinic_settings ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'America/New_York';
+        ALTER TABLE ${s}.doctors ADD COLUMN IF NOT EXISTS working_hours JSONB;
+        CREATE TABLE IF NOT EXISTS ${s}.appointments (
+            appointment_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+            patient_id UUID NOT NULL REFERENCES ${s}.patients(patient_id) ON DELETE CASCADE,
+            doctor_id UUID NOT NULL REFERENCES ${s}.doctors(doctor_id),
+            visit_type VARCHAR(30) NOT NULL,
+            starts_at TIMESTAMPTZ NOT NULL,
+            duration_minutes INTEGER NOT NULL CHECK (duration_minutes BETWEEN 5 AND 480),
+            ends_at TIMESTAMPTZ NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+                CHECK (status IN ('scheduled', 'checked_in', 'cancelled')),
+            notes TEXT,
+            queue_entry_id UUID REFERENCES ${s}.waiting_queue(queue_entry_id) ON DELETE SET NULL,
+            checked_in_at TIMESTAMPTZ,
+            cancelled_at TIMESTAMPTZ,
+            cancellation_reason TEXT,
+            created_by_sub VARCHAR(255),
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            CONSTRAINT appointments_ends_after_start CHECK (ends_at > starts_at)
+        );
+        CREATE OR REPLACE TRIGGER set_timestamp_appointments
+        BEFORE UPDATE ON ${s}.appointments
+        FOR EACH ROW EXECUTE FUNCTION public.trigger_set_timestamp();
+        CREATE INDEX IF NOT EXISTS idx_appointments_doctor_starts_at ON ${s}.appointments(doctor_id, starts_at);
+        CREATE INDEX IF NOT EXISTS idx_appointments_patient_starts_at ON ${s}.appointments(patient_id, starts_at);
+        CREATE INDEX IF NOT EXISTS idx_appointments_starts_at ON ${s}.appointments(starts_at);
+    `,
+};
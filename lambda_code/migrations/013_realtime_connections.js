@@ -0,0 +1,15 @@
+// Open WebSocket connections of the clinic's workstations (realtime.js), so queue changes
+// can be pushed to exactly this tenant's clients. Rows are added on $connect and removed
+// on $disconnect, or when API Gateway reports the connection gone while broadcasting.
+module.exports = {
+    version: 13,
+    name: 'realtime_connections',
+    up: (s) => `
+        CREATE TABLE IF NOT EXISTS ${s}.realtime_connections (
+            connection_id VARCHAR(128) PRIMARY KEY,
+            user_sub VARCHAR(255),
+            connected_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_realtime_connections_connected_at ON ${s}.realtime_connections(connected_at);
+    `,
+};
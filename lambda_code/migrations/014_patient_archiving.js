@@ -0,0 +1,21 @@
+// Patients are archived instead of deleted: who archived them, when and why. A hard
+// purge is only possible once the clinic's record retention period has passed.
+module.exports = {
+    version: 14,
+    name: 'patient_archiving',
+    up: (s) => `
+        ALTER TABLE ${s}.patients
+            ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS archived_by_sub VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS archive_reason TEXT;
+        CREATE INDEX IF NOT EXISTS idx_patients_archived_at ON ${s}.patients(archived_at) WHERE archived_at IS NOT NULL;
+        ALTER TABLE ${s}.clinic_settings ADD COLUMN IF NOT EXISTS record_retention_years INTEGER NOT NULL DEFAULT 7;
+        DO $$
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'clinic_settings_record_retention_years_check' AND conrelid = '${s}.clinic_settings'::regclass) THEN
+                ALTER TABLE ${s}.clinic_settings ADD CONSTRAINT clinic_settings_record_retention_years_check
+                    CHECK (record_retention_years BETWEEN 1 AND 100);
+            END IF;
+        END $$;
+    `,
+};
@@ -0,0 +1,14 @@
+// Duplicate patients: an index for the duplicate check on create, and merging. A merged
+// duplicate is archived with a link to the chart it was merged into. Letting signed notes
+// move to another patient is up to public.reject_signed_note_update(), which is shared by
+// every tenant and so defined in GLOBAL_STEPS (lib/migrations.js), not here.
+module.exports = {
+    version: 15,
+    name: 'patient_merge',
+    up: (s) => `
+        ALTER TABLE ${s}.patients
+            ADD COLUMN IF NOT EXISTS merged_into_patient_id UUID REFERENCES ${s}.patients(patient_id) ON DELETE SET NULL;
+        -- Duplicate checks on POST /patients look up the date of birth first
+        CREATE INDEX IF NOT EXISTS idx_patients_date_of_birth ON ${s}.patients(date_of_birth);
+    `,
+};
@@ -0,0 +1,35 @@
+// Field-level encryption (lib/fieldEncryption.js): the tenant's wrapped data keys, blind
+// index columns for looking patients up by email and phone number, and room for the
+// encrypted values. Key rotation also relies on the shared trigger functions stepping
+// aside while emr.reencrypting is on; those live in GLOBAL_STEPS (lib/migrations.js).
+module.exports = {
+    version: 16,
+    name: 'field_encryption',
+    up: (s) => `
+        CREATE TABLE IF NOT EXISTS ${s}.encryption_keys (
+            key_id SERIAL PRIMARY KEY,
+            purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('data', 'blind_index')),
+            status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+            key_provider VARCHAR(20) NOT NULL,
+            master_key_id TEXT NOT NULL,
+            wrapped_key TEXT NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            retired_at TIMESTAMPTZ
+        );
+        -- One active key per purpose; older data keys stay to decrypt what they encrypted
+        CREATE UNIQUE INDEX IF NOT EXISTS uq_encryption_keys_active_purpose
+            ON ${s}.encryption_keys(purpose) WHERE status = 'active';
+
+        -- Envelopes are longer than the plaintext they replace
+        ALTER TABLE ${s}.patients
+            ALTER COLUMN phone_number TYPE TEXT,
+            ALTER COLUMN email TYPE TEXT,
+            ADD COLUMN IF NOT EXISTS email_bidx VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS phone_number_bidx VARCHAR(64),
+            ADD COLUMN IF NOT EXISTS phone_last4_bidx VARCHAR(64);
+        -- The UNIQUE on email can't see through ciphertext; this one takes over for encrypted rows
+        CREATE UNIQUE INDEX IF NOT EXISTS uq_patients_email_bidx ON ${s}.patients(email_bidx);
+        CREATE INDEX IF NOT EXISTS idx_patients_phone_number_bidx ON ${s}.patients(phone_number_bidx);
+        CREATE INDEX IF NOT EXISTS idx_patients_phone_last4_bidx ON ${s}.patients(phone_last4_bidx);
+    `,
+};
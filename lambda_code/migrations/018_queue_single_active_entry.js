@@ -0,0 +1,20 @@
+// One active queue entry per patient, enforced by the database: two check-ins at the same
+// moment (POST /queue or appointment check-in) both passed the Lambda's check and queued
+// the patient twice. Duplicates already in the queue are cancelled, keeping the oldest.
+module.exports = {
+    version: 18,
+    name: 'queue_single_active_entry',
+    up: (s) => `
+        UPDATE ${s}.waiting_queue wq
+        SET status = 'cancelled', cancelled_at = NOW(), status_updated_at = NOW()
+        WHERE wq.status IN ('waiting', 'roomed', 'with_provider')
+          AND EXISTS (
+              SELECT 1 FROM ${s}.waiting_queue older
+              WHERE older.patient_id = wq.patient_id
+                AND older.status IN ('waiting', 'roomed', 'with_provider')
+                AND (older.queue_timestamp, older.queue_entry_id::text) < (wq.queue_timestamp, wq.queue_entry_id::text)
+          );
+        CREATE UNIQUE INDEX IF NOT EXISTS uq_waiting_queue_active_patient
+            ON ${s}.waiting_queue(patient_id) WHERE status IN ('waiting', 'roomed', 'with_provider');
+    `,
+};
@@ -0,0 +1,37 @@
+// Tenant schema migrations, in the order they are applied.
+//
+// Each migration is { version, name, up(schema) } where up() returns SQL that uses the
+// already-quoted schema identifier for every object. Add new files at the end with the
+// next version number; never edit one that has shipped.
+const migrations = [
+    require('./001_initial_schema'),
+    require('./002_queue_status_tracking'),
+    require('./003_patient_search_indexes'),
+    require('./004_note_signing'),
+    require('./005_revisions'),
+    require('./006_audit_log'),
+    require('./007_patient_detail_columns'),
+    require('./008_doctor_user_link'),
+    require('./009_custom_field_keys'),
+    require('./010_claim_export'),
+    require('./011_encounter_recordings'),
+    require('./012_appointments'),
+    require('./013_realtime_connections'),
+    require('./014_patient_archiving'),
+    require('./015_patient_merge'),
+    require('./016_field_encryption'),
+    require('./017_phone_last7_blind_index'),
+    require('./018_queue_single_active_entry'),
+];
+
+// Tenants below this version are refused by the handler (503) until migrated.
+// Raise it when the code starts relying on a new migration.
+const MINIMUM_SCHEMA_VERSION = 18;
+
+const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+module.exports = {
+    migrations,
+    MINIMUM_SCHEMA_VERSION,
+    LATEST_SCHEMA_VERSION,
+};
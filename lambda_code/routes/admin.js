@@ -0,0 +1,230 @@
+// Platform administration routes: tenant provisioning, schema migrations and key rotation
+const { HttpError } = require('../lib/http');
+const { requireGroup, validateBody } = require('../lib/middleware');
+const { getPool, setTenantSearchPath } = require('../lib/db');
+const { isFieldEncryptionEnabled } = require('../lib/keyProviders');
+const { withFieldEncryption } = require('../lib/fieldEncryption');
+const { rotateTenantKeys } = require('../lib/keyRotation');
+const { PLATFORM_ADMIN_GROUP, getActor } = require('../lib/identity');
+const { generateSchemaName, provisionTenantSchema } = require('../lib/tenantSchema');
+const { listTenantSchemas, getMigrationStatus, migrateTenant, MINIMUM_SCHEMA_VERSION, LATEST_SCHEMA_VERSION } = require('../lib/migrations');
+const { schemas } = require('../validation');
+
+// null if the schema doesn't exist, otherwise { clinicName } with the name of the clinic
+// it was provisioned for (null until its settings row exists)
+async function getExistingTenant(client, schemaName) {
+    const schemaResult = await client.query(`SELECT 1 FROM pg_namespace WHERE nspname = $1;`, [schemaName]);
+    if (schemaResult.rows.length === 0) return null;
+    const result = await client.query(
+        `SELECT 1 FROM information_schema.tables WHERE table_schema = $1 AND table_name = 'clinic_settings';`,
+        [schemaName]
+    );
+    if (result.rows.length === 0) return { clinicName: null };
+    const settings = await client.query(`SELECT clinic_name FROM ${client.escapeIdentifier(schemaName)}.clinic_settings WHERE setting_id = 1;`);
+    return { clinicName: settings.rows.length > 0 ? settings.rows[0].clinic_name : null };
+}
+
+// --- POST /admin/tenants ---
+// Body { clinic_name, clinic_id? }. Safe to repeat: an interrupted run is resumed by posting
+// the same clinic_name with the clinic_id the first response returned. Without clinic_id an
+// existing schema is refused, since two clinics with the same name derive the same schema.
+async function createTenant(ctx) {
+    const { body } = ctx; // validated against schemas.tenantCreate
+    const clinicName = body.clinic_name.trim();
+    const resumeClinicId = body.clinic_id === undefined ? null : body.clinic_id;
+
+    let schemaName;
+    try {
+        schemaName = generateSchemaName(clinicName);
+    } catch (nameError) {
+        throw new HttpError(400, `Bad Request: ${nameError.message}`);
+    }
+    if (resumeClinicId !== null && resumeClinicId !== schemaName) {
+        throw new HttpError(400, `Bad Request: clinic_id '${resumeClinicId}' is not the schema of clinic '${clinicName}' ('${schemaName}').`, { schemaName });
+    }
+
+    const client = await getPool().connect();
+    try {
+        // Never provision into another clinic's schema
+        const existing = await getExistingTenant(client, schemaName);
+        if (existing && existing.clinicName !== null && existing.clinicName !== clinicName) {
+            throw new HttpError(409, `Conflict: Schema '${schemaName}' is already provisioned for clinic '${existing.clinicName}'.`, { schemaName });
+        }
+        if (existing && resumeClinicId === null) {
+            console.warn(`Refused to provision clinic '${clinicName}' into existing schema '${schemaName}' without clinic_id`);
+            throw new HttpError(409, `Conflict: Schema '${schemaName}' already exists. Use a clinic_name that tells the clinics apart, or send clinic_id '${schemaName}' to resume provisioning this clinic.`, { schemaName });
+        }
+
+        console.log(`Provisioning tenant schema '${schemaName}' for clinic '${clinicName}' (requested by ${getActor(ctx).sub})`);
+        const result = await provisionTenantSchema(client, {
+            schemaName,
+            clinicName,
+            dbRole: process.env.TENANT_DB_ROLE || null,
+        });
+
+        if (result.failedStep) {
+            return {
+                statusCode: 500,
+                body: {
+                    message: `Internal Server Error: Tenant provisioning failed at step '${result.failedStep}'. Fix the cause and repeat the request with clinic_id '${schemaName}' to resume.`,
+                    schemaName,
+                    steps: result.steps,
+                    error: result.error.message
+                },
+            };
+        }
+
+        console.log(`Tenant schema '${schemaName}' is provisioned.`);
+        return {
+            statusCode: existing === null ? 201 : 200,
+            body: {
+                message: existing === null ? "Tenant provisioned successfully." : "Tenant provisioning was resumed; all steps were re-checked.",
+                schemaName,
+                // Set this attribute on the clinic's Cognito users
+                cognitoAttribute: { name: 'custom:clinic_id', value: schemaName },
+                steps: result.steps
+            },
+        };
+    } finally {
+        client.release();
+    }
+}
+
+// The requested tenant (404 unless it is a provisioned schema) or every tenant schema
+async function resolveMigrationTargets(client, tenant) {
+    const tenantSchemas = await listTenantSchemas(client);
+    if (!tenant) return tenantSchemas;
+    if (!tenantSchemas.includes(tenant)) {
+        throw new HttpError(404, `Not Found: Tenant schema '${tenant}' does not exist.`);
+    }
+    return [tenant];
+}
+
+// --- GET /admin/migrations?tenant= ---
+async function getMigrations(ctx) {
+    const client = await getPool().connect();
+    try {
+        const targets = await resolveMigrationTargets(client, ctx.query.tenant);
+        const tenants = [];
+        for (const tenant of targets) {
+            tenants.push(await getMigrationStatus(client, tenant));
+        }
+        console.log(`Migration status read for ${tenants.length} tenant(s); ${tenants.filter(t => t.pending.length > 0).length} have pending migrations.`);
+        return {
+            statusCode: 200,
+            body: {
+                message: "Migration status retrieved successfully.",
+                latestVersion: LATEST_SCHEMA_VERSION,
+                minimumVersion: MINIMUM_SCHEMA_VERSION,
+                tenants: tenants
+            },
+        };
+    } finally {
+        client.release();
+    }
+}
+
+// --- POST /admin/migrations ---
+// Body { tenant?, dry_run? }. Tenants are migrated one after another; a failing tenant
+// is reported and the rest still run. Grants to TENANT_DB_ROLE are renewed for each. Repeat the request to resume after fixing a failure.
+async function runMigrations(ctx) {
+    const { body } = ctx; // validated against schemas.migrationRun
+    const dryRun = body.dry_run === true;
+
+    const client = await getPool().connect();
+    try {
+        const targets = await resolveMigrationTargets(client, body.tenant);
+        console.log(`${dryRun ? 'Dry run of' : 'Running'} migrations for ${targets.length} tenant(s) (requested by ${getActor(ctx).sub})`);
+
+        const tenants = [];
+        for (const tenant of targets) {
+            const report = await migrateTenant(client, tenant, { dryRun, dbRole: process.env.TENANT_DB_ROLE || null });
+            tenants.push({ ...report, error: report.error ? report.error.message : null });
+        }
+
+        const failed = tenants.filter(t => t.failedStep !== null);
+        if (failed.length > 0) {
+            return {
+                statusCode: 500,
+                body: {
+                    message: `Internal Server Error: Migrations failed for ${failed.length} of ${tenants.length} tenant(s). Fix the cause and repeat the request to resume.`,
+                    tenants: tenants
+                },
+            };
+        }
+        return {
+            statusCode: 200,
+            body: {
+                message: dryRun ? "Dry run complete; no changes were made." : "Migrations applied successfully.",
+                latestVersion: LATEST_SCHEMA_VERSION,
+                tenants: tenants
+            },
+        };
+    } finally {
+        client.release();
+    }
+}
+
+// Re-encryption stops starting new batches after this long, well inside API Gateway's 29 s
+const KEY_ROTATION_TIME_BUDGET_MS = 20 * 1000;
+
+// --- POST /admin/encryption/rotate ---
+// Body { tenant?, new_data_key? }. Rewraps data keys under the current master key,
+// optionally replaces each tenant's active data key, and re-encrypts stale values until
+// the time budget runs out. Repeat the request until every tenant reports complete.
+async function rotateEncryptionKeys(ctx) {
+    const { body } = ctx; // validated against schemas.encryptionRotate
+    if (!isFieldEncryptionEnabled()) {
+        throw new HttpError(409, "Conflict: Field encryption is not enabled (FIELD_ENCRYPTION_KEY_PROVIDER is unset).");
+    }
+    const deadline = Date.now() + KEY_ROTATION_TIME_BUDGET_MS;
+
+    const client = await getPool().connect();
+    try {
+        const targets = await resolveMigrationTargets(client, body.tenant);
+        console.log(`Rotating encryption keys for ${targets.length} tenant(s)${body.new_data_key ? ' with new data keys' : ''} (requested by ${getActor(ctx).sub})`);
+
+        const tenants = [];
+        for (const tenant of targets) {
+            // Tenants not reached in time keep their keys; the next request starts with them
+            if (Date.now() >= deadline) {
+                tenants.push({ tenant, complete: false, skipped: true });
+                continue;
+            }
+            try {
+                await setTenantSearchPath(client, tenant);
+                tenants.push(await rotateTenantKeys(withFieldEncryption(client, tenant), tenant, {
+                    newDataKey: body.new_data_key === true,
+                    deadline,
+                }));
+            } catch (rotationError) {
+                console.error(`Key rotation failed for tenant ${tenant}:`, rotationError);
+                tenants.push({ tenant, complete: false, error: rotationError.message });
+            } finally {
+                await client.query('RESET search_path;');
+            }
+        }
+
+        const complete = tenants.every(t => t.complete);
+        return {
+            statusCode: tenants.some(t => t.error) ? 500 : 200,
+            body: {
+                message: complete
+                    ? "Key rotation complete; every value is encrypted under its tenant's active data key."
+                    : "Key rotation in progress; repeat the request until every tenant reports complete.",
+                tenants: tenants
+            },
+        };
+    } finally {
+        client.release();
+    }
+}
+
+const routes = [
+    { method: 'POST', path: '/admin/tenants', action: 'provision tenant', middleware: [requireGroup(PLATFORM_ADMIN_GROUP), validateBody(schemas.tenantCreate)], handler: createTenant },
+    { method: 'GET', path: '/admin/migrations', action: 'retrieve migration status', middleware: [requireGroup(PLATFORM_ADMIN_GROUP)], handler: getMigrations },
+    { method: 'POST', path: '/admin/migrations', action: 'run migrations', middleware: [requireGroup(PLATFORM_ADMIN_GROUP), validateBody(schemas.migrationRun)], handler: runMigrations },
+    { method: 'POST', path: '/admin/encryption/rotate', action: 'rotate encryption keys', middleware: [requireGroup(PLATFORM_ADMIN_GROUP), validateBody(schemas.encryptionRotate)], handler: rotateEncryptionKeys },
+];
+
+module.exports = { routes };
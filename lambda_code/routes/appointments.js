@@ -0,0 +1,355 @@
+// Appointment routes: day/week schedules, booking, rescheduling, cancelling and checking a
+// patient in (which puts them in the waiting queue)
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { withTransaction } = require('../lib/db');
+const { addAuditTargets } = require('../lib/audit');
+const { DEFAULT_TIME_ZONE, localParts, addDays, startOfWeek, formatMinutes } = require('../lib/calendar');
+const { publishQueueEvent } = require('../lib/realtime');
+const { assertPatientNotArchived } = require('../lib/patientArchive');
+const { enqueuePatient } = require('./queue');
+const { schemas, isValidDate, isValidUuid, VISIT_TYPE_DURATIONS, isWithinWorkingHours } = require('../validation');
+
+const SCHEDULE_VIEWS = { day: 1, week: 7 }; // view -> days shown
+
+const WEEKDAY_NAMES = { mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday', sun: 'Sunday' };
+
+// Appointments are returned with the patient's and doctor's names for the schedule views
+const APPOINTMENT_SELECT = `
+    SELECT
+        a.appointment_id,
+        a.patient_id,
+        p.first_name,
+        p.last_name,
+        p.date_of_birth,
+        a.doctor_id,
+        d.full_name AS doctor_name,
+        a.visit_type,
+        a.starts_at,
+        a.duration_minutes,
+        a.ends_at,
+        a.status,
+        a.notes,
+        a.queue_entry_id,
+        a.checked_in_at,
+        a.cancelled_at,
+        a.cancellation_reason,
+        a.created_at,
+        a.updated_at
+    FROM appointments a
+    JOIN patients p ON a.patient_id = p.patient_id
+    JOIN doctors d ON a.doctor_id = d.doctor_id
+`;
+
+async function getClinicTimeZone(client) {
+    const result = await client.query(`SELECT time_zone FROM clinic_settings WHERE setting_id = 1;`);
+    return result.rows[0]?.time_zone || DEFAULT_TIME_ZONE;
+}
+
+async function selectAppointment(client, appointmentId) {
+    const result = await client.query(`${APPOINTMENT_SELECT} WHERE a.appointment_id = $1;`, [appointmentId]);
+    return result.rows[0] || null;
+}
+
+// Lock an appointment row for the rest of the transaction and return it, or throw 404
+async function lockAppointment(ctx, appointmentId) {
+    const result = await ctx.client.query(`SELECT * FROM appointments WHERE appointment_id = $1 FOR UPDATE;`, [appointmentId]);
+    if (result.rows.length === 0) {
+        console.warn(`Appointment with ID ${appointmentId} not found for tenant ${ctx.tenantSchema}.`);
+        throw new HttpError(404, `Appointment with ID ${appointmentId} not found.`);
+    }
+    addAuditTargets(ctx, { patientIds: [result.rows[0].patient_id] });
+    return result.rows[0];
+}
+
+function assertScheduled(appointment, action) {
+    if (appointment.status !== 'scheduled') {
+        throw new HttpError(409, `Conflict: Appointment ${appointment.appointment_id} is ${appointment.status.replace('_', ' ')} and can no longer be ${action}.`, { status: appointment.status });
+    }
+}
+
+// Only active doctors take new bookings
+async function loadBookableDoctor(client, doctorId) {
+    const result = await client.query(`SELECT doctor_id, full_name, is_active, working_hours FROM doctors WHERE doctor_id = $1;`, [doctorId]);
+    if (result.rows.length === 0) {
+        throw new HttpError(400, `Bad Request: Invalid doctor_id provided (${doctorId}). It does not exist.`);
+    }
+    if (!result.rows[0].is_active) {
+        throw new HttpError(400, `Bad Request: Doctor ${result.rows[0].full_name} is not active and can't be booked.`);
+    }
+    return result.rows[0];
+}
+
+// --- The visit must fit inside one of the doctor's working intervals that day ---
+// Reported like a validation error on starts_at (422).
+function assertWithinWorkingHours(doctor, startsAt, durationMinutes, timeZone) {
+    const start = localParts(startsAt, timeZone);
+    if (isWithinWorkingHours(doctor.working_hours, start.weekday, start.minutes, start.minutes + durationMinutes)) return;
+
+    const intervals = doctor.working_hours[start.weekday] || [];
+    const hours = intervals.length > 0 ? intervals.map(interval => `${interval.start}-${interval.end}`).join(', ') : 'not working';
+    throw new HttpError(422, "Unprocessable Entity: Request validation failed.", {
+        errors: [{
+            field: 'starts_at',
+            message: `${formatMinutes(start.minutes)}-${formatMinutes(start.minutes + durationMinutes)} is outside ${doctor.full_name}'s working hours on ${WEEKDAY_NAMES[start.weekday]} (${hours}, ${timeZone})`,
+        }],
+    });
+}
+
+// --- Double-booking check; call inside a transaction ---
+// Advisory locks on the doctor's and the patient's schedules serialize bookings that could
+// overlap, so two requests can't both pass the check. Cancelled appointments don't count.
+async function assertNoDoubleBooking(client, { appointmentId = null, doctorId, patientId, startsAt, endsAt }) {
+    const lockKeys = [`appointments:doctor:${doctorId}`, `appointments:patient:${patientId}`].sort();
+    for (const key of lockKeys) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext($1));`, [key]);
+    }
+
+    const result = await client.query(`
+        SELECT appointment_id, doctor_id, patient_id, visit_type, starts_at, ends_at, status
+        FROM appointments
+        WHERE status <> 'cancelled'
+          AND (doctor_id = $1 OR patient_id = $2)
+          AND starts_at < $4 AND ends_at > $3
+          AND ($5::uuid IS NULL OR appointment_id <> $5)
+        ORDER BY starts_at;
+    `, [doctorId, patientId, startsAt, endsAt, appointmentId]);
+    if (result.rows.length > 0) {
+        const conflicts = result.rows.map(row => ({ ...row, conflict: row.doctor_id === doctorId ? 'doctor' : 'patient' }));
+        const who = conflicts.some(conflict => conflict.conflict === 'doctor') ? 'The doctor' : 'The patient';
+        console.warn(`Double booking refused for doctor ${doctorId} / patient ${patientId}: overlaps ${conflicts.map(c => c.appointment_id).join(', ')}`);
+        throw new HttpError(409, `Conflict: ${who} already has an appointment at that time.`, { conflicts });
+    }
+}
+
+// --- GET /appointments?date=&view=day|week&doctor_id=&include_cancelled=true ---
+// date defaults to today in the clinic's time zone; a week runs Monday to Sunday.
+async function listAppointments(ctx) {
+    const { client, tenantSchema, query } = ctx;
+    const view = query.view || 'day';
+    if (!SCHEDULE_VIEWS[view]) {
+        throw new HttpError(400, `Bad Request: 'view' must be one of: ${Object.keys(SCHEDULE_VIEWS).join(', ')}.`);
+    }
+    if (query.date && !isValidDate(query.date)) {
+        throw new HttpError(400, "Bad Request: 'date' must be a valid date (YYYY-MM-DD).");
+    }
+    if (query.doctor_id && !isValidUuid(query.doctor_id)) {
+        throw new HttpError(400, "Bad Request: 'doctor_id' must be a valid UUID.");
+    }
+
+    const timeZone = await getClinicTimeZone(client);
+    const date = query.date || localParts(new Date(), timeZone).date;
+    const startDate = view === 'week' ? startOfWeek(date) : date;
+    const endDate = addDays(startDate, SCHEDULE_VIEWS[view]); // exclusive
+
+    const values = [startDate, endDate, timeZone];
+    const conditions = [
+        `a.starts_at >= ($1::date)::timestamp AT TIME ZONE $3`,
+        `a.starts_at < ($2::date)::timestamp AT TIME ZONE $3`,
+    ];
+    if (query.doctor_id) {
+        values.push(query.doctor_id);
+        conditions.push(`a.doctor_id = $${values.length}`);
+    }
+    if (query.include_cancelled !== 'true') {
+        conditions.push(`a.status <> 'cancelled'`);
+    }
+
+    const result = await client.query(`${APPOINTMENT_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY a.starts_at, d.full_name;`, values);
+    addAuditTargets(ctx, { patientIds: result.rows.map(row => row.patient_id) });
+
+    console.log(`Fetched ${result.rows.length} appointments for ${view} ${startDate} (${timeZone}) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            view,
+            start_date: startDate,
+            end_date: addDays(endDate, -1),
+            time_zone: timeZone,
+            appointments: result.rows,
+        },
+    };
+}
+
+// --- GET /appointments/:id ---
+async function getAppointment(ctx) {
+    const { client, tenantSchema } = ctx;
+    const appointmentId = ctx.params.id;
+
+    const appointment = await selectAppointment(client, appointmentId);
+    if (!appointment) {
+        console.warn(`Appointment with ID ${appointmentId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `Appointment with ID ${appointmentId} not found.`);
+    }
+    addAuditTargets(ctx, { patientIds: [appointment.patient_id] });
+    return { statusCode: 200, body: appointment };
+}
+
+// --- POST /appointments ---
+async function createAppointment(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.appointmentCreate
+    addAuditTargets(ctx, { patientIds: [body.patient_id] });
+
+    const durationMinutes = body.duration_minutes ?? VISIT_TYPE_DURATIONS[body.visit_type];
+    const startsAt = new Date(body.starts_at);
+    const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+    const timeZone = await getClinicTimeZone(client);
+    const doctor = await loadBookableDoctor(client, body.doctor_id);
+    assertWithinWorkingHours(doctor, startsAt, durationMinutes, timeZone);
+    await assertPatientNotArchived(client, body.patient_id);
+
+    const appointmentId = await withTransaction(client, async () => {
+        await assertNoDoubleBooking(client, { doctorId: body.doctor_id, patientId: body.patient_id, startsAt, endsAt });
+        try {
+            const result = await client.query(`
+                INSERT INTO appointments (patient_id, doctor_id, visit_type, starts_at, duration_minutes, ends_at, notes, created_by_sub)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING appointment_id;
+            `, [body.patient_id, body.doctor_id, body.visit_type, startsAt, durationMinutes, endsAt, body.notes || null, ctx.claims?.sub || null]);
+            return result.rows[0].appointment_id;
+        } catch (dbError) {
+            if (dbError.code === '23503') { // Foreign key violation on patient_id
+                throw new HttpError(400, `Bad Request: Invalid patient_id provided (${body.patient_id}). It does not exist.`);
+            }
+            throw dbError;
+        }
+    });
+
+    console.log(`Booked appointment ${appointmentId} with doctor ${body.doctor_id} for patient ${body.patient_id} at ${startsAt.toISOString()} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Appointment booked successfully.",
+            appointment: await selectAppointment(client, appointmentId)
+        },
+    };
+}
+
+// --- PUT /appointments/:id ---
+// Reschedule (starts_at, duration_minutes, doctor_id) or edit visit_type/notes while the
+// appointment is still scheduled and the patient not archived. A new time or doctor is
+// checked like a new booking.
+async function updateAppointment(ctx) {
+    const { client, tenantSchema, body } = ctx; // validated against schemas.appointmentUpdate
+    const appointmentId = ctx.params.id;
+    if (Object.keys(body).length === 0) {
+        throw new HttpError(400, "Bad Request: No fields provided for update.");
+    }
+
+    await withTransaction(client, async () => {
+        const current = await lockAppointment(ctx, appointmentId);
+        assertScheduled(current, 'changed');
+        // Archiving cancels scheduled appointments, but one may have been booked in between
+        await assertPatientNotArchived(client, current.patient_id);
+
+        const doctorId = body.doctor_id || current.doctor_id;
+        const durationMinutes = body.duration_minutes ?? current.duration_minutes;
+        const startsAt = body.starts_at ? new Date(body.starts_at) : new Date(current.starts_at);
+        const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+        const isRescheduled = doctorId !== current.doctor_id
+            || durationMinutes !== current.duration_minutes
+            || startsAt.getTime() !== new Date(current.starts_at).getTime();
+
+        if (isRescheduled) {
+            const doctor = await loadBookableDoctor(client, doctorId);
+            assertWithinWorkingHours(doctor, startsAt, durationMinutes, await getClinicTimeZone(client));
+            await assertNoDoubleBooking(client, { appointmentId, doctorId, patientId: current.patient_id, startsAt, endsAt });
+        }
+
+        await client.query(`
+            UPDATE appointments
+            SET doctor_id = $2, visit_type = $3, starts_at = $4, duration_minutes = $5, ends_at = $6, notes = $7
+            WHERE appointment_id = $1;
+        `, [
+            appointmentId,
+            doctorId,
+            body.visit_type || current.visit_type,
+            startsAt,
+            durationMinutes,
+            endsAt,
+            body.notes !== undefined ? (body.notes || null) : current.notes,
+        ]);
+    });
+
+    console.log(`Updated appointment ${appointmentId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Appointment updated successfully.",
+            appointment: await selectAppointment(client, appointmentId)
+        },
+    };
+}
+
+// --- POST /appointments/:id/cancel ---
+// The row is kept (with the reason) so the schedule history stays complete.
+async function cancelAppointment(ctx) {
+    const { client, tenantSchema, body } = ctx; // validated against schemas.appointmentCancel
+    const appointmentId = ctx.params.id;
+
+    await withTransaction(client, async () => {
+        const current = await lockAppointment(ctx, appointmentId);
+        assertScheduled(current, 'cancelled');
+        await client.query(`
+            UPDATE appointments SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $2
+            WHERE appointment_id = $1;
+        `, [appointmentId, body.reason || null]);
+    });
+
+    console.log(`Cancelled appointment ${appointmentId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Appointment cancelled successfully.",
+            appointment: await selectAppointment(client, appointmentId)
+        },
+    };
+}
+
+// --- POST /appointments/:id/check-in ---
+// Same day only: adds the patient to the waiting queue and links the entry to the appointment.
+async function checkInAppointment(ctx) {
+    const { client, tenantSchema, body } = ctx; // validated against schemas.appointmentCheckIn
+    const appointmentId = ctx.params.id;
+
+    const queueEntry = await withTransaction(client, async () => {
+        const current = await lockAppointment(ctx, appointmentId);
+        assertScheduled(current, 'checked in');
+
+        const timeZone = await getClinicTimeZone(client);
+        const appointmentDate = localParts(current.starts_at, timeZone).date;
+        const today = localParts(new Date(), timeZone).date;
+        if (appointmentDate !== today) {
+            throw new HttpError(409, `Conflict: Appointment ${appointmentId} is on ${appointmentDate}; patients can only be checked in on the day of their appointment.`);
+        }
+
+        const entry = await enqueuePatient(client, tenantSchema, current.patient_id, body.notes || current.notes);
+        await client.query(`
+            UPDATE appointments SET status = 'checked_in', checked_in_at = NOW(), queue_entry_id = $2
+            WHERE appointment_id = $1;
+        `, [appointmentId, entry.queue_entry_id]);
+        return entry;
+    });
+
+    console.log(`Checked in appointment ${appointmentId} as queue entry ${queueEntry.queue_entry_id} for tenant ${tenantSchema}`);
+    await publishQueueEvent(ctx, 'added', queueEntry);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Patient checked in and added to the queue.",
+            appointment: await selectAppointment(client, appointmentId),
+            queueEntry
+        },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/appointments', action: 'retrieve appointments', middleware: [...tenantMiddleware, requirePermission('appointments:read')], handler: listAppointments },
+    { method: 'POST', path: '/appointments', action: 'book appointment', middleware: [...tenantMiddleware, requirePermission('appointments:write'), validateBody(schemas.appointmentCreate)], handler: createAppointment },
+    { method: 'GET', path: '/appointments/:id', action: 'retrieve appointment', middleware: [...tenantMiddleware, requirePermission('appointments:read')], handler: getAppointment },
+    { method: 'PUT', path: '/appointments/:id', action: 'update appointment', middleware: [...tenantMiddleware, requirePermission('appointments:write'), validateBody(schemas.appointmentUpdate, { partial: true })], handler: updateAppointment },
+    { method: 'POST', path: '/appointments/:id/cancel', action: 'cancel appointment', middleware: [...tenantMiddleware, requirePermission('appointments:write'), validateBody(schemas.appointmentCancel)], handler: cancelAppointment },
+    { method: 'POST', path: '/appointments/:id/check-in', action: 'check in appointment', middleware: [...tenantMiddleware, requirePermission('appointments:write'), validateBody(schemas.appointmentCheckIn)], handler: checkInAppointment },
+];
+
+module.exports = { routes };
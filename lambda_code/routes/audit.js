@@ -0,0 +1,90 @@
+// Audit log routes: admin review of the tenant's audit_log
+const { HttpError, parsePositiveInt } = require('../lib/http');
+const { tenantMiddleware, requirePermission } = require('../lib/middleware');
+const { isValidDate, isValidUuid } = require('../validation');
+
+const AUDIT_DEFAULT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 500;
+
+// Accept a date (YYYY-MM-DD) or a full ISO 8601 timestamp for ?from= / ?to=
+function parseTimeBound(rawValue, name) {
+    if (isValidDate(rawValue)) return { value: rawValue, isDate: true };
+    if (/^\d{4}-\d{2}-\d{2}T/.test(rawValue) && !isNaN(Date.parse(rawValue))) return { value: rawValue, isDate: false };
+    throw new HttpError(400, `Bad Request: '${name}' must be a date (YYYY-MM-DD) or an ISO 8601 timestamp.`);
+}
+
+// --- GET /audit?user=&patient_id=&note_id=&from=&to=&page=&page_size= ---
+async function listAuditEntries(ctx) {
+    const { client, tenantSchema, query } = ctx;
+    const conditions = [];
+    const values = [];
+
+    if (query.user) {
+        values.push(query.user);
+        conditions.push(`user_sub = $${values.length}`);
+    }
+    for (const [param, column] of [['patient_id', 'patient_ids'], ['note_id', 'note_ids']]) {
+        if (!query[param]) continue;
+        if (!isValidUuid(query[param])) {
+            throw new HttpError(400, `Bad Request: '${param}' must be a valid UUID.`);
+        }
+        values.push(query[param]);
+        conditions.push(`$${values.length}::uuid = ANY(${column})`);
+    }
+    if (query.from) {
+        const from = parseTimeBound(query.from, 'from');
+        values.push(from.value);
+        conditions.push(`occurred_at >= $${values.length}::timestamptz`);
+    }
+    if (query.to) {
+        // A bare date means "through the end of that day"
+        const to = parseTimeBound(query.to, 'to');
+        values.push(to.value);
+        conditions.push(to.isDate
+            ? `occurred_at < $${values.length}::date + 1`
+            : `occurred_at <= $${values.length}::timestamptz`);
+    }
+
+    let page;
+    let pageSize;
+    try {
+        page = parsePositiveInt(query.page, 1, 'page');
+        pageSize = Math.min(parsePositiveInt(query.page_size, AUDIT_DEFAULT_PAGE_SIZE, 'page_size'), AUDIT_MAX_PAGE_SIZE);
+    } catch (pagingError) {
+        throw new HttpError(400, `Bad Request: ${pagingError.message}`);
+    }
+
+    const selectQuery = `
+        SELECT audit_id, occurred_at, user_sub, user_name, clinic_id, http_method, route, request_path, action,
+               patient_ids, note_ids, source_ip, user_agent, status_code, outcome,
+               COUNT(*) OVER() AS total_count
+        FROM audit_log
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY occurred_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `;
+    console.log("Executing query:", selectQuery.replace(/\s+/g, ' ').trim());
+    const result = await client.query(selectQuery, [...values, pageSize, (page - 1) * pageSize]);
+
+    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0;
+    console.log(`Found ${totalCount} audit entries (returning ${result.rows.length}) for tenant ${tenantSchema}.`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Audit entries retrieved successfully.",
+            entries: result.rows.map(({ total_count, ...entry }) => entry),
+            pagination: {
+                page: page,
+                page_size: pageSize,
+                total_count: totalCount,
+                total_pages: Math.ceil(totalCount / pageSize)
+            }
+        },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/audit', action: 'retrieve audit log', middleware: [...tenantMiddleware, requirePermission('audit:read')], handler: listAuditEntries },
+];
+
+module.exports = { routes };
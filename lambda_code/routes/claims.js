@@ -0,0 +1,102 @@
+// Claim routes: X12 837P claim files built from signed SOAP notes, for upload to a clearinghouse
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { withTransaction } = require('../lib/db');
+const { addAuditTargets } = require('../lib/audit');
+const { prepareClaims, build837P } = require('../lib/claims837');
+const { checkSegments } = require('../lib/x12');
+const { schemas } = require('../validation');
+
+// --- POST /claims/837p ---
+// Body: { note_ids: [...], usage_indicator?: 'P' | 'T' }. Nothing is generated until every
+// note, its patient and provider and the clinic's billing_info have what the claim needs;
+// otherwise 422 lists each problem with the note it belongs to. Each file gets the next
+// control number and is recorded in claim_exports.
+async function exportClaims(ctx) {
+    const { client, tenantSchema } = ctx;
+    const body = ctx.body; // validated against schemas.claimExport
+    const noteIds = [...new Set(body.note_ids)];
+    const usageIndicator = body.usage_indicator || 'P';
+
+    const notesResult = await client.query(`SELECT * FROM notes WHERE note_id = ANY($1::uuid[]);`, [noteIds]);
+    const notesById = new Map(notesResult.rows.map(note => [note.note_id, note]));
+    const missingIds = noteIds.filter(id => !notesById.has(id));
+    if (missingIds.length > 0) {
+        console.warn(`Claim export for tenant ${tenantSchema}: SOAP notes not found: ${missingIds.join(', ')}`);
+        throw new HttpError(404, `Not Found: SOAP notes not found: ${missingIds.join(', ')}.`, { note_ids: missingIds });
+    }
+    // Claims in the order the notes were requested
+    const notes = noteIds.map(id => notesById.get(id));
+    const patientIds = [...new Set(notes.map(note => note.patient_id))];
+    addAuditTargets(ctx, { patientIds, noteIds });
+
+    const doctorIds = [...new Set(notes.map(note => note.signed_by || note.doctor_id).filter(Boolean))];
+    const [patientsResult, doctorsResult, settingsResult] = await Promise.all([
+        client.query(`SELECT * FROM patients WHERE patient_id = ANY($1::uuid[]);`, [patientIds]),
+        client.query(`SELECT doctor_id, full_name, npi, taxonomy_code FROM doctors WHERE doctor_id = ANY($1::uuid[]);`, [doctorIds]),
+        client.query(`SELECT clinic_name, cpt_fees, billing_info FROM clinic_settings WHERE setting_id = 1;`),
+    ]);
+    const settings = settingsResult.rows[0] || null;
+
+    const { claims, errors } = prepareClaims({
+        notes,
+        patientsById: new Map(patientsResult.rows.map(patient => [patient.patient_id, patient])),
+        doctorsById: new Map(doctorsResult.rows.map(doctor => [doctor.doctor_id, doctor])),
+        settings,
+    });
+    if (errors.length > 0) {
+        console.warn(`Claim export for tenant ${tenantSchema} is missing data (${errors.length} problems).`);
+        throw new HttpError(422, "Unprocessable Entity: Claim data is incomplete.", { errors });
+    }
+    const totalCents = claims.reduce((sum, claim) => sum + claim.totalCents, 0);
+
+    // Rolled back if the file fails its structural check, so no export is recorded for it
+    const exported = await withTransaction(client, async () => {
+        const insertResult = await client.query(`
+            INSERT INTO claim_exports (note_ids, claim_count, total_charges, usage_indicator, created_by_sub)
+            VALUES ($1::uuid[], $2, $3, $4, $5)
+            RETURNING export_id, interchange_control_number, created_at;
+        `, [noteIds, claims.length, totalCents / 100, usageIndicator, ctx.claims.sub || null]);
+        const record = insertResult.rows[0];
+
+        const file = build837P({
+            claims,
+            settings,
+            controlNumber: record.interchange_control_number,
+            usageIndicator,
+            createdAt: new Date(record.created_at),
+        });
+        const segmentErrors = checkSegments(file.segments);
+        if (segmentErrors.length > 0) {
+            console.error(`Generated 837P for tenant ${tenantSchema} failed its structural check:`, segmentErrors);
+            throw new HttpError(422, "Unprocessable Entity: The claim file failed X12 validation.", { errors: segmentErrors });
+        }
+        return { record, file };
+    });
+
+    const { record, file } = exported;
+    const fileName = `837P_${String(record.interchange_control_number).padStart(9, '0')}.txt`;
+    console.log(`Exported ${claims.length} claims (control number ${record.interchange_control_number}, ${file.segments.length} segments) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Claim file generated successfully.",
+            export: {
+                export_id: record.export_id,
+                interchange_control_number: record.interchange_control_number,
+                usage_indicator: usageIndicator,
+                claim_count: claims.length,
+                total_charges: totalCents / 100,
+                created_at: record.created_at,
+            },
+            file_name: fileName,
+            content: file.content
+        },
+    };
+}
+
+const routes = [
+    { method: 'POST', path: '/claims/837p', action: 'export 837P claims', middleware: [...tenantMiddleware, requirePermission('claims:export'), validateBody(schemas.claimExport)], handler: exportClaims },
+];
+
+module.exports = { routes };
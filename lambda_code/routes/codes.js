@@ -0,0 +1,40 @@
+// Code lookup routes: search the bundled ICD-10-CM and CPT code sets (no PHI, no tenant data)
+const { HttpError } = require('../lib/http');
+const { resolveTenant, requirePermission } = require('../lib/middleware');
+const { CODE_SETS, searchCodes } = require('../lib/codeSets');
+
+const MAX_SEARCH_LIMIT = 50;
+
+// --- GET /codes/icd10?q=&limit= and GET /codes/cpt?q=&limit= ---
+// Category headers and retired codes are returned too (billable: false) so the picker can
+// explain why they can't be saved.
+function codeSearchHandler(codeSetName) {
+    return async function searchCodeSet(ctx) {
+        const q = (ctx.query.q || '').trim();
+        if (q.length === 0) {
+            throw new HttpError(400, "Bad Request: 'q' is required.");
+        }
+        const limit = ctx.query.limit === undefined ? undefined : Number(ctx.query.limit);
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT)) {
+            throw new HttpError(400, `Bad Request: 'limit' must be an integer between 1 and ${MAX_SEARCH_LIMIT}.`);
+        }
+
+        const results = searchCodes(codeSetName, q, { limit });
+        return {
+            statusCode: 200,
+            body: {
+                message: "Codes retrieved successfully.",
+                code_set: CODE_SETS[codeSetName].label,
+                codes: results
+            },
+        };
+    };
+}
+
+// No tenant client: every clinic role may search, and no tenant schema is touched
+const routes = [
+    { method: 'GET', path: '/codes/icd10', action: 'search ICD-10 codes', middleware: [resolveTenant, requirePermission('codes:read')], handler: codeSearchHandler('icd10') },
+    { method: 'GET', path: '/codes/cpt', action: 'search CPT codes', middleware: [resolveTenant, requirePermission('codes:read')], handler: codeSearchHandler('cpt') },
+];
+
+module.exports = { routes };
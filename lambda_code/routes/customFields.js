@@ -0,0 +1,220 @@
+// Custom field routes: the clinic's own intake fields (custom_form_fields definitions)
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { withTransaction } = require('../lib/db');
+const { CUSTOM_FIELD_COLUMNS, loadFieldDefinitions } = require('../lib/customFields');
+const { schemas, FORM_AREAS, OPTION_FIELD_TYPES } = require('../validation');
+
+// Body field -> value stored
+const CUSTOM_FIELD_UPDATE_COLUMNS = {
+    form_area: (value) => value,
+    field_label: (value) => value.trim(),
+    field_type: (value) => value,
+    options: (value) => (value && value.length > 0) ? JSON.stringify(value) : null,
+    is_required: (value) => value,
+    display_order: (value) => value,
+};
+
+// options must list the choices of a select / multiselect field and be absent otherwise.
+// Checked on the definition as it will be saved, since PUT may change either side.
+function checkOptions(definition) {
+    const options = Array.isArray(definition.options) ? definition.options : [];
+    if (OPTION_FIELD_TYPES.includes(definition.field_type)) {
+        if (options.length === 0) {
+            return [{ field: 'options', message: `is required for ${definition.field_type} fields` }];
+        }
+        if (new Set(options).size !== options.length) {
+            return [{ field: 'options', message: 'must not contain duplicates' }];
+        }
+    } else if (options.length > 0) {
+        return [{ field: 'options', message: `is only allowed for ${OPTION_FIELD_TYPES.join(' and ')} fields` }];
+    }
+    return [];
+}
+
+function optionErrors(errors) {
+    return new HttpError(422, "Unprocessable Entity: Request validation failed.", { errors });
+}
+
+// A duplicate field_key within the form area
+function describeCustomFieldConflict(dbError, definition) {
+    if (dbError.code === '23505' && dbError.constraint === 'uq_custom_form_fields_area_key') {
+        return new HttpError(409, `Conflict: A custom field with key '${definition.field_key}' already exists in '${definition.form_area}'.`);
+    }
+    return dbError;
+}
+
+// --- GET /custom-fields?form_area= ---
+// Open to every clinic user: the intake forms render these definitions.
+async function listCustomFields(ctx) {
+    const { client, tenantSchema, query } = ctx;
+    const formArea = query.form_area;
+    if (formArea !== undefined && !FORM_AREAS.includes(formArea)) {
+        throw new HttpError(400, `Bad Request: 'form_area' must be one of: ${FORM_AREAS.join(', ')}.`);
+    }
+
+    let fields;
+    if (formArea) {
+        fields = await loadFieldDefinitions(client, formArea);
+    } else {
+        const result = await client.query(`SELECT ${CUSTOM_FIELD_COLUMNS} FROM custom_form_fields ORDER BY form_area, display_order, field_label;`);
+        fields = result.rows;
+    }
+
+    console.log(`Found ${fields.length} custom fields${formArea ? ` in ${formArea}` : ''} for tenant ${tenantSchema}.`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Custom fields retrieved successfully.",
+            fields: fields
+        },
+    };
+}
+
+// --- GET /custom-fields/:id ---
+async function getCustomField(ctx) {
+    const { client } = ctx;
+    const fieldId = ctx.params.id;
+
+    const result = await client.query(`SELECT ${CUSTOM_FIELD_COLUMNS} FROM custom_form_fields WHERE field_id = $1;`, [fieldId]);
+    if (result.rows.length === 0) {
+        throw new HttpError(404, `Custom field with ID ${fieldId} not found.`);
+    }
+    return {
+        statusCode: 200,
+        body: {
+            message: "Custom field retrieved successfully.",
+            field: result.rows[0]
+        },
+    };
+}
+
+// --- POST /custom-fields ---
+async function createCustomField(ctx) {
+    const { client, tenantSchema } = ctx;
+    const body = ctx.body; // validated against schemas.customFieldCreate
+
+    const errors = checkOptions(body);
+    if (errors.length > 0) throw optionErrors(errors);
+
+    const insertQuery = `
+        INSERT INTO custom_form_fields (form_area, field_key, field_label, field_type, options, is_required, display_order)
+        VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7)
+        RETURNING ${CUSTOM_FIELD_COLUMNS};
+    `;
+    const values = [
+        body.form_area,
+        body.field_key,
+        body.field_label.trim(),
+        body.field_type,
+        CUSTOM_FIELD_UPDATE_COLUMNS.options(body.options),
+        body.is_required === true,
+        body.display_order ?? 0,
+    ];
+
+    console.log("Executing query:", insertQuery.replace(/\s+/g, ' ').trim());
+    let result;
+    try {
+        result = await client.query(insertQuery, values);
+    } catch (dbError) {
+        throw describeCustomFieldConflict(dbError, body);
+    }
+
+    const field = result.rows[0];
+    console.log(`Created custom field ${field.field_id} (${field.form_area}.${field.field_key}) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Custom field created successfully.",
+            field: field
+        },
+    };
+}
+
+// --- PUT /custom-fields/:id ---
+// Values already stored in custom_data are not rewritten; a changed type or option list
+// applies to patients saved from now on.
+async function updateCustomField(ctx) {
+    const { client, tenantSchema } = ctx;
+    const fieldId = ctx.params.id;
+    const body = ctx.body; // validated against schemas.customFieldUpdate
+    console.log("Request body:", body);
+
+    if (Object.keys(body).length === 0) {
+        throw new HttpError(400, "Bad Request: No fields provided for update.");
+    }
+
+    const fields = [];
+    const values = [];
+    for (const [column, toValue] of Object.entries(CUSTOM_FIELD_UPDATE_COLUMNS)) {
+        if (body[column] === undefined) continue;
+        values.push(toValue(body[column]));
+        fields.push(column === 'options' ? `${column} = $${values.length}::jsonb` : `${column} = $${values.length}`);
+    }
+    if (fields.length === 0) {
+        throw new HttpError(400, "Bad Request: No updatable fields provided.");
+    }
+    values.push(fieldId);
+
+    const updateQuery = `
+        UPDATE custom_form_fields
+        SET ${fields.join(', ')}
+        WHERE field_id = $${values.length}
+        RETURNING ${CUSTOM_FIELD_COLUMNS};
+    `;
+
+    const updated = await withTransaction(client, async () => {
+        const current = await client.query(`SELECT ${CUSTOM_FIELD_COLUMNS} FROM custom_form_fields WHERE field_id = $1 FOR UPDATE;`, [fieldId]);
+        if (current.rows.length === 0) {
+            throw new HttpError(404, `Custom field with ID ${fieldId} not found.`);
+        }
+        const merged = { ...current.rows[0], ...body };
+        const errors = checkOptions(merged);
+        if (errors.length > 0) throw optionErrors(errors);
+
+        console.log("Executing query:", updateQuery.replace(/\s+/g, ' ').trim());
+        try {
+            const result = await client.query(updateQuery, values);
+            return result.rows[0];
+        } catch (dbError) {
+            throw describeCustomFieldConflict(dbError, merged);
+        }
+    });
+
+    console.log(`Updated custom field ${fieldId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Custom field updated successfully.",
+            field: updated
+        },
+    };
+}
+
+// --- DELETE /custom-fields/:id ---
+// Removes the definition only; values patients already have stay in their custom_data.
+async function deleteCustomField(ctx) {
+    const { client, tenantSchema } = ctx;
+    const fieldId = ctx.params.id;
+
+    const result = await client.query(`DELETE FROM custom_form_fields WHERE field_id = $1 RETURNING field_id;`, [fieldId]);
+    if (result.rowCount === 0) {
+        throw new HttpError(404, `Custom field with ID ${fieldId} not found.`);
+    }
+
+    console.log(`Deleted custom field ${fieldId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: { message: "Custom field deleted successfully.", fieldId: fieldId },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/custom-fields', action: 'fetch custom fields', middleware: [...tenantMiddleware, requirePermission('custom_fields:read')], handler: listCustomFields },
+    { method: 'POST', path: '/custom-fields', action: 'create custom field', middleware: [...tenantMiddleware, requirePermission('custom_fields:manage'), validateBody(schemas.customFieldCreate)], handler: createCustomField },
+    { method: 'GET', path: '/custom-fields/:id', action: 'fetch custom field', middleware: [...tenantMiddleware, requirePermission('custom_fields:read')], handler: getCustomField },
+    { method: 'PUT', path: '/custom-fields/:id', action: 'update custom field', middleware: [...tenantMiddleware, requirePermission('custom_fields:manage'), validateBody(schemas.customFieldUpdate, { partial: true })], handler: updateCustomField },
+    { method: 'DELETE', path: '/custom-fields/:id', action: 'delete custom field', middleware: [...tenantMiddleware, requirePermission('custom_fields:manage')], handler: deleteCustomField },
+];
+
+module.exports = { routes };
@@ -0,0 +1,219 @@
+// Doctor routes: the clinic's providers and the Cognito user each one signs in as
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { getLinkedDoctor } = require('../lib/identity');
+const { schemas, checkWorkingHours } = require('../validation');
+
+const DOCTOR_COLUMNS = 'doctor_id, full_name, credentials, cognito_sub, npi, taxonomy_code, working_hours, is_active, created_at, updated_at';
+
+// Body field -> value stored; '' clears the optional text columns
+const DOCTOR_UPDATE_COLUMNS = {
+    full_name: (value) => value.trim(),
+    credentials: (value) => value || null,
+    cognito_sub: (value) => value || null,
+    npi: (value) => value || null,
+    taxonomy_code: (value) => value || null,
+    working_hours: (value) => (value ? JSON.stringify(value) : null),
+    is_active: (value) => value,
+};
+
+// Interval order and overlaps aren't expressible in the schema; reported the way validateBody reports (422)
+function assertValidWorkingHours(workingHours) {
+    const errors = workingHours ? checkWorkingHours(workingHours) : [];
+    if (errors.length > 0) {
+        throw new HttpError(422, "Unprocessable Entity: Request validation failed.", { errors });
+    }
+}
+
+// Turn a duplicate cognito_sub into a message that says which user is already linked
+function describeDoctorConflict(dbError, body) {
+    if (dbError.code === '23505' && dbError.constraint === 'uq_doctors_cognito_sub') {
+        return new HttpError(409, `Conflict: Cognito user ${body.cognito_sub} is already linked to another doctor.`);
+    }
+    return dbError;
+}
+
+// --- GET /doctors?include_inactive=true ---
+// Active doctors only unless include_inactive is set (e.g. to reactivate one).
+async function listDoctors(ctx) {
+    const { client, tenantSchema } = ctx;
+    const includeInactive = ctx.query.include_inactive === 'true';
+
+    const selectQuery = `
+        SELECT ${DOCTOR_COLUMNS} FROM doctors
+        ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+        ORDER BY full_name;
+    `;
+    console.log("Executing query:", selectQuery.replace(/\s+/g, ' ').trim());
+    const result = await client.query(selectQuery);
+
+    console.log(`Found ${result.rows.length} doctors for tenant ${tenantSchema}.`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Doctors retrieved successfully.",
+            doctors: result.rows
+        },
+    };
+}
+
+// --- GET /doctors/me ---
+// The doctor profile linked to the signed-in user, i.e. who their notes are attributed to.
+async function getMyDoctor(ctx) {
+    const doctor = await getLinkedDoctor(ctx);
+    if (!doctor) {
+        throw new HttpError(404, "Not Found: Your user account is not linked to a doctor profile.");
+    }
+    return {
+        statusCode: 200,
+        body: {
+            message: "Doctor retrieved successfully.",
+            doctor: doctor
+        },
+    };
+}
+
+// --- GET /doctors/:id ---
+async function getDoctor(ctx) {
+    const { client, tenantSchema } = ctx;
+    const doctorId = ctx.params.id;
+
+    const result = await client.query(`SELECT ${DOCTOR_COLUMNS} FROM doctors WHERE doctor_id = $1;`, [doctorId]);
+    if (result.rows.length === 0) {
+        console.warn(`Doctor with ID ${doctorId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `Doctor with ID ${doctorId} not found.`);
+    }
+    return {
+        statusCode: 200,
+        body: {
+            message: "Doctor retrieved successfully.",
+            doctor: result.rows[0]
+        },
+    };
+}
+
+// --- POST /doctors ---
+async function createDoctor(ctx) {
+    const { client, tenantSchema } = ctx;
+    const body = ctx.body; // validated against schemas.doctorCreate
+    assertValidWorkingHours(body.working_hours);
+
+    const insertQuery = `
+        INSERT INTO doctors (full_name, credentials, cognito_sub, npi, taxonomy_code, working_hours, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7)
+        RETURNING ${DOCTOR_COLUMNS};
+    `;
+    const values = [
+        body.full_name.trim(),
+        body.credentials || null,
+        body.cognito_sub || null,
+        body.npi || null,
+        body.taxonomy_code || null,
+        body.working_hours ? JSON.stringify(body.working_hours) : null,
+        body.is_active !== false,
+    ];
+
+    console.log("Executing query:", insertQuery.replace(/\s+/g, ' ').trim());
+    let result;
+    try {
+        result = await client.query(insertQuery, values);
+    } catch (dbError) {
+        throw describeDoctorConflict(dbError, body);
+    }
+
+    const newDoctor = result.rows[0];
+    console.log(`Successfully created doctor ${newDoctor.doctor_id} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Doctor created successfully.",
+            doctor: newDoctor
+        },
+    };
+}
+
+// Apply a partial update and return the updated row, or throw 404
+async function applyDoctorUpdate(ctx, doctorId, body) {
+    const fields = [];
+    const values = [];
+    for (const [column, toValue] of Object.entries(DOCTOR_UPDATE_COLUMNS)) {
+        if (body[column] === undefined) continue;
+        values.push(toValue(body[column]));
+        fields.push(column === 'working_hours' ? `${column} = $${values.length}::jsonb` : `${column} = $${values.length}`);
+    }
+    if (fields.length === 0) {
+        throw new HttpError(400, "Bad Request: No updatable fields provided.");
+    }
+    values.push(doctorId);
+
+    const updateQuery = `
+        UPDATE doctors
+        SET ${fields.join(', ')}
+        WHERE doctor_id = $${values.length}
+        RETURNING ${DOCTOR_COLUMNS};
+    `;
+    console.log("Executing query:", updateQuery.replace(/\s+/g, ' ').trim());
+    let result;
+    try {
+        result = await ctx.client.query(updateQuery, values);
+    } catch (dbError) {
+        throw describeDoctorConflict(dbError, body);
+    }
+    if (result.rows.length === 0) {
+        console.warn(`Doctor with ID ${doctorId} not found for tenant ${ctx.tenantSchema} during update.`);
+        throw new HttpError(404, `Doctor with ID ${doctorId} not found.`);
+    }
+    return result.rows[0];
+}
+
+// --- PUT /doctors/:id ---
+// Also how a doctor is reactivated ({ "is_active": true }) or linked to another user.
+async function updateDoctor(ctx) {
+    const doctorId = ctx.params.id;
+    const body = ctx.body; // validated against schemas.doctorUpdate
+    console.log("Request body:", body);
+
+    if (Object.keys(body).length === 0) {
+        throw new HttpError(400, "Bad Request: No fields provided for update.");
+    }
+    assertValidWorkingHours(body.working_hours);
+    const updated = await applyDoctorUpdate(ctx, doctorId, body);
+
+    console.log(`Successfully updated doctor ${doctorId} for tenant ${ctx.tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Doctor updated successfully.",
+            doctor: updated
+        },
+    };
+}
+
+// --- DELETE /doctors/:id ---
+// Deactivates rather than deletes: existing notes, signatures and addenda keep their doctor.
+// A deactivated doctor's user can no longer author or sign notes.
+async function deactivateDoctor(ctx) {
+    const doctorId = ctx.params.id;
+    const updated = await applyDoctorUpdate(ctx, doctorId, { is_active: false });
+
+    console.log(`Deactivated doctor ${doctorId} for tenant ${ctx.tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Doctor deactivated successfully.",
+            doctor: updated
+        },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/doctors', action: 'fetch doctors', middleware: [...tenantMiddleware, requirePermission('doctors:read')], handler: listDoctors },
+    { method: 'POST', path: '/doctors', action: 'create doctor', middleware: [...tenantMiddleware, requirePermission('doctors:manage'), validateBody(schemas.doctorCreate)], handler: createDoctor },
+    // Before '/doctors/:id' so 'me' isn't taken for an id
+    { method: 'GET', path: '/doctors/me', action: 'fetch own doctor profile', middleware: [...tenantMiddleware, requirePermission('doctors:read')], handler: getMyDoctor },
+    { method: 'GET', path: '/doctors/:id', action: 'fetch doctor', middleware: [...tenantMiddleware, requirePermission('doctors:read')], handler: getDoctor },
+    { method: 'PUT', path: '/doctors/:id', action: 'update doctor', middleware: [...tenantMiddleware, requirePermission('doctors:manage'), validateBody(schemas.doctorUpdate, { partial: true })], handler: updateDoctor },
+    { method: 'DELETE', path: '/doctors/:id', action: 'deactivate doctor', middleware: [...tenantMiddleware, requirePermission('doctors:manage')], handler: deactivateDoctor },
+];
+
+module.exports = { routes };
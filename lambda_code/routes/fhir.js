@@ -0,0 +1,163 @@
+// FHIR R4 routes: read-only Patient, Practitioner, Composition and Condition resources and
+// the Patient/$everything export, mapped from the tenant tables by lib/fhir.js.
+//
+// Every query runs on the tenant client from tenantMiddleware (search_path set to the
+// caller's clinic schema), so a clinic can only read and export its own records.
+const { HttpError, toErrorResponse } = require('../lib/http');
+const { tenantMiddleware, requirePermission } = require('../lib/middleware');
+const { addAuditTargets } = require('../lib/audit');
+const {
+    FHIR_CONTENT_TYPE,
+    parseConditionId,
+    toPatient,
+    toPractitioner,
+    toConditions,
+    toComposition,
+    toSearchsetBundle,
+    toOperationOutcome,
+} = require('../lib/fhir');
+const { validateResource } = require('../lib/fhirValidation');
+
+// OperationOutcome issue type for each error status we return
+const ISSUE_CODES = { 400: 'invalid', 403: 'forbidden', 404: 'not-found', 409: 'conflict', 422: 'processing', 503: 'transient' };
+
+// --- Serve FHIR JSON, errors included ---
+// Runs before tenantMiddleware so a missing tenant or schema is an OperationOutcome too.
+async function fhirResponses(ctx, next) {
+    let response;
+    try {
+        response = await next();
+    } catch (error) {
+        response = toErrorResponse(error, ctx);
+    }
+    if (response.statusCode >= 400) {
+        const { message, errors } = response.body || {};
+        response = {
+            ...response,
+            body: toOperationOutcome(message, errors, ISSUE_CODES[response.statusCode] || 'exception'),
+        };
+    }
+    return { ...response, headers: { ...(response.headers || {}), 'Content-Type': FHIR_CONTENT_TYPE } };
+}
+
+const fhirMiddleware = [fhirResponses, ...tenantMiddleware];
+
+// --- Check a resource before it is returned ---
+// A failure is our bug, not the caller's, so it's a 500 listing each problem.
+function fhirResult(ctx, resource) {
+    const problems = validateResource(resource);
+    if (problems.length > 0) {
+        console.error(`Generated FHIR ${resource.resourceType} for tenant ${ctx.tenantSchema} failed validation:`, problems);
+        throw new HttpError(500, `Internal Server Error: The generated ${resource.resourceType} is not valid FHIR.`, { errors: problems });
+    }
+    return { statusCode: 200, body: resource };
+}
+
+// Where the Bundle's fullUrls point: FHIR_BASE_URL if set (e.g. behind a custom domain),
+// else the API Gateway host and stage this request came in on
+function fhirBaseUrl(ctx) {
+    if (process.env.FHIR_BASE_URL) return process.env.FHIR_BASE_URL.replace(/\/+$/, '');
+    const host = ctx.event.headers?.Host || ctx.event.headers?.host;
+    const stage = ctx.event.requestContext?.stage;
+    if (!host) return undefined;
+    return stage ? `https://${host}/${stage}/fhir` : `https://${host}/fhir`;
+}
+
+async function findRow(client, table, idColumn, id, label) {
+    const result = await client.query(`SELECT * FROM ${table} WHERE ${idColumn} = $1;`, [id]);
+    if (result.rows.length === 0) {
+        throw new HttpError(404, `Not Found: ${label}/${id} not found.`);
+    }
+    return result.rows[0];
+}
+
+async function loadAddenda(client, noteIds) {
+    const result = await client.query(`
+        SELECT * FROM note_addenda WHERE note_id = ANY($1::uuid[]) ORDER BY created_at ASC;
+    `, [noteIds]);
+    const byNote = new Map(noteIds.map(id => [id, []]));
+    result.rows.forEach(addendum => byNote.get(addendum.note_id).push(addendum));
+    return byNote;
+}
+
+// --- GET /fhir/Patient/:id ---
+async function readPatient(ctx) {
+    const patient = await findRow(ctx.client, 'patients', 'patient_id', ctx.params.id, 'Patient');
+    addAuditTargets(ctx, { patientIds: [patient.patient_id] });
+    return fhirResult(ctx, toPatient(patient));
+}
+
+// --- GET /fhir/Practitioner/:id ---
+async function readPractitioner(ctx) {
+    const doctor = await findRow(ctx.client, 'doctors', 'doctor_id', ctx.params.id, 'Practitioner');
+    return fhirResult(ctx, toPractitioner(doctor));
+}
+
+// --- GET /fhir/Composition/:id ---
+async function readComposition(ctx) {
+    const note = await findRow(ctx.client, 'notes', 'note_id', ctx.params.id, 'Composition');
+    addAuditTargets(ctx, { patientIds: [note.patient_id], noteIds: [note.note_id] });
+    const addenda = await loadAddenda(ctx.client, [note.note_id]);
+    return fhirResult(ctx, toComposition(note, addenda.get(note.note_id)));
+}
+
+// --- GET /fhir/Condition/:id ---
+// Condition ids are '<note_id>-dx<rank>' (see lib/fhir.js)
+async function readCondition(ctx) {
+    const parsed = parseConditionId(ctx.params.id);
+    if (!parsed) {
+        throw new HttpError(404, `Not Found: Condition/${ctx.params.id} not found.`);
+    }
+    const note = await findRow(ctx.client, 'notes', 'note_id', parsed.noteId, 'Condition');
+    addAuditTargets(ctx, { patientIds: [note.patient_id], noteIds: [note.note_id] });
+    const condition = toConditions(note)[parsed.index];
+    if (!condition) {
+        throw new HttpError(404, `Not Found: Condition/${ctx.params.id} not found.`);
+    }
+    return fhirResult(ctx, condition);
+}
+
+// --- GET /fhir/Patient/:id/$everything ---
+// searchset Bundle: the Patient, a Composition per SOAP note (oldest first) and a Condition
+// per diagnosis as matches, plus every Practitioner those refer to as includes.
+async function patientEverything(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patient = await findRow(client, 'patients', 'patient_id', ctx.params.id, 'Patient');
+
+    const notesResult = await client.query(`
+        SELECT * FROM notes WHERE patient_id = $1 ORDER BY created_at ASC;
+    `, [patient.patient_id]);
+    const notes = notesResult.rows;
+    const noteIds = notes.map(note => note.note_id);
+    addAuditTargets(ctx, { patientIds: [patient.patient_id], noteIds });
+
+    const addendaByNote = await loadAddenda(client, noteIds);
+    const doctorIds = new Set();
+    notes.forEach(note => {
+        [note.doctor_id, note.signed_by].filter(Boolean).forEach(id => doctorIds.add(id));
+        addendaByNote.get(note.note_id).forEach(addendum => doctorIds.add(addendum.doctor_id));
+    });
+    const doctorsResult = await client.query(`
+        SELECT * FROM doctors WHERE doctor_id = ANY($1::uuid[]) ORDER BY full_name ASC;
+    `, [[...doctorIds]]);
+
+    const compositions = notes.map(note => toComposition(note, addendaByNote.get(note.note_id)));
+    const conditions = notes.flatMap(note => toConditions(note));
+    const bundle = toSearchsetBundle({
+        matches: [toPatient(patient), ...compositions, ...conditions],
+        includes: doctorsResult.rows.map(toPractitioner),
+    }, { baseUrl: fhirBaseUrl(ctx) });
+
+    console.log(`FHIR $everything for patient ${patient.patient_id} in tenant ${tenantSchema}: ${compositions.length} compositions, ${conditions.length} conditions, ${doctorsResult.rows.length} practitioners`);
+    return fhirResult(ctx, bundle);
+}
+
+const routes = [
+    { method: 'GET', path: '/fhir/Patient/:id', action: 'read FHIR Patient', middleware: [...fhirMiddleware, requirePermission('patients:read')], handler: readPatient },
+    { method: 'GET', path: '/fhir/Patient/:id/$everything', action: 'export FHIR Patient $everything', middleware: [...fhirMiddleware, requirePermission('notes:read')], handler: patientEverything },
+    { method: 'GET', path: '/fhir/Practitioner/:id', action: 'read FHIR Practitioner', middleware: [...fhirMiddleware, requirePermission('doctors:read')], handler: readPractitioner },
+    { method: 'GET', path: '/fhir/Composition/:id', action: 'read FHIR Composition', middleware: [...fhirMiddleware, requirePermission('notes:read')], handler: readComposition },
+    { method: 'GET', path: '/fhir/Condition/:id', action: 'read FHIR Condition', middleware: [...fhirMiddleware, requirePermission('notes:read')], handler: readCondition },
+];
+
+module.exports = { routes };
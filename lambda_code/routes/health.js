@@ -0,0 +1,30 @@
+// Public health check (no tenant required)
+const { getPool } = require('../lib/db');
+
+async function healthcheck() {
+    let dbOk = false;
+    let client;
+    try {
+        client = await getPool().connect();
+        await client.query('SELECT 1'); // Simple query to check connectivity
+        dbOk = true;
+    } catch (dbError) {
+        console.error("Health check failed to connect to DB:", dbError);
+    } finally {
+        if (client) client.release();
+    }
+    return {
+        statusCode: 200,
+        body: {
+            status: 'OK',
+            database_status: dbOk ? 'OK' : 'Unavailable',
+            timestamp: new Date().toISOString()
+        },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/healthcheck', action: 'check health', handler: healthcheck },
+];
+
+module.exports = { routes };
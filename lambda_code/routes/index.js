@@ -0,0 +1,44 @@
+// Route table: every endpoint the Lambda serves, one module per resource
+const health = require('./health');
+const audit = require('./audit');
+const admin = require('./admin');
+const patients = require('./patients');
+const doctors = require('./doctors');
+const customFields = require('./customFields');
+const queue = require('./queue');
+const appointments = require('./appointments');
+const soapnotes = require('./soapnotes');
+const recordings = require('./recordings');
+const settings = require('./settings');
+const claims = require('./claims');
+const codes = require('./codes');
+const fhir = require('./fhir');
+const { resolveTenant } = require('../lib/middleware');
+
+const routes = [
+    ...health.routes,
+    ...patients.routes,
+    ...doctors.routes,
+    ...customFields.routes,
+    ...queue.routes,
+    ...appointments.routes,
+    ...soapnotes.routes,
+    ...recordings.routes,
+    ...settings.routes,
+    ...claims.routes,
+    ...codes.routes,
+    ...fhir.routes,
+    ...audit.routes,
+    ...admin.routes,
+];
+
+// Every route that serves a clinic's users must say which permission it needs
+// (requirePermission in lib/middleware.js); refuse to start with one that doesn't.
+const undeclared = routes.filter(route =>
+    (route.middleware || []).includes(resolveTenant) && !route.middleware.some(middleware => middleware.permission)
+);
+if (undeclared.length > 0) {
+    throw new Error(`Routes without a permission: ${undeclared.map(route => `${route.method} ${route.path}`).join(', ')}`);
+}
+
+module.exports = routes;
@@ -0,0 +1,696 @@
+// Patient routes: search, create (with a duplicate check), update, merge, archive/restore/purge
+// and revision history
+const { HttpError, parsePositiveInt } = require('../lib/http');
+const { tenantMiddleware, validateBody, validateCustomData, requirePermission } = require('../lib/middleware');
+const { withTransaction } = require('../lib/db');
+const { recordRevision, listRevisions, diffRevisions } = require('../lib/revisions');
+const { addAuditTargets } = require('../lib/audit');
+const { retentionEndsAt } = require('../lib/patientArchive');
+const { transcriptKey, deleteObjects } = require('../lib/recordingStorage');
+const { publishQueueEvent } = require('../lib/realtime');
+const { normalizePhoneNumber, isEncryptedColumn, blindIndex } = require('../lib/fieldEncryption');
+const { ACTIVE_QUEUE_STATUSES } = require('./queue');
+const { schemas, isValidDate } = require('../validation');
+
+// --- Patient Search Helpers ---
+const PATIENT_SEARCH_DEFAULT_PAGE_SIZE = 25;
+const PATIENT_SEARCH_MAX_PAGE_SIZE = 100;
+// pg_trgm similarity at or above which a name counts as a typo-tolerant match.
+// 0.2 still catches a transposed letter in a short name ("Jonh" ~ "John" = 0.25).
+const NAME_SIMILARITY_THRESHOLD = 0.2;
+
+// Escape LIKE wildcards so user input is matched literally in prefix searches
+function escapeLikePattern(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// Build the WHERE conditions, ranking expression and paging for GET /patients.
+// Throws an Error with a client-facing message when a parameter is malformed.
+// phoneBlindIndex ({ column, value }) is given when phone numbers are encrypted.
+function buildPatientSearch(query, phoneBlindIndex = null) {
+    const conditions = [];
+    const values = [];
+    const scoreTerms = [];
+
+    for (const column of ['first_name', 'last_name']) {
+        const term = (query[column] || '').trim();
+        if (!term) continue;
+        values.push(term);
+        const termParam = `$${values.length}`;
+        values.push(`${escapeLikePattern(term)}%`);
+        const prefixParam = `$${values.length}`;
+        // Prefix matches handle partial input, trigram similarity handles typos
+        conditions.push(`(${column} ILIKE ${prefixParam} OR similarity(${column}, ${termParam}) >= ${NAME_SIMILARITY_THRESHOLD})`);
+        scoreTerms.push(`GREATEST(similarity(${column}, ${termParam}), CASE WHEN ${column} ILIKE ${prefixParam} THEN 0.8 ELSE 0 END)`);
+    }
+
+    if (query.date_of_birth) {
+        if (!isValidDate(query.date_of_birth)) {
+            throw new Error(`'date_of_birth' must be a date in YYYY-MM-DD format.`);
+        }
+        values.push(query.date_of_birth);
+        conditions.push(`date_of_birth = $${values.length}::date`);
+        scoreTerms.push('1');
+    }
+
+    if (query.phone_number) {
+        const digits = normalizePhoneNumber(query.phone_number);
+        if (digits.length < 4) {
+            throw new Error(`'phone_number' must contain at least 4 digits.`);
+        }
+        if (phoneBlindIndex) {
+            // Ciphertext can't be suffix-matched: the blind indexes find the last 4 or 7 digits or the whole number
+            values.push(phoneBlindIndex.value);
+            conditions.push(`${phoneBlindIndex.column} = $${values.length}`);
+            scoreTerms.push(phoneBlindIndex.column === 'phone_number_bidx' ? '1' : '0.5');
+        } else {
+            values.push(digits);
+            // Suffix match so a partial number (last 4 / 7 digits) still finds the patient
+            const phoneDigitsSql = `regexp_replace(phone_number, '\\D', '', 'g')`;
+            conditions.push(`${phoneDigitsSql} LIKE '%' || $${values.length}`);
+            scoreTerms.push(`CASE WHEN right(${phoneDigitsSql}, 10) = $${values.length} THEN 1 ELSE 0.5 END`);
+        }
+    }
+
+    // Archived patients are left out unless asked for
+    if (query.include_archived !== 'true') {
+        conditions.push('archived_at IS NULL');
+    }
+
+    const page = parsePositiveInt(query.page, 1, 'page');
+    const pageSize = Math.min(
+        parsePositiveInt(query.page_size, PATIENT_SEARCH_DEFAULT_PAGE_SIZE, 'page_size'),
+        PATIENT_SEARCH_MAX_PAGE_SIZE
+    );
+
+    return {
+        conditions,
+        values,
+        // Average of the per-criterion scores, so results matching every criterion closely rank first
+        scoreSql: scoreTerms.length > 0 ? `((${scoreTerms.join(' + ')}) / ${scoreTerms.length})` : '0',
+        page,
+        pageSize,
+    };
+}
+
+// --- Duplicate Check Helpers (POST /patients) ---
+// Name similarity (first and last name averaged, also tried the other way round) at or
+// above which a patient with the same date of birth or phone number looks like the same person
+const DUPLICATE_NAME_SIMILARITY_THRESHOLD = 0.3;
+// Fewer digits than this match too many unrelated numbers
+const DUPLICATE_MIN_PHONE_DIGITS = 7;
+const MAX_POSSIBLE_DUPLICATES = 5;
+
+// Existing charts that probably belong to the patient about to be created: a similar name
+// with the same date of birth or phone number, or the same date of birth and phone number
+// under another name. Archived patients are included (they should be restored instead);
+// duplicates already merged away are not.
+async function findPossibleDuplicates(client, patient) {
+    const phoneDigits = normalizePhoneNumber(patient.phone_number);
+    const phoneEncrypted = isEncryptedColumn('patients', 'phone_number');
+    // With encrypted phone numbers only the whole number can be compared
+    const phoneMatchSql = phoneEncrypted
+        ? 'phone_number_bidx = $4'
+        : `regexp_replace(phone_number, '\\D', '', 'g') LIKE '%' || $4`;
+    const query = `
+        WITH candidates AS (
+            SELECT patient_id, first_name, last_name, date_of_birth, phone_number, archived_at,
+                   GREATEST(
+                       (similarity(first_name, $1) + similarity(last_name, $2)) / 2,
+                       (similarity(first_name, $2) + similarity(last_name, $1)) / 2
+                   ) AS name_score,
+                   date_of_birth = $3::date AS same_date_of_birth,
+                   COALESCE($4::text IS NOT NULL AND ${phoneMatchSql}, false) AS same_phone_number
+            FROM patients
+            WHERE merged_into_patient_id IS NULL
+              AND (date_of_birth = $3::date OR ($4::text IS NOT NULL AND ${phoneMatchSql}))
+        )
+        SELECT *, (name_score + same_date_of_birth::int + same_phone_number::int) / 3 AS match_score
+        FROM candidates
+        WHERE (name_score >= $5 AND (same_date_of_birth OR same_phone_number)) OR (same_date_of_birth AND same_phone_number)
+        ORDER BY match_score DESC, last_name, first_name
+        LIMIT $6;
+    `;
+    let phoneValue = phoneDigits.length >= DUPLICATE_MIN_PHONE_DIGITS ? phoneDigits : null;
+    if (phoneValue && phoneEncrypted) {
+        phoneValue = await blindIndex(client, 'patients', 'phone_number_bidx', phoneValue);
+    }
+    const values = [
+        patient.first_name,
+        patient.last_name,
+        patient.date_of_birth,
+        phoneValue,
+        DUPLICATE_NAME_SIMILARITY_THRESHOLD,
+        MAX_POSSIBLE_DUPLICATES,
+    ];
+    const result = await client.query(query, values);
+    return result.rows.map(({ name_score, same_date_of_birth, same_phone_number, match_score, ...candidate }) => ({
+        ...candidate,
+        match_score: Math.round(Number(match_score) * 100) / 100,
+        match_reasons: [
+            Number(name_score) >= DUPLICATE_NAME_SIMILARITY_THRESHOLD ? 'name' : null,
+            same_date_of_birth ? 'date_of_birth' : null,
+            same_phone_number ? 'phone_number' : null,
+        ].filter(Boolean),
+    }));
+}
+
+// Blind index that finds an encrypted phone number from the digits searched for, or null
+// for a partial number none of them covers (an area code, 5 or 6 digits, ...)
+function phoneBlindIndexColumn(digits) {
+    if (digits.length === 4) return 'phone_last4_bidx';
+    if (digits.length === 7) return 'phone_last7_bidx';
+    if (digits.length >= 10) return 'phone_number_bidx';
+    return null;
+}
+
+// --- GET /patients (search + pagination) ---
+async function listPatients(ctx) {
+    const { client, tenantSchema } = ctx;
+    let phoneBlindIndex = null;
+    const phoneDigits = normalizePhoneNumber(ctx.query.phone_number);
+    // Fewer than 4 digits is left to buildPatientSearch to refuse
+    if (phoneDigits.length >= 4 && isEncryptedColumn('patients', 'phone_number')) {
+        const column = phoneBlindIndexColumn(phoneDigits);
+        if (!column) {
+            console.warn(`Rejected a ${phoneDigits.length}-digit phone search: phone numbers are encrypted`);
+            throw new HttpError(422, "Unprocessable Entity: Request validation failed.", {
+                errors: [{ field: 'phone_number', message: 'must be the last 4 or 7 digits or the whole number (phone numbers are encrypted)' }],
+            });
+        }
+        phoneBlindIndex = { column, value: await blindIndex(client, 'patients', column, phoneDigits) };
+    }
+    let search;
+    try {
+        search = buildPatientSearch(ctx.query, phoneBlindIndex);
+    } catch (searchError) {
+        console.warn(`Rejected patient search parameters: ${searchError.message}`);
+        throw new HttpError(400, `Bad Request: ${searchError.message}`);
+    }
+
+    const selectQuery = `
+        SELECT patient_id, first_name, last_name, date_of_birth, phone_number, created_at, updated_at, archived_at,
+               ${search.scoreSql} AS match_score,
+               COUNT(*) OVER() AS total_count
+        FROM patients
+        ${search.conditions.length > 0 ? `WHERE ${search.conditions.join(' AND ')}` : ''}
+        ORDER BY match_score DESC, last_name, first_name
+        LIMIT $${search.values.length + 1} OFFSET $${search.values.length + 2};
+    `;
+    const values = [...search.values, search.pageSize, (search.page - 1) * search.pageSize];
+    console.log("Executing query:", selectQuery.replace(/\s+/g, ' ').trim());
+    let result;
+    try {
+        result = await client.query(selectQuery, values);
+    } catch (dbError) {
+        if (dbError.code === '42883') { // undefined_function: pg_trgm not installed
+            console.error("similarity() is unavailable. Is the pg_trgm extension enabled?");
+            throw new HttpError(500, "Internal Server Error: Patient search is not configured (pg_trgm extension missing).", { error: dbError.message });
+        }
+        throw dbError;
+    }
+
+    const totalCount = result.rows.length > 0 ? parseInt(result.rows[0].total_count, 10) : 0;
+    const patients = result.rows.map(({ total_count, ...patient }) => ({
+        ...patient,
+        match_score: Number(patient.match_score)
+    }));
+    addAuditTargets(ctx, { patientIds: patients.map(p => p.patient_id) });
+    console.log(`Found ${totalCount} matching patients (returning ${patients.length}) for tenant ${tenantSchema}.`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Patients retrieved successfully.",
+            patients: patients,
+            pagination: {
+                page: search.page,
+                page_size: search.pageSize,
+                total_count: totalCount,
+                total_pages: Math.ceil(totalCount / search.pageSize)
+            }
+        },
+    };
+}
+
+// --- POST /patients ---
+// Answers 409 with possible_duplicates when the patient seems to have a chart already;
+// the front desk confirms a genuinely new patient by repeating the request with
+// ?allow_duplicate=true.
+async function createPatient(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.patientCreate
+
+    if (ctx.query.allow_duplicate === 'true') {
+        console.log(`Duplicate check skipped on request for tenant ${tenantSchema}.`);
+    } else {
+        const possibleDuplicates = await findPossibleDuplicates(client, body);
+        if (possibleDuplicates.length > 0) {
+            addAuditTargets(ctx, { patientIds: possibleDuplicates.map(p => p.patient_id) });
+            console.warn(`Found ${possibleDuplicates.length} possible duplicates of the new patient for tenant ${tenantSchema}.`);
+            throw new HttpError(409, "Conflict: This patient may already have a chart. Repeat the request with allow_duplicate=true to create a new one anyway.", {
+                possible_duplicates: possibleDuplicates
+            });
+        }
+    }
+
+    const insertQuery = `
+        INSERT INTO patients (
+            first_name, last_name, date_of_birth, middle_initial, preferred_name, 
+            gender, phone_number, email, address_line1, address_line2, city, 
+            state_province, postal_code, country, is_medicare_eligible, custom_data
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16::jsonb)
+        RETURNING patient_id, first_name, last_name, date_of_birth, created_at;
+    `;
+    // Map fields from body to the correct columns
+    const values = [
+        body.first_name,            // $1
+        body.last_name,             // $2
+        body.date_of_birth,         // $3
+        body.middle_initial || null, // $4
+        body.preferred_name || null, // $5
+        body.gender || null,          // $6
+        body.phone_number || null,    // $7
+        body.email || null,           // $8
+        body.address_line1 || null,   // $9
+        body.address_line2 || null,   // $10
+        body.city || null,            // $11
+        body.state_province || null,  // $12
+        body.postal_code || null,     // $13
+        body.country || null,         // $14
+        body.is_medicare_eligible || false, // $15 (Assuming default false)
+        JSON.stringify(body.custom_data || {}) // $16 (Keep as JSONB)
+    ];
+
+    console.log("Executing query:", insertQuery.replace(/\s+/g, ' ').trim()); // Don't log values in production if sensitive
+    const result = await client.query(insertQuery, values);
+    const newPatient = result.rows[0];
+    addAuditTargets(ctx, { patientIds: [newPatient.patient_id] });
+    console.log(`Successfully created patient ${newPatient.patient_id} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Patient created successfully.",
+            // Return only essential details or match GET response structure
+            patientId: newPatient.patient_id,
+        },
+    };
+}
+
+// Updatable patient fields (every field in schemas.patientUpdate) and how each is bound into the UPDATE
+const PATIENT_UPDATE_COLUMNS = Object.fromEntries(
+    Object.entries(schemas.patientUpdate.fields).map(([column, rule]) => [
+        column,
+        // For JSONB fields, ensure they are stringified
+        rule.type === 'object' ? (v) => JSON.stringify(v || {}) : (v) => (v === '' ? null : v)
+    ])
+);
+
+// --- PUT /patients/:id ---
+async function updatePatient(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patientId = ctx.params.id;
+    const body = ctx.body; // validated against schemas.patientUpdate
+
+    if (Object.keys(body).length === 0) {
+        throw new HttpError(400, "Bad Request: No fields provided for update.");
+    }
+
+    // Only include fields present in the body to allow partial updates
+    const fields = [];
+    const values = [];
+    for (const [column, toValue] of Object.entries(PATIENT_UPDATE_COLUMNS)) {
+        if (body[column] === undefined) continue;
+        values.push(toValue(body[column]));
+        fields.push(`${column} = $${values.length}`);
+    }
+    if (fields.length === 0) {
+        throw new HttpError(400, "Bad Request: No updatable fields provided.");
+    }
+    fields.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(patientId); // Add patientId for the WHERE clause
+
+    const updateQuery = `
+        UPDATE patients
+        SET ${fields.join(', ')}
+        WHERE patient_id = $${values.length}
+        RETURNING patient_id, first_name, last_name, date_of_birth, updated_at;
+    `;
+
+    const updated = await withTransaction(client, async () => {
+        const current = await client.query(`SELECT * FROM patients WHERE patient_id = $1 FOR UPDATE;`, [patientId]);
+        if (current.rows.length === 0) {
+            console.warn(`Patient with ID ${patientId} not found for tenant ${tenantSchema} during update.`);
+            throw new HttpError(404, `Patient with ID ${patientId} not found.`);
+        }
+        if (current.rows[0].archived_at) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} is archived. Restore the patient before editing.`, { archived_at: current.rows[0].archived_at });
+        }
+        // Keep the version being replaced so the change can be reviewed later
+        await recordRevision(client, ctx, 'patient', patientId, current.rows[0]);
+
+        console.log("Executing query:", updateQuery.replace(/\s+/g, ' ').trim());
+        const result = await client.query(updateQuery, values);
+        return result.rows[0];
+    });
+
+    console.log(`Successfully updated patient ${patientId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Patient updated successfully.",
+            patient: updated
+        },
+    };
+}
+
+// Load a patient row or throw 404 (used by the revision routes)
+async function getPatientRow(client, patientId) {
+    const result = await client.query(`SELECT * FROM patients WHERE patient_id = $1;`, [patientId]);
+    if (result.rows.length === 0) {
+        throw new HttpError(404, `Patient with ID ${patientId} not found.`);
+    }
+    return result.rows[0];
+}
+
+// --- GET /patients/:id/revisions ---
+async function listPatientRevisions(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patientId = ctx.params.id;
+
+    await getPatientRow(client, patientId);
+    const revisions = await listRevisions(client, 'patient', patientId);
+    console.log(`Retrieved ${revisions.length} revisions for patient ${patientId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Patient revisions retrieved successfully.",
+            revisions: revisions
+        },
+    };
+}
+
+// --- GET /patients/:id/revisions/diff?from=N&to=M|current ---
+async function diffPatientRevisions(ctx) {
+    const { client } = ctx;
+    const patientId = ctx.params.id;
+
+    const currentRow = await getPatientRow(client, patientId);
+    const diff = await diffRevisions(client, 'patient', patientId, currentRow, ctx.query);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Patient revision diff generated successfully.",
+            ...diff
+        },
+    };
+}
+
+// --- POST /patients/:id/merge ---
+// Folds a duplicate chart into this one in a single transaction: the duplicate's notes,
+// queue entries, appointments and recordings move here, its custom_data fills keys this
+// chart has no value for, and it is archived with merged_into_patient_id set. Both patients
+// and the moved notes go into the request's audit entry; both get a revision.
+async function mergePatient(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.patientMerge
+    const patientId = ctx.params.id;
+    const duplicateId = body.duplicate_patient_id;
+    if (duplicateId === patientId) {
+        throw new HttpError(400, "Bad Request: A patient can't be merged into itself.");
+    }
+    addAuditTargets(ctx, { patientIds: [duplicateId] });
+
+    const merged = await withTransaction(client, async () => {
+        // Lock both rows in a fixed order so concurrent merges of the same pair can't deadlock
+        const locked = await client.query(
+            `SELECT * FROM patients WHERE patient_id = ANY($1::uuid[]) ORDER BY patient_id FOR UPDATE;`,
+            [[patientId, duplicateId]]
+        );
+        const survivor = locked.rows.find(row => row.patient_id === patientId);
+        const duplicate = locked.rows.find(row => row.patient_id === duplicateId);
+        for (const [id, row] of [[patientId, survivor], [duplicateId, duplicate]]) {
+            if (!row) {
+                console.warn(`Patient with ID ${id} not found for tenant ${tenantSchema} during merge.`);
+                throw new HttpError(404, `Patient with ID ${id} not found.`);
+            }
+        }
+        if (survivor.archived_at) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} is archived. Restore the patient before merging into it.`, { archived_at: survivor.archived_at });
+        }
+        if (duplicate.merged_into_patient_id) {
+            throw new HttpError(409, `Conflict: Patient ${duplicateId} was already merged into patient ${duplicate.merged_into_patient_id}.`, {
+                merged_into_patient_id: duplicate.merged_into_patient_id
+            });
+        }
+        // A patient is only ever in the queue once
+        const queueResult = await client.query(
+            `SELECT queue_entry_id, patient_id, status FROM waiting_queue WHERE patient_id = ANY($1::uuid[]) AND status = ANY($2);`,
+            [[patientId, duplicateId], ACTIVE_QUEUE_STATUSES]
+        );
+        if (new Set(queueResult.rows.map(row => row.patient_id)).size > 1) {
+            throw new HttpError(409, "Conflict: Both patients are in the waiting queue. Remove one of the entries before merging.", { queueEntries: queueResult.rows });
+        }
+
+        await recordRevision(client, ctx, 'patient', patientId, survivor);
+        await recordRevision(client, ctx, 'patient', duplicateId, duplicate);
+
+        const moveRows = async (table, idColumn) => {
+            const result = await client.query(`UPDATE ${table} SET patient_id = $1 WHERE patient_id = $2 RETURNING ${idColumn};`, [patientId, duplicateId]);
+            return result.rows;
+        };
+        const notes = await moveRows('notes', 'note_id');
+        const queueEntries = await moveRows('waiting_queue', 'queue_entry_id, status');
+        const appointments = await moveRows('appointments', 'appointment_id');
+        const recordings = await moveRows('encounter_recordings', 'recording_id');
+
+        // The surviving chart's own answers win; the differing ones are reported back
+        const survivorCustomData = survivor.custom_data || {};
+        const duplicateCustomData = duplicate.custom_data || {};
+        const customDataConflicts = Object.keys(duplicateCustomData).filter(key =>
+            key in survivorCustomData && JSON.stringify(survivorCustomData[key]) !== JSON.stringify(duplicateCustomData[key])
+        );
+        // Merged here rather than in SQL, which only sees custom_data encrypted
+        const patientResult = await client.query(`
+            UPDATE patients SET custom_data = $2::jsonb
+            WHERE patient_id = $1
+            RETURNING patient_id, first_name, last_name, date_of_birth, custom_data, updated_at;
+        `, [patientId, JSON.stringify({ ...duplicateCustomData, ...survivorCustomData })]);
+        await client.query(`
+            UPDATE patients
+            SET archived_at = NOW(), archived_by_sub = $2, archive_reason = $3, merged_into_patient_id = $4
+            WHERE patient_id = $1;
+        `, [duplicateId, ctx.claims?.sub || null, `Merged into patient ${patientId}`, patientId]);
+
+        return { patient: patientResult.rows[0], notes, queueEntries, appointments, recordings, customDataConflicts };
+    });
+
+    addAuditTargets(ctx, { noteIds: merged.notes.map(row => row.note_id) });
+    console.log(`Merged patient ${duplicateId} into ${patientId} (${merged.notes.length} notes, ${merged.queueEntries.length} queue entries, ${merged.appointments.length} appointments, ${merged.recordings.length} recordings) for tenant ${tenantSchema}`);
+    // Workstations showing the duplicate in the queue pick up the surviving chart
+    for (const entry of merged.queueEntries.filter(row => ACTIVE_QUEUE_STATUSES.includes(row.status))) {
+        await publishQueueEvent(ctx, 'updated', entry);
+    }
+    return {
+        statusCode: 200,
+        body: {
+            message: `Patient ${duplicateId} merged into patient ${patientId} successfully.`,
+            patient: merged.patient,
+            merged: {
+                notes: merged.notes.length,
+                queue_entries: merged.queueEntries.length,
+                appointments: merged.appointments.length,
+                recordings: merged.recordings.length,
+            },
+            custom_data_conflicts: merged.customDataConflicts,
+        },
+    };
+}
+
+// Lock a patient row for an archive state change or throw 404
+async function lockPatient(client, patientId, tenantSchema) {
+    const result = await client.query(`SELECT * FROM patients WHERE patient_id = $1 FOR UPDATE;`, [patientId]);
+    if (result.rows.length === 0) {
+        console.warn(`Patient with ID ${patientId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `Patient with ID ${patientId} not found.`);
+    }
+    return result.rows[0];
+}
+
+const ARCHIVE_COLUMNS = 'patient_id, first_name, last_name, date_of_birth, archived_at, archived_by_sub, archive_reason, merged_into_patient_id, updated_at';
+
+// --- DELETE /patients/:id ---
+// Archives rather than deletes: records must be retained, so the chart stays intact and
+// the patient drops out of searches. Their remaining booked appointments are cancelled;
+// a patient still in the waiting queue has to be checked out or removed first.
+async function archivePatient(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.patientArchive
+    const patientId = ctx.params.id;
+
+    const { patient, cancelledAppointments } = await withTransaction(client, async () => {
+        const current = await lockPatient(client, patientId, tenantSchema);
+        if (current.archived_at) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} is already archived.`, { archived_at: current.archived_at });
+        }
+        const queueResult = await client.query(
+            `SELECT queue_entry_id, status FROM waiting_queue WHERE patient_id = $1 AND status = ANY($2);`,
+            [patientId, ACTIVE_QUEUE_STATUSES]
+        );
+        if (queueResult.rows.length > 0) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} is in the waiting queue. Check the patient out or remove them from the queue first.`, { queueEntry: queueResult.rows[0] });
+        }
+        await recordRevision(client, ctx, 'patient', patientId, current);
+
+        const result = await client.query(`
+            UPDATE patients SET archived_at = NOW(), archived_by_sub = $2, archive_reason = $3
+            WHERE patient_id = $1
+            RETURNING ${ARCHIVE_COLUMNS};
+        `, [patientId, ctx.claims?.sub || null, body.reason.trim()]);
+        const cancelResult = await client.query(`
+            UPDATE appointments SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $2
+            WHERE patient_id = $1 AND status = 'scheduled';
+        `, [patientId, 'Patient archived']);
+        return { patient: result.rows[0], cancelledAppointments: cancelResult.rowCount };
+    });
+
+    console.log(`Archived patient ${patientId} (${cancelledAppointments} appointments cancelled) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: `Patient ${patientId} archived successfully.`,
+            patient,
+            cancelledAppointments
+        },
+    };
+}
+
+// --- POST /patients/:id/restore ---
+async function restorePatient(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patientId = ctx.params.id;
+
+    const patient = await withTransaction(client, async () => {
+        const current = await lockPatient(client, patientId, tenantSchema);
+        if (!current.archived_at) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} is not archived.`);
+        }
+        if (current.merged_into_patient_id) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} was merged into patient ${current.merged_into_patient_id} and can't be restored.`, {
+                merged_into_patient_id: current.merged_into_patient_id
+            });
+        }
+        await recordRevision(client, ctx, 'patient', patientId, current);
+
+        const result = await client.query(`
+            UPDATE patients SET archived_at = NULL, archived_by_sub = NULL, archive_reason = NULL
+            WHERE patient_id = $1
+            RETURNING ${ARCHIVE_COLUMNS};
+        `, [patientId]);
+        return result.rows[0];
+    });
+
+    console.log(`Restored patient ${patientId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: { message: `Patient ${patientId} restored successfully.`, patient },
+    };
+}
+
+// --- POST /patients/:id/purge (admin) ---
+// Permanently deletes an archived patient whose retention period is over: the patient row
+// with everything that cascades from it (notes and addenda, queue entries, appointments,
+// recordings), the recordings' audio and transcripts in S3 and the revision history.
+// Duplicates merged into the patient are the same person and go with it; otherwise they
+// would lose their merged_into_patient_id and could be restored as charts of their own.
+// The audit log keeps its rows; they hold only IDs.
+async function purgePatient(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patientId = ctx.params.id;
+
+    const purged = await withTransaction(client, async () => {
+        const patient = await lockPatient(client, patientId, tenantSchema);
+        if (!patient.archived_at) {
+            throw new HttpError(409, `Conflict: Patient ${patientId} must be archived before being purged.`);
+        }
+
+        // A duplicate may itself have had duplicates merged into it before it was merged
+        const chartResult = await client.query(`
+            WITH RECURSIVE chart AS (
+                SELECT patient_id FROM patients WHERE patient_id = $1
+                UNION
+                SELECT p.patient_id FROM patients p JOIN chart c ON p.merged_into_patient_id = c.patient_id
+            )
+            SELECT patient_id FROM chart;
+        `, [patientId]);
+        const patientIds = chartResult.rows.map(row => row.patient_id);
+        const duplicateIds = patientIds.filter(id => id !== patientId);
+
+        const [notesResult, settingsResult, recordingsResult] = await Promise.all([
+            client.query(`SELECT note_id, created_at FROM notes WHERE patient_id = ANY($1::uuid[]);`, [patientIds]),
+            client.query(`SELECT record_retention_years FROM clinic_settings WHERE setting_id = 1;`),
+            client.query(`SELECT recording_id, storage_key FROM encounter_recordings WHERE patient_id = ANY($1::uuid[]);`, [patientIds]),
+        ]);
+        const noteIds = notesResult.rows.map(row => row.note_id);
+        const lastNoteAt = notesResult.rows.reduce((latest, row) => (!latest || row.created_at > latest ? row.created_at : latest), null);
+        const retentionYears = settingsResult.rows[0]?.record_retention_years;
+        if (!retentionYears) {
+            throw new HttpError(409, "Conflict: The clinic has no record retention period set, so records can't be purged.");
+        }
+        const retainUntil = retentionEndsAt({ archivedAt: patient.archived_at, lastNoteAt, dateOfBirth: patient.date_of_birth }, retentionYears);
+        if (retainUntil > new Date()) {
+            console.warn(`Refused purge of patient ${patientId} for tenant ${tenantSchema}: retained until ${retainUntil.toISOString()}.`);
+            throw new HttpError(409, `Conflict: Patient ${patientId}'s records must be retained until ${retainUntil.toISOString().slice(0, 10)}.`, {
+                retain_until: retainUntil.toISOString(),
+                record_retention_years: retentionYears
+            });
+        }
+
+        await client.query(`
+            DELETE FROM revisions
+            WHERE (entity_type = 'patient' AND entity_id = ANY($1::uuid[])) OR (entity_type = 'soap_note' AND entity_id = ANY($2::uuid[]));
+        `, [patientIds, noteIds]);
+        await client.query(`DELETE FROM patients WHERE patient_id = ANY($1::uuid[]);`, [patientIds]);
+        return {
+            duplicateIds,
+            storageKeys: recordingsResult.rows.flatMap(row => [row.storage_key, transcriptKey(tenantSchema, row.recording_id)]),
+            counts: { notes: noteIds.length, recordings: recordingsResult.rows.length, merged_duplicates: duplicateIds.length },
+        };
+    });
+    addAuditTargets(ctx, { patientIds: purged.duplicateIds });
+
+    // Files only once the rows are gone for good: a failed delete or commit must not leave a
+    // chart whose recordings have vanished. Objects left behind are reported for cleanup.
+    let orphanedStorageKeys = [];
+    if (purged.storageKeys.length > 0) {
+        try {
+            await deleteObjects(purged.storageKeys);
+        } catch (error) {
+            console.error(`Purged patient ${patientId} for tenant ${tenantSchema}, but could not delete these recording objects; delete them by hand: ${purged.storageKeys.join(', ')}`, error);
+            orphanedStorageKeys = purged.storageKeys;
+        }
+    }
+
+    console.log(`Purged patient ${patientId} (${purged.counts.notes} notes, ${purged.counts.recordings} recordings, ${purged.counts.merged_duplicates} merged duplicates) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: orphanedStorageKeys.length > 0
+                ? `Patient ${patientId} purged permanently, but some recording files could not be deleted from storage and must be removed by hand.`
+                : `Patient ${patientId} purged permanently.`,
+            purged: purged.counts,
+            ...(orphanedStorageKeys.length > 0 ? { orphaned_storage_keys: orphanedStorageKeys } : {})
+        },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/patients', action: 'fetch patients', middleware: [...tenantMiddleware, requirePermission('patients:read')], handler: listPatients },
+    { method: 'POST', path: '/patients', action: 'create patient', middleware: [...tenantMiddleware, requirePermission('patients:write'), validateBody(schemas.patientCreate), validateCustomData('patient_intake')], handler: createPatient },
+    { method: 'PUT', path: '/patients/:id', action: 'update patient', middleware: [...tenantMiddleware, requirePermission('patients:write'), validateBody(schemas.patientUpdate, { partial: true }), validateCustomData('patient_intake', { partial: true })], handler: updatePatient },
+    { method: 'POST', path: '/patients/:id/merge', action: 'merge patients', middleware: [...tenantMiddleware, requirePermission('patients:merge'), validateBody(schemas.patientMerge)], handler: mergePatient },
+    { method: 'DELETE', path: '/patients/:id', action: 'archive patient', middleware: [...tenantMiddleware, requirePermission('patients:archive'), validateBody(schemas.patientArchive)], handler: archivePatient },
+    { method: 'POST', path: '/patients/:id/restore', action: 'restore patient', middleware: [...tenantMiddleware, requirePermission('patients:archive')], handler: restorePatient },
+    { method: 'POST', path: '/patients/:id/purge', action: 'purge patient', middleware: [...tenantMiddleware, requirePermission('patients:purge')], handler: purgePatient },
+    { method: 'GET', path: '/patients/:id/revisions', action: 'retrieve patient revisions', middleware: [...tenantMiddleware, requirePermission('patients:read')], handler: listPatientRevisions },
+    { method: 'GET', path: '/patients/:id/revisions/diff', action: 'diff patient revisions', middleware: [...tenantMiddleware, requirePermission('patients:read')], handler: diffPatientRevisions },
+];
+
+module.exports = { routes };
@@ -0,0 +1,239 @@
+// Waiting queue routes: list, add, status transitions and removal
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { withTransaction } = require('../lib/db');
+const { addAuditTargets } = require('../lib/audit');
+const { publishQueueEvent } = require('../lib/realtime');
+const { assertPatientNotArchived } = require('../lib/patientArchive');
+const { schemas } = require('../validation');
+
+// --- Waiting Queue Status State Machine ---
+// Each status lists the statuses it may move to. checked_out and cancelled are terminal.
+const QUEUE_STATUS_TRANSITIONS = {
+    waiting: ['roomed', 'cancelled'],
+    roomed: ['with_provider', 'cancelled'],
+    with_provider: ['checked_out', 'cancelled'],
+    checked_out: [],
+    cancelled: [],
+};
+// Column on waiting_queue that records when an entry entered each status
+// ('waiting' is recorded by queue_timestamp on insert).
+const QUEUE_STATUS_TIMESTAMP_COLUMNS = {
+    roomed: 'roomed_at',
+    with_provider: 'with_provider_at',
+    checked_out: 'checked_out_at',
+    cancelled: 'cancelled_at',
+};
+const ACTIVE_QUEUE_STATUSES = ['waiting', 'roomed', 'with_provider'];
+
+const QUEUE_ENTRY_COLUMNS = `queue_entry_id, patient_id, queue_timestamp, status, status_updated_at,
+    roomed_at, with_provider_at, checked_out_at, cancelled_at, notes`;
+
+// --- GET /queue (alias: /waiting-queue) ---
+async function listQueue(ctx) {
+    const { client, tenantSchema } = ctx;
+
+    // Optional ?status=waiting,roomed filter; defaults to entries still in the clinic
+    const rawStatus = ctx.query.status;
+    const statuses = rawStatus
+        ? rawStatus.split(',').map(s => s.trim()).filter(Boolean)
+        : ACTIVE_QUEUE_STATUSES;
+    const unknownStatuses = statuses.filter(s => !QUEUE_STATUS_TRANSITIONS[s]);
+    if (unknownStatuses.length > 0) {
+        throw new HttpError(400, `Bad Request: Unknown queue status filter '${unknownStatuses.join(', ')}'.`, { allowedStatuses: Object.keys(QUEUE_STATUS_TRANSITIONS) });
+    }
+
+    // Query the waiting queue, order by timestamp
+    const queryText = `
+        SELECT
+            wq.queue_entry_id,
+            wq.patient_id,
+            p.first_name,
+            p.last_name,
+            p.date_of_birth,
+            wq.queue_timestamp,
+            wq.status,
+            wq.status_updated_at,
+            wq.roomed_at,
+            wq.with_provider_at,
+            wq.checked_out_at,
+            wq.cancelled_at,
+            wq.notes
+        FROM waiting_queue wq
+        JOIN patients p ON wq.patient_id = p.patient_id
+        WHERE wq.status = ANY($1)
+        ORDER BY wq.queue_timestamp ASC;
+    `;
+    const result = await client.query(queryText, [statuses]);
+    addAuditTargets(ctx, { patientIds: result.rows.map(row => row.patient_id) });
+
+    console.log(`Successfully fetched ${result.rows.length} entries from waiting queue for tenant ${tenantSchema}.`);
+    return { statusCode: 200, body: result.rows }; // Return the array of queue entries
+}
+
+// --- Add a patient to the queue as 'waiting' and return the entry ---
+// A patient may only hold one active spot in the queue at a time, and archived patients
+// none (409 otherwise). Also used by appointment check-in (routes/appointments.js).
+// The SELECT gives the friendlier answer; uq_waiting_queue_active_patient (migration 018)
+// catches two check-ins racing past it.
+async function enqueuePatient(client, tenantSchema, patientId, notes) {
+    await assertPatientNotArchived(client, patientId);
+    const existing = await client.query(
+        `SELECT queue_entry_id, status FROM waiting_queue WHERE patient_id = $1 AND status = ANY($2) LIMIT 1;`,
+        [patientId, ACTIVE_QUEUE_STATUSES]
+    );
+    if (existing.rows.length > 0) {
+        console.warn(`Patient ${patientId} is already in the queue (entry ${existing.rows[0].queue_entry_id}) for tenant ${tenantSchema}.`);
+        throw new HttpError(409, "Conflict: Patient is already in the queue.", { queueEntry: existing.rows[0] });
+    }
+
+    const insertQuery = `
+        INSERT INTO waiting_queue (patient_id, status, notes, status_updated_at)
+        VALUES ($1, 'waiting', $2, NOW())
+        RETURNING ${QUEUE_ENTRY_COLUMNS};
+    `;
+    console.log("Executing query:", insertQuery.replace(/\s+/g, ' ').trim());
+    let result;
+    try {
+        result = await client.query(insertQuery, [patientId, notes || null]);
+    } catch (dbError) {
+        if (dbError.code === '23503') { // Foreign key violation on patient_id
+            throw new HttpError(400, `Bad Request: Invalid patient_id provided (${patientId}). It does not exist.`);
+        }
+        if (dbError.code === '23505' && dbError.constraint === 'uq_waiting_queue_active_patient') {
+            console.warn(`Patient ${patientId} was queued concurrently for tenant ${tenantSchema}.`);
+            throw new HttpError(409, "Conflict: Patient is already in the queue.");
+        }
+        throw dbError;
+    }
+
+    console.log(`Added patient ${patientId} to waiting queue as entry ${result.rows[0].queue_entry_id} for tenant ${tenantSchema}`);
+    return result.rows[0];
+}
+
+// --- POST /queue ---
+async function addToQueue(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.queueCreate
+    addAuditTargets(ctx, { patientIds: [body.patient_id] });
+
+    const queueEntry = await enqueuePatient(client, tenantSchema, body.patient_id, body.notes);
+    await publishQueueEvent(ctx, 'added', queueEntry);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Patient added to queue successfully.",
+            queueEntry
+        },
+    };
+}
+
+// --- PUT /queue/:id (status transition and/or notes) ---
+async function updateQueueEntry(ctx) {
+    const { client, tenantSchema } = ctx;
+    const queueEntryId = ctx.params.id;
+    const body = ctx.body; // validated against schemas.queueUpdate (status is a known queue status)
+    const nextStatus = body.status === null ? undefined : body.status;
+
+    if (nextStatus === undefined && body.notes === undefined) {
+        throw new HttpError(400, "Bad Request: No updatable fields provided (status, notes).");
+    }
+
+    const { updated, previousStatus } = await withTransaction(client, async () => {
+        // Lock the entry so two workstations can't race the same transition
+        const current = await client.query(
+            `SELECT queue_entry_id, patient_id, status FROM waiting_queue WHERE queue_entry_id = $1 FOR UPDATE;`,
+            [queueEntryId]
+        );
+        if (current.rows.length === 0) {
+            console.warn(`Queue entry ${queueEntryId} not found for tenant ${tenantSchema} during update.`);
+            throw new HttpError(404, `Queue entry with ID ${queueEntryId} not found.`);
+        }
+
+        addAuditTargets(ctx, { patientIds: [current.rows[0].patient_id] });
+        const currentStatus = current.rows[0].status;
+        const allowed = QUEUE_STATUS_TRANSITIONS[currentStatus] || [];
+        const isTransition = nextStatus !== undefined && nextStatus !== currentStatus;
+        if (isTransition && !allowed.includes(nextStatus)) {
+            console.warn(`Rejected queue transition ${currentStatus} -> ${nextStatus} for entry ${queueEntryId}.`);
+            throw new HttpError(409, `Conflict: Cannot change queue status from '${currentStatus}' to '${nextStatus}'.`, {
+                currentStatus: currentStatus,
+                allowedStatuses: allowed
+            });
+        }
+
+        const fields = [];
+        const values = [];
+        if (isTransition) {
+            values.push(nextStatus);
+            fields.push(`status = $${values.length}`);
+            fields.push(`status_updated_at = NOW()`);
+            fields.push(`${QUEUE_STATUS_TIMESTAMP_COLUMNS[nextStatus]} = NOW()`);
+        }
+        if (body.notes !== undefined) {
+            values.push(body.notes);
+            fields.push(`notes = $${values.length}`);
+        }
+        if (fields.length === 0) {
+            // Same status and no notes: nothing to write, return the entry unchanged
+            fields.push(`status = status`);
+        }
+        values.push(queueEntryId);
+
+        const updateQuery = `
+            UPDATE waiting_queue
+            SET ${fields.join(', ')}
+            WHERE queue_entry_id = $${values.length}
+            RETURNING ${QUEUE_ENTRY_COLUMNS};
+        `;
+        console.log("Executing query:", updateQuery.replace(/\s+/g, ' ').trim());
+        const result = await client.query(updateQuery, values);
+        console.log(`Queue entry ${queueEntryId} updated (${currentStatus} -> ${result.rows[0].status}) for tenant ${tenantSchema}`);
+        return { updated: result.rows[0], previousStatus: currentStatus };
+    });
+
+    if (updated.status !== previousStatus) {
+        await publishQueueEvent(ctx, 'status_changed', updated, previousStatus);
+    } else if (body.notes !== undefined) {
+        await publishQueueEvent(ctx, 'updated', updated);
+    }
+
+    return {
+        statusCode: 200,
+        body: {
+            message: "Queue entry updated successfully.",
+            queueEntry: updated
+        },
+    };
+}
+
+// --- DELETE /queue/:id ---
+async function removeQueueEntry(ctx) {
+    const { client, tenantSchema } = ctx;
+    const queueEntryId = ctx.params.id;
+
+    const deleteQuery = `DELETE FROM waiting_queue WHERE queue_entry_id = $1 RETURNING queue_entry_id, patient_id, status;`;
+    console.log("Executing query:", deleteQuery);
+    const result = await client.query(deleteQuery, [queueEntryId]);
+
+    if (result.rowCount === 0) {
+        console.warn(`Queue entry ${queueEntryId} not found for tenant ${tenantSchema} during delete.`);
+        throw new HttpError(404, `Queue entry with ID ${queueEntryId} not found.`);
+    }
+    addAuditTargets(ctx, { patientIds: [result.rows[0].patient_id] });
+    console.log(`Removed queue entry ${queueEntryId} for tenant ${tenantSchema}`);
+    await publishQueueEvent(ctx, 'removed', result.rows[0]);
+    return {
+        statusCode: 200,
+        body: { message: `Queue entry ${queueEntryId} removed successfully.`, queueEntry: result.rows[0] },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/queue', action: 'fetch waiting queue', middleware: [...tenantMiddleware, requirePermission('queue:read')], handler: listQueue },
+    { method: 'GET', path: '/waiting-queue', action: 'fetch waiting queue', middleware: [...tenantMiddleware, requirePermission('queue:read')], handler: listQueue },
+    { method: 'POST', path: '/queue', action: 'add patient to queue', middleware: [...tenantMiddleware, requirePermission('queue:write'), validateBody(schemas.queueCreate)], handler: addToQueue },
+    { method: 'PUT', path: '/queue/:id', action: 'update queue entry', middleware: [...tenantMiddleware, requirePermission('queue:write'), validateBody(schemas.queueUpdate, { partial: true })], handler: updateQueueEntry },
+    { method: 'DELETE', path: '/queue/:id', action: 'remove queue entry', middleware: [...tenantMiddleware, requirePermission('queue:write')], handler: removeQueueEntry },
+];
+
+module.exports = { routes, enqueuePatient, ACTIVE_QUEUE_STATUSES };
@@ -0,0 +1,247 @@
+// Encounter recording routes: start an audio upload for a patient, list a patient's
+// recordings, start transcription, poll a recording for its transcript and attach it to a note
+const { randomUUID } = require('crypto');
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { addAuditTargets } = require('../lib/audit');
+const { recordingKey, transcriptKey, createUploadUrl, getObjectSize } = require('../lib/recordingStorage');
+const { getTranscriptionProvider } = require('../lib/transcriptionProviders');
+const { assertPatientNotArchived } = require('../lib/patientArchive');
+const { schemas } = require('../validation');
+
+// Statuses from which POST /recordings/:id/transcribe may (re)start a job
+const TRANSCRIBABLE_STATUSES = ['awaiting_upload', 'failed'];
+// Statuses with a job still running at the provider; GET /recordings/:id polls it
+const IN_PROGRESS_STATUSES = ['queued', 'processing'];
+
+// The list leaves out the transcript itself; GET /recordings/:id returns everything
+const RECORDING_SUMMARY_COLUMNS = `recording_id, patient_id, note_id, queue_entry_id, content_type, status,
+    transcription_provider, failure_reason, created_by_sub, created_at, updated_at,
+    transcription_started_at, transcription_completed_at`;
+
+async function requirePatient(client, patientId, tenantSchema) {
+    const result = await client.query(`SELECT patient_id FROM patients WHERE patient_id = $1;`, [patientId]);
+    if (result.rows.length === 0) {
+        console.warn(`Patient with ID ${patientId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `Patient with ID ${patientId} not found.`);
+    }
+}
+
+// A recording can only point at a note or queue entry of its own patient
+async function assertNoteBelongsToPatient(client, noteId, patientId) {
+    const result = await client.query(`SELECT patient_id FROM notes WHERE note_id = $1;`, [noteId]);
+    if (result.rows.length === 0 || result.rows[0].patient_id !== patientId) {
+        throw new HttpError(400, `Bad Request: SOAP note ${noteId} does not exist for patient ${patientId}.`);
+    }
+}
+
+async function assertQueueEntryBelongsToPatient(client, queueEntryId, patientId) {
+    const result = await client.query(`SELECT patient_id FROM waiting_queue WHERE queue_entry_id = $1;`, [queueEntryId]);
+    if (result.rows.length === 0 || result.rows[0].patient_id !== patientId) {
+        throw new HttpError(400, `Bad Request: Queue entry ${queueEntryId} does not exist for patient ${patientId}.`);
+    }
+}
+
+// Fetch a recording or throw 404, and log the patient (and note) it belongs to
+async function loadRecording(ctx, recordingId) {
+    const { client, tenantSchema } = ctx;
+    const result = await client.query(`SELECT * FROM encounter_recordings WHERE recording_id = $1;`, [recordingId]);
+    if (result.rows.length === 0) {
+        console.warn(`Recording with ID ${recordingId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `Recording with ID ${recordingId} not found.`);
+    }
+    const recording = result.rows[0];
+    addAuditTargets(ctx, { patientIds: [recording.patient_id], noteIds: recording.note_id ? [recording.note_id] : [] });
+    return recording;
+}
+
+// --- POST /patients/:id/recordings ---
+// Creates the recording and returns a presigned URL the browser PUTs the audio to.
+async function createRecording(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.recordingCreate
+    const patientId = ctx.params.id;
+
+    await requirePatient(client, patientId, tenantSchema);
+    await assertPatientNotArchived(client, patientId);
+    if (body.note_id) await assertNoteBelongsToPatient(client, body.note_id, patientId);
+    if (body.queue_entry_id) await assertQueueEntryBelongsToPatient(client, body.queue_entry_id, patientId);
+    addAuditTargets(ctx, { noteIds: body.note_id ? [body.note_id] : [] });
+
+    const recordingId = randomUUID();
+    const storageKey = recordingKey(tenantSchema, patientId, recordingId, body.content_type);
+    const upload = await createUploadUrl(storageKey, body.content_type);
+
+    const insertResult = await client.query(`
+        INSERT INTO encounter_recordings (recording_id, patient_id, note_id, queue_entry_id, content_type, storage_key, created_by_sub)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${RECORDING_SUMMARY_COLUMNS};
+    `, [recordingId, patientId, body.note_id || null, body.queue_entry_id || null, body.content_type, storageKey, ctx.claims?.sub || null]);
+
+    console.log(`Created recording ${recordingId} (${body.content_type}) for patient ${patientId}, tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Recording created. Upload the audio to upload.url, then start transcription.",
+            recording: insertResult.rows[0],
+            upload,
+        },
+    };
+}
+
+// --- GET /patients/:id/recordings ---
+async function listPatientRecordings(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patientId = ctx.params.id;
+
+    await requirePatient(client, patientId, tenantSchema);
+    const result = await client.query(`
+        SELECT ${RECORDING_SUMMARY_COLUMNS} FROM encounter_recordings
+        WHERE patient_id = $1
+        ORDER BY created_at DESC;
+    `, [patientId]);
+    addAuditTargets(ctx, { noteIds: result.rows.map(row => row.note_id).filter(Boolean) });
+
+    console.log(`Fetched ${result.rows.length} recordings for patient ${patientId}, tenant ${tenantSchema}`);
+    return { statusCode: 200, body: result.rows };
+}
+
+// --- POST /recordings/:id/transcribe ---
+// Checks the audio is in the bucket, marks the recording queued and starts the job.
+async function startTranscription(ctx) {
+    const { client, tenantSchema } = ctx;
+    const recordingId = ctx.params.id;
+
+    const recording = await loadRecording(ctx, recordingId);
+    if (!TRANSCRIBABLE_STATUSES.includes(recording.status)) {
+        throw new HttpError(409, `Conflict: Recording ${recordingId} is already ${recording.status}.`, { status: recording.status });
+    }
+    const size = await getObjectSize(recording.storage_key);
+    if (!size) {
+        throw new HttpError(409, `Conflict: No audio has been uploaded for recording ${recordingId} yet.`, { status: recording.status });
+    }
+
+    // Claim the recording so two requests can't start two jobs
+    const claimResult = await client.query(`
+        UPDATE encounter_recordings
+        SET status = 'queued', failure_reason = NULL, transcript_text = NULL, transcript_segments = NULL,
+            transcription_started_at = NOW(), transcription_completed_at = NULL
+        WHERE recording_id = $1 AND status = ANY($2);
+    `, [recordingId, TRANSCRIBABLE_STATUSES]);
+    if (claimResult.rowCount === 0) {
+        throw new HttpError(409, `Conflict: Transcription of recording ${recordingId} has already been started.`);
+    }
+
+    const provider = getTranscriptionProvider();
+    let job;
+    try {
+        job = await provider.startJob({
+            jobName: `${tenantSchema}-${recordingId}-${Date.now()}`,
+            mediaKey: recording.storage_key,
+            contentType: recording.content_type,
+            outputKey: transcriptKey(tenantSchema, recordingId),
+        });
+    } catch (error) {
+        console.error(`Transcription provider ${provider.name} failed to start a job for recording ${recordingId}, tenant ${tenantSchema}:`, error);
+        await client.query(`
+            UPDATE encounter_recordings SET status = 'failed', failure_reason = $2, transcription_provider = $3
+            WHERE recording_id = $1;
+        `, [recordingId, `Could not start transcription: ${error.message}`, provider.name]);
+        throw new HttpError(502, "Bad Gateway: The transcription service could not be reached.", { error: error.message });
+    }
+
+    const updateResult = await client.query(`
+        UPDATE encounter_recordings
+        SET status = $2, transcription_provider = $3, transcription_job_id = $4
+        WHERE recording_id = $1
+        RETURNING ${RECORDING_SUMMARY_COLUMNS};
+    `, [recordingId, job.status, provider.name, job.jobId]);
+
+    console.log(`Started ${provider.name} transcription job ${job.jobId} for recording ${recordingId} (${size} bytes), tenant ${tenantSchema}`);
+    return {
+        statusCode: 202,
+        body: {
+            message: "Transcription started. Poll GET /recordings/{id} for the transcript.",
+            recording: updateResult.rows[0],
+        },
+    };
+}
+
+// --- GET /recordings/:id ---
+// While a job is queued or processing, each read asks the provider for its progress and
+// stores the transcript (or the failure) once the job has finished.
+async function getRecording(ctx) {
+    const { client, tenantSchema } = ctx;
+    const recordingId = ctx.params.id;
+
+    let recording = await loadRecording(ctx, recordingId);
+    if (IN_PROGRESS_STATUSES.includes(recording.status) && recording.transcription_job_id) {
+        let job = null;
+        try {
+            // The provider that started the job, even if TRANSCRIPTION_PROVIDER has changed since
+            const provider = getTranscriptionProvider(recording.transcription_provider);
+            job = await provider.getJob(recording.transcription_job_id, { outputKey: transcriptKey(tenantSchema, recordingId) });
+        } catch (error) {
+            // The stored status is still accurate; the next poll tries again
+            console.error(`Could not check transcription job ${recording.transcription_job_id} for recording ${recordingId}, tenant ${tenantSchema}:`, error);
+        }
+
+        if (job && job.status !== recording.status) {
+            const finished = job.status === 'complete' || job.status === 'failed';
+            const updateResult = await client.query(`
+                UPDATE encounter_recordings
+                SET status = $2,
+                    transcript_text = $3,
+                    transcript_segments = $4,
+                    failure_reason = $5,
+                    transcription_completed_at = CASE WHEN $6 THEN NOW() ELSE NULL END
+                WHERE recording_id = $1 AND status = ANY($7)
+                RETURNING *;
+            `, [
+                recordingId,
+                job.status,
+                job.transcript?.text ?? null,
+                job.transcript ? JSON.stringify(job.transcript.segments) : null,
+                job.failureReason ?? null,
+                finished,
+                IN_PROGRESS_STATUSES,
+            ]);
+            if (updateResult.rows.length > 0) {
+                recording = updateResult.rows[0];
+                console.log(`Recording ${recordingId} transcription is now ${job.status} for tenant ${tenantSchema}`);
+            }
+        }
+    }
+
+    return { statusCode: 200, body: recording };
+}
+
+// --- PUT /recordings/:id ---
+async function updateRecording(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.recordingUpdate
+    const recordingId = ctx.params.id;
+
+    const recording = await loadRecording(ctx, recordingId);
+    await assertNoteBelongsToPatient(client, body.note_id, recording.patient_id);
+    addAuditTargets(ctx, { noteIds: [body.note_id] });
+
+    const result = await client.query(`
+        UPDATE encounter_recordings SET note_id = $2 WHERE recording_id = $1
+        RETURNING ${RECORDING_SUMMARY_COLUMNS};
+    `, [recordingId, body.note_id]);
+
+    console.log(`Attached recording ${recordingId} to SOAP note ${body.note_id} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: { message: `Recording ${recordingId} attached to SOAP note ${body.note_id}.`, recording: result.rows[0] },
+    };
+}
+
+const routes = [
+    { method: 'POST', path: '/patients/:id/recordings', action: 'create encounter recording', middleware: [...tenantMiddleware, requirePermission('recordings:write'), validateBody(schemas.recordingCreate)], handler: createRecording },
+    { method: 'GET', path: '/patients/:id/recordings', action: 'retrieve encounter recordings', middleware: [...tenantMiddleware, requirePermission('recordings:read')], handler: listPatientRecordings },
+    { method: 'GET', path: '/recordings/:id', action: 'retrieve encounter recording', middleware: [...tenantMiddleware, requirePermission('recordings:read')], handler: getRecording },
+    { method: 'PUT', path: '/recordings/:id', action: 'update encounter recording', middleware: [...tenantMiddleware, requirePermission('recordings:write'), validateBody(schemas.recordingUpdate)], handler: updateRecording },
+    { method: 'POST', path: '/recordings/:id/transcribe', action: 'transcribe encounter recording', middleware: [...tenantMiddleware, requirePermission('recordings:write')], handler: startTranscription },
+];
+
+module.exports = { routes };
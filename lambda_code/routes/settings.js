@@ -0,0 +1,86 @@
+// Clinic settings routes: the tenant's singleton clinic_settings row
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { schemas } = require('../validation');
+
+const SETTINGS_COLUMNS = 'clinic_name, custom_terms_conditions, custom_llm_instructions, time_zone, record_retention_years, cpt_fees, billing_info, updated_at';
+
+// Body field -> value stored; '' clears the optional text columns
+const SETTINGS_UPDATE_COLUMNS = {
+    clinic_name: (value) => value.trim(),
+    custom_terms_conditions: (value) => value || null,
+    custom_llm_instructions: (value) => value || null,
+    time_zone: (value) => value,
+    record_retention_years: (value) => value,
+    cpt_fees: (value) => JSON.stringify(value || {}),
+    billing_info: (value) => JSON.stringify(value || {}),
+};
+
+const JSONB_SETTINGS_COLUMNS = ['cpt_fees', 'billing_info'];
+
+// Provisioning inserts the row, so a missing one means the tenant was set up by hand and incompletely
+function settingsNotFound(tenantSchema) {
+    console.warn(`clinic_settings row missing for tenant ${tenantSchema}.`);
+    return new HttpError(404, "Not Found: Clinic settings have not been initialized for this clinic.");
+}
+
+// --- GET /settings ---
+async function getSettings(ctx) {
+    const { client, tenantSchema } = ctx;
+
+    const result = await client.query(`SELECT ${SETTINGS_COLUMNS} FROM clinic_settings WHERE setting_id = 1;`);
+    if (result.rows.length === 0) throw settingsNotFound(tenantSchema);
+
+    return {
+        statusCode: 200,
+        body: {
+            message: "Clinic settings retrieved successfully.",
+            settings: result.rows[0]
+        },
+    };
+}
+
+// --- PUT /settings ---
+// Partial update; cpt_fees (the CPT code -> fee map) and billing_info are replaced whole when present.
+async function updateSettings(ctx) {
+    const { client, tenantSchema } = ctx;
+    const body = ctx.body; // validated against schemas.settingsUpdate
+    console.log("Request body:", body);
+
+    const fields = [];
+    const values = [];
+    for (const [column, toValue] of Object.entries(SETTINGS_UPDATE_COLUMNS)) {
+        if (body[column] === undefined) continue;
+        values.push(toValue(body[column]));
+        fields.push(JSONB_SETTINGS_COLUMNS.includes(column) ? `${column} = $${values.length}::jsonb` : `${column} = $${values.length}`);
+    }
+    if (fields.length === 0) {
+        throw new HttpError(400, "Bad Request: No fields provided for update.");
+    }
+
+    const updateQuery = `
+        UPDATE clinic_settings
+        SET ${fields.join(', ')}
+        WHERE setting_id = 1
+        RETURNING ${SETTINGS_COLUMNS};
+    `;
+    console.log("Executing query:", updateQuery.replace(/\s+/g, ' ').trim());
+    const result = await client.query(updateQuery, values);
+    if (result.rows.length === 0) throw settingsNotFound(tenantSchema);
+
+    console.log(`Updated clinic settings (${Object.keys(body).join(', ')}) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Clinic settings updated successfully.",
+            settings: result.rows[0]
+        },
+    };
+}
+
+const routes = [
+    { method: 'GET', path: '/settings', action: 'retrieve clinic settings', middleware: [...tenantMiddleware, requirePermission('settings:manage')], handler: getSettings },
+    { method: 'PUT', path: '/settings', action: 'update clinic settings', middleware: [...tenantMiddleware, requirePermission('settings:manage'), validateBody(schemas.settingsUpdate, { partial: true })], handler: updateSettings },
+];
+
+module.exports = { routes };
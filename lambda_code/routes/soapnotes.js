@@ -0,0 +1,585 @@
+// SOAP note routes: create, AI draft, list, fetch, update, sign, addenda, revision history,
+// superbill and the chart note PDF
+const { HttpError } = require('../lib/http');
+const { tenantMiddleware, validateBody, requirePermission } = require('../lib/middleware');
+const { withTransaction } = require('../lib/db');
+const { recordRevision, listRevisions, diffRevisions } = require('../lib/revisions');
+const { addAuditTargets } = require('../lib/audit');
+const { requireActingDoctor } = require('../lib/identity');
+const { assertPatientNotArchived } = require('../lib/patientArchive');
+const { buildSuperbill, renderSuperbillHtml } = require('../lib/superbill');
+const { renderNotePdf } = require('../lib/notePdf');
+const { checkNoteCodes } = require('../lib/codeSets');
+const { getModelProvider } = require('../lib/modelProviders');
+const { draftSoapNote } = require('../lib/soapDraft');
+const { schemas, checkDiagnosisPointers } = require('../validation');
+
+// Request body field -> notes column for the four SOAP sections
+const SOAP_SECTION_COLUMNS = {
+    subjective: 'subjective_note',
+    objective: 'objective_note',
+    assessment: 'assessment_note',
+    plan: 'plan_note',
+};
+
+// dx_codes / billing_codes are stored as JSONB arrays; empty arrays are stored as NULL
+function toCodeListJson(codes) {
+    return (Array.isArray(codes) && codes.length > 0) ? JSON.stringify(codes) : null;
+}
+
+const ADDENDUM_COLUMNS = 'addendum_id, note_id, doctor_id, addendum_text, reason, created_at';
+
+// Lock a note row for the rest of the transaction and return it, or throw 404
+async function lockNote(client, noteId, tenantSchema) {
+    const result = await client.query(`SELECT * FROM notes WHERE note_id = $1 FOR UPDATE;`, [noteId]);
+    if (result.rows.length === 0) {
+        console.warn(`SOAP note with ID ${noteId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `SOAP note with ID ${noteId} not found.`);
+    }
+    return result.rows[0];
+}
+
+// Code set and diagnosis pointer problems are reported the way validateBody reports its own (422)
+function assertNoCodingErrors(errors) {
+    if (errors.length > 0) {
+        throw new HttpError(422, "Unprocessable Entity: Request validation failed.", { errors });
+    }
+}
+
+// Describe which FK a 23503 on the notes table refers to
+function describeNoteForeignKey(dbError, ids) {
+    const field = dbError.constraint === 'fk_notes_patient' ? 'patient_id' : dbError.constraint === 'fk_notes_doctor' ? 'doctor_id' : 'related entity';
+    const idValue = dbError.constraint === 'fk_notes_patient' ? ids.patient_id : ids.doctor_id;
+    console.error(`Foreign key violation on constraint '${dbError.constraint}'. Invalid ${field}: ${idValue}`);
+    return new HttpError(400, `Bad Request: Invalid ${field} provided (${idValue}). It does not exist.`);
+}
+
+// --- POST /soapnotes ---
+// The author is the doctor linked to the signed-in user, never a doctor_id from the body.
+async function createSoapNote(ctx) {
+    const { client, tenantSchema } = ctx;
+    const requestBody = ctx.body; // validated against schemas.soapNoteCreate
+
+    const { patient_id, subjective, objective, assessment, plan, dx_codes, billing_codes } = requestBody;
+    addAuditTargets(ctx, { patientIds: [patient_id] });
+    const codeCheck = checkNoteCodes(dx_codes, billing_codes);
+    assertNoCodingErrors([
+        ...codeCheck.errors,
+        ...checkDiagnosisPointers(dx_codes, billing_codes),
+    ]);
+    const { doctor_id } = await requireActingDoctor(ctx);
+    await assertPatientNotArchived(client, patient_id);
+
+    const insertNoteQuery = `
+        INSERT INTO notes (
+            patient_id,
+            doctor_id,
+            subjective_note,
+            objective_note,
+            assessment_note,
+            plan_note,
+            dx_codes,
+            billing_codes,
+            note_type
+            -- signed_status, created_at, updated_at default in schema
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8::jsonb, $9)
+        RETURNING note_id, created_at, updated_at, signed_status;
+    `;
+    const values = [
+        patient_id,
+        doctor_id,
+        subjective || null,
+        objective || null,
+        assessment || null,
+        plan || null,
+        toCodeListJson(dx_codes),
+        toCodeListJson(billing_codes),
+        'SOAP'
+    ];
+
+    console.log("Executing query:", insertNoteQuery.replace(/\s+/g, ' ').trim());
+    let result;
+    try {
+        result = await client.query(insertNoteQuery, values);
+    } catch (dbError) {
+        if (dbError.code === '23503') throw describeNoteForeignKey(dbError, { patient_id, doctor_id });
+        throw dbError;
+    }
+
+    const newNote = result.rows[0];
+    addAuditTargets(ctx, { noteIds: [newNote.note_id] });
+    console.log(`Successfully inserted SOAP note ${newNote.note_id} by doctor ${doctor_id} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "SOAP note created successfully.",
+            note: newNote,
+            warnings: codeCheck.warnings,
+        },
+    };
+}
+
+// --- POST /soapnotes/draft ---
+// Body: { text, source?: 'typed' | 'transcript', patient_id? }. Returns proposed SOAP
+// sections and suggested codes from the configured model (LLM_PROVIDER) with the clinic's
+// custom_llm_instructions in the prompt. Nothing is saved: the provider edits the draft
+// and saves it with POST /soapnotes.
+async function createSoapDraft(ctx) {
+    const { client, tenantSchema } = ctx;
+    const body = ctx.body; // validated against schemas.soapNoteDraft
+
+    let patient = null;
+    if (body.patient_id) {
+        const patientResult = await client.query(`SELECT patient_id, date_of_birth, gender FROM patients WHERE patient_id = $1;`, [body.patient_id]);
+        if (patientResult.rows.length === 0) {
+            throw new HttpError(404, `Not Found: Patient with ID ${body.patient_id} not found.`);
+        }
+        patient = patientResult.rows[0];
+        addAuditTargets(ctx, { patientIds: [patient.patient_id] });
+    }
+    const settingsResult = await client.query(`SELECT custom_llm_instructions FROM clinic_settings WHERE setting_id = 1;`);
+    const instructions = settingsResult.rows[0]?.custom_llm_instructions || null;
+
+    const provider = getModelProvider();
+    let result;
+    try {
+        result = await draftSoapNote({ text: body.text, source: body.source, instructions, patient, provider });
+    } catch (error) {
+        if (error.unusable) {
+            console.error(`Draft from ${provider.name} (${provider.model}) for tenant ${tenantSchema} was unusable:`, error.message);
+            throw new HttpError(502, "Bad Gateway: The drafting model returned a reply that could not be read as a draft. Try again.");
+        }
+        console.error(`Drafting model ${provider.name} (${provider.model}) failed for tenant ${tenantSchema}:`, error);
+        throw new HttpError(502, "Bad Gateway: The drafting model could not be reached.", { error: error.message });
+    }
+
+    const { draft, warnings } = result;
+    console.log(`Drafted SOAP note with ${provider.name} (${provider.model}) for tenant ${tenantSchema}: ${draft.dx_codes.length} dx, ${draft.billing_codes.length} procedures, ${warnings.length} warnings`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP draft generated. Review and edit it before saving.",
+            draft,
+            warnings,
+            provider: { name: provider.name, model: provider.model }
+        },
+    };
+}
+
+// --- GET /soapnotes (List, with potential filters) ---
+async function listSoapNotes(ctx) {
+    const { client, tenantSchema } = ctx;
+    const patientId = ctx.query.patient_id;
+
+    let selectQuery = `SELECT note_id, patient_id, doctor_id, note_type, created_at, updated_at, signed_status, signed_by, signed_at FROM notes`;
+    const values = [];
+    const conditions = [];
+
+    // Add filtering conditions
+    if (patientId) {
+        values.push(patientId);
+        conditions.push(`patient_id = $${values.length}`);
+    }
+    if (conditions.length > 0) {
+        selectQuery += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    selectQuery += ` ORDER BY created_at DESC;`;
+
+    console.log("Executing query:", selectQuery);
+    let result;
+    try {
+        result = await client.query(selectQuery, values);
+    } catch (dbError) {
+        if (dbError.code === '22P02' && patientId) {
+            // Handle case where the provided patient ID is not a valid UUID
+            console.warn(`Invalid UUID format provided for patient_id filter: ${patientId}`);
+            throw new HttpError(400, `Bad Request: Invalid format for patient_id filter '${patientId}'.`);
+        }
+        throw dbError;
+    }
+
+    addAuditTargets(ctx, {
+        patientIds: result.rows.map(note => note.patient_id),
+        noteIds: result.rows.map(note => note.note_id)
+    });
+    console.log(`Successfully retrieved ${result.rows.length} SOAP notes for tenant ${tenantSchema}` + (patientId ? ` for patient ${patientId}` : ''));
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP notes retrieved successfully.",
+            notes: result.rows
+        },
+    };
+}
+
+// --- GET /soapnotes/:id (the note with its addenda) ---
+async function getSoapNote(ctx) {
+    const { client, tenantSchema } = ctx;
+    const noteId = ctx.params.id;
+
+    let result;
+    try {
+        result = await client.query(`SELECT * FROM notes WHERE note_id = $1;`, [noteId]);
+    } catch (dbError) {
+        if (dbError.code === '22P02') {
+            console.warn(`Invalid UUID format provided for note ID: ${noteId}`);
+            throw new HttpError(400, `Bad Request: Invalid format for SOAP note ID '${noteId}'.`);
+        }
+        throw dbError;
+    }
+
+    if (result.rows.length === 0) {
+        console.warn(`SOAP note with ID ${noteId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `SOAP note with ID ${noteId} not found.`);
+    }
+    addAuditTargets(ctx, { patientIds: [result.rows[0].patient_id] });
+    const addenda = await client.query(
+        `SELECT ${ADDENDUM_COLUMNS} FROM note_addenda WHERE note_id = $1 ORDER BY created_at ASC;`,
+        [noteId]
+    );
+    console.log(`Successfully retrieved SOAP note ${noteId} (${addenda.rows.length} addenda) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP note retrieved successfully.",
+            note: { ...result.rows[0], addenda: addenda.rows }
+        },
+    };
+}
+
+// --- PUT /soapnotes/:id (drafts only) ---
+async function updateSoapNote(ctx) {
+    const { client, tenantSchema } = ctx;
+    const noteId = ctx.params.id;
+    const body = ctx.body; // validated against schemas.soapNoteUpdate
+
+    if (Object.keys(body).length === 0) {
+        throw new HttpError(400, "Bad Request: No fields provided for update.");
+    }
+    // Only the code lists being replaced; codes already saved stay as they are
+    const codeCheck = checkNoteCodes(body.dx_codes, body.billing_codes);
+    assertNoCodingErrors(codeCheck.errors);
+
+    // Map updatable fields (same body names as POST /soapnotes)
+    const fields = [];
+    const values = [];
+    for (const [field, column] of Object.entries(SOAP_SECTION_COLUMNS)) {
+        if (body[field] === undefined) continue;
+        values.push(body[field]);
+        fields.push(`${column} = $${values.length}`);
+    }
+    for (const column of ['dx_codes', 'billing_codes']) {
+        if (body[column] === undefined) continue;
+        values.push(toCodeListJson(body[column]));
+        fields.push(`${column} = $${values.length}::jsonb`);
+    }
+    if (fields.length === 0) {
+        throw new HttpError(400, "Bad Request: No updatable SOAP note fields provided.");
+    }
+    fields.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(noteId); // Add noteId for the WHERE clause
+
+    const updateQuery = `
+        UPDATE notes
+        SET ${fields.join(', ')}
+        WHERE note_id = $${values.length}
+        RETURNING *;
+    `;
+
+    const updated = await withTransaction(client, async () => {
+        // Lock first so a concurrent sign can't slip in between the check and the write
+        const current = await lockNote(client, noteId, tenantSchema);
+        addAuditTargets(ctx, { patientIds: [current.patient_id] });
+        if (current.signed_status === 'Signed') {
+            console.warn(`Rejected edit of signed SOAP note ${noteId} for tenant ${tenantSchema}.`);
+            throw new HttpError(409, `Conflict: SOAP note ${noteId} is signed and can no longer be edited. Add an addendum instead.`, {
+                signedBy: current.signed_by,
+                signedAt: current.signed_at
+            });
+        }
+        // Pointers are checked against both lists as they will be saved
+        if (body.dx_codes !== undefined || body.billing_codes !== undefined) {
+            assertNoCodingErrors(checkDiagnosisPointers(
+                body.dx_codes !== undefined ? body.dx_codes : current.dx_codes,
+                body.billing_codes !== undefined ? body.billing_codes : current.billing_codes
+            ));
+        }
+        await recordRevision(client, ctx, 'soap_note', noteId, current);
+
+        console.log("Executing query:", updateQuery.replace(/\s+/g, ' ').trim());
+        const result = await client.query(updateQuery, values);
+        return result.rows[0];
+    });
+
+    console.log(`Successfully updated SOAP note ${noteId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP note updated successfully.",
+            note: updated,
+            warnings: codeCheck.warnings,
+        },
+    };
+}
+
+// --- POST /soapnotes/:id/sign ---
+// Signs as the doctor linked to the signed-in user; no request body.
+async function signSoapNote(ctx) {
+    const { client, tenantSchema } = ctx;
+    const noteId = ctx.params.id;
+    const { doctor_id } = await requireActingDoctor(ctx);
+
+    const signed = await withTransaction(client, async () => {
+        const current = await lockNote(client, noteId, tenantSchema);
+        addAuditTargets(ctx, { patientIds: [current.patient_id] });
+        if (current.signed_status === 'Signed') {
+            throw new HttpError(409, `Conflict: SOAP note ${noteId} is already signed.`, {
+                signedBy: current.signed_by,
+                signedAt: current.signed_at
+            });
+        }
+        await recordRevision(client, ctx, 'soap_note', noteId, current);
+
+        const signQuery = `
+            UPDATE notes
+            SET signed_status = 'Signed', signed_by = $1, signed_at = NOW(), updated_at = CURRENT_TIMESTAMP
+            WHERE note_id = $2
+            RETURNING *;
+        `;
+        console.log("Executing query:", signQuery.replace(/\s+/g, ' ').trim());
+        const result = await client.query(signQuery, [doctor_id, noteId]);
+        return result.rows[0];
+    });
+
+    console.log(`SOAP note ${noteId} signed by doctor ${doctor_id} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP note signed successfully.",
+            note: signed
+        },
+    };
+}
+
+// --- POST /soapnotes/:id/addenda ---
+// Addenda are the only way to correct a signed note; they are never updated or deleted.
+async function createAddendum(ctx) {
+    const { client, tenantSchema, body } = ctx; // body validated against schemas.noteAddendumCreate
+    const noteId = ctx.params.id;
+    const { doctor_id } = await requireActingDoctor(ctx);
+
+    const addendum = await withTransaction(client, async () => {
+        // Addenda attach to signed notes only; drafts are still edited in place
+        const current = await lockNote(client, noteId, tenantSchema);
+        addAuditTargets(ctx, { patientIds: [current.patient_id] });
+        if (current.signed_status !== 'Signed') {
+            throw new HttpError(409, `Conflict: SOAP note ${noteId} is not signed yet. Edit the draft instead of adding an addendum.`);
+        }
+
+        const insertQuery = `
+            INSERT INTO note_addenda (note_id, doctor_id, addendum_text, reason)
+            VALUES ($1, $2, $3, $4)
+            RETURNING ${ADDENDUM_COLUMNS};
+        `;
+        console.log("Executing query:", insertQuery.replace(/\s+/g, ' ').trim());
+        const result = await client.query(insertQuery, [noteId, doctor_id, body.text, body.reason || null]);
+        return result.rows[0];
+    });
+
+    console.log(`Added addendum ${addendum.addendum_id} to SOAP note ${noteId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 201,
+        body: {
+            message: "Addendum added successfully.",
+            addendum: addendum
+        },
+    };
+}
+
+// --- GET /soapnotes/:id/addenda ---
+async function listAddenda(ctx) {
+    const { client, tenantSchema } = ctx;
+    const noteId = ctx.params.id;
+
+    const note = await client.query(`SELECT note_id, patient_id FROM notes WHERE note_id = $1;`, [noteId]);
+    if (note.rows.length === 0) {
+        throw new HttpError(404, `SOAP note with ID ${noteId} not found.`);
+    }
+    addAuditTargets(ctx, { patientIds: [note.rows[0].patient_id] });
+    const result = await client.query(
+        `SELECT ${ADDENDUM_COLUMNS} FROM note_addenda WHERE note_id = $1 ORDER BY created_at ASC;`,
+        [noteId]
+    );
+    console.log(`Retrieved ${result.rows.length} addenda for SOAP note ${noteId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "Addenda retrieved successfully.",
+            addenda: result.rows
+        },
+    };
+}
+
+// Load a note row or throw 404 (used by the revision routes)
+async function getNoteRow(client, noteId) {
+    const result = await client.query(`SELECT * FROM notes WHERE note_id = $1;`, [noteId]);
+    if (result.rows.length === 0) {
+        throw new HttpError(404, `SOAP note with ID ${noteId} not found.`);
+    }
+    return result.rows[0];
+}
+
+// --- GET /soapnotes/:id/revisions ---
+async function listSoapNoteRevisions(ctx) {
+    const { client, tenantSchema } = ctx;
+    const noteId = ctx.params.id;
+
+    const note = await getNoteRow(client, noteId);
+    addAuditTargets(ctx, { patientIds: [note.patient_id] });
+    const revisions = await listRevisions(client, 'soap_note', noteId);
+    console.log(`Retrieved ${revisions.length} revisions for SOAP note ${noteId} for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP note revisions retrieved successfully.",
+            revisions: revisions
+        },
+    };
+}
+
+// --- GET /soapnotes/:id/revisions/diff?from=N&to=M|current ---
+async function diffSoapNoteRevisions(ctx) {
+    const { client } = ctx;
+    const noteId = ctx.params.id;
+
+    const currentRow = await getNoteRow(client, noteId);
+    addAuditTargets(ctx, { patientIds: [currentRow.patient_id] });
+    const diff = await diffRevisions(client, 'soap_note', noteId, currentRow, ctx.query);
+    return {
+        statusCode: 200,
+        body: {
+            message: "SOAP note revision diff generated successfully.",
+            ...diff
+        },
+    };
+}
+
+// --- GET /soapnotes/:id/superbill?format=json|html ---
+// Priced from the clinic's current cpt_fees; drafts can be billed too (the front desk
+// sometimes checks out before the note is signed), the status is printed on the bill.
+async function getSuperbill(ctx) {
+    const { client, tenantSchema, query } = ctx;
+    const noteId = ctx.params.id;
+    const format = query.format || 'json';
+    if (!['json', 'html'].includes(format)) {
+        throw new HttpError(400, "Bad Request: 'format' must be 'json' or 'html'.");
+    }
+
+    const noteResult = await client.query(`SELECT * FROM notes WHERE note_id = $1;`, [noteId]);
+    if (noteResult.rows.length === 0) {
+        console.warn(`SOAP note with ID ${noteId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `SOAP note with ID ${noteId} not found.`);
+    }
+    const note = noteResult.rows[0];
+    addAuditTargets(ctx, { patientIds: [note.patient_id] });
+
+    // The signer is the rendering provider once the note is signed
+    const doctorId = note.signed_by || note.doctor_id;
+    const [patientResult, doctorResult, settingsResult] = await Promise.all([
+        client.query(`SELECT * FROM patients WHERE patient_id = $1;`, [note.patient_id]),
+        doctorId
+            ? client.query(`SELECT doctor_id, full_name, credentials FROM doctors WHERE doctor_id = $1;`, [doctorId])
+            : Promise.resolve({ rows: [] }),
+        client.query(`SELECT clinic_name, cpt_fees FROM clinic_settings WHERE setting_id = 1;`),
+    ]);
+
+    const superbill = buildSuperbill({
+        note,
+        patient: patientResult.rows[0],
+        doctor: doctorResult.rows[0] || null,
+        settings: settingsResult.rows[0] || null,
+    });
+    console.log(`Built superbill for SOAP note ${noteId} (${superbill.charges.length} lines, total ${superbill.total_charges}) for tenant ${tenantSchema}`);
+
+    if (format === 'html') {
+        return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+            body: renderSuperbillHtml(superbill),
+        };
+    }
+    return {
+        statusCode: 200,
+        body: {
+            message: "Superbill generated successfully.",
+            superbill: superbill
+        },
+    };
+}
+
+// --- GET /soapnotes/:id/pdf ---
+// The signed chart note as a PDF, base64 encoded for API Gateway (application/pdf is one of
+// the API's binary media types, so callers sending 'Accept: application/pdf' get the bytes).
+// Drafts are refused: only the signed record leaves the clinic.
+async function getSoapNotePdf(ctx) {
+    const { client, tenantSchema } = ctx;
+    const noteId = ctx.params.id;
+
+    const noteResult = await client.query(`SELECT * FROM notes WHERE note_id = $1;`, [noteId]);
+    if (noteResult.rows.length === 0) {
+        console.warn(`SOAP note with ID ${noteId} not found for tenant ${tenantSchema}.`);
+        throw new HttpError(404, `SOAP note with ID ${noteId} not found.`);
+    }
+    const note = noteResult.rows[0];
+    addAuditTargets(ctx, { patientIds: [note.patient_id] });
+    if (note.signed_status !== 'Signed') {
+        throw new HttpError(409, `Conflict: SOAP note ${noteId} is not signed yet. Only signed notes can be rendered as a PDF.`);
+    }
+
+    const [patientResult, addendaResult, settingsResult] = await Promise.all([
+        client.query(`SELECT * FROM patients WHERE patient_id = $1;`, [note.patient_id]),
+        client.query(`SELECT * FROM note_addenda WHERE note_id = $1 ORDER BY created_at ASC;`, [noteId]),
+        client.query(`SELECT clinic_name, custom_terms_conditions, billing_info FROM clinic_settings WHERE setting_id = 1;`),
+    ]);
+    const addenda = addendaResult.rows;
+    const doctorIds = [...new Set([note.doctor_id, note.signed_by, ...addenda.map(addendum => addendum.doctor_id)].filter(Boolean))];
+    const doctorsResult = await client.query(`
+        SELECT doctor_id, full_name, credentials, npi FROM doctors WHERE doctor_id = ANY($1::uuid[]);
+    `, [doctorIds]);
+
+    const pdf = renderNotePdf({
+        note,
+        patient: patientResult.rows[0],
+        doctorsById: new Map(doctorsResult.rows.map(doctor => [doctor.doctor_id, doctor])),
+        addenda,
+        settings: settingsResult.rows[0] || null,
+    });
+    console.log(`Rendered PDF for SOAP note ${noteId} (${pdf.length} bytes, ${addenda.length} addenda) for tenant ${tenantSchema}`);
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="soap_note_${noteId}.pdf"`,
+        },
+        body: pdf.toString('base64'),
+        isBase64Encoded: true,
+    };
+}
+
+const routes = [
+    { method: 'POST', path: '/soapnotes', action: 'save SOAP note', middleware: [...tenantMiddleware, requirePermission('notes:write'), validateBody(schemas.soapNoteCreate)], handler: createSoapNote },
+    { method: 'POST', path: '/soapnotes/draft', action: 'draft SOAP note', middleware: [...tenantMiddleware, requirePermission('notes:write'), validateBody(schemas.soapNoteDraft)], handler: createSoapDraft },
+    { method: 'GET', path: '/soapnotes', action: 'retrieve SOAP notes list', middleware: [...tenantMiddleware, requirePermission('notes:read')], handler: listSoapNotes },
+    { method: 'GET', path: '/soapnotes/:id', action: 'retrieve SOAP note', middleware: [...tenantMiddleware, requirePermission('notes:read')], handler: getSoapNote },
+    { method: 'PUT', path: '/soapnotes/:id', action: 'update SOAP note', middleware: [...tenantMiddleware, requirePermission('notes:write'), validateBody(schemas.soapNoteUpdate, { partial: true })], handler: updateSoapNote },
+    { method: 'POST', path: '/soapnotes/:id/sign', action: 'sign SOAP note', middleware: [...tenantMiddleware, requirePermission('notes:sign')], handler: signSoapNote },
+    { method: 'GET', path: '/soapnotes/:id/addenda', action: 'retrieve SOAP note addenda', middleware: [...tenantMiddleware, requirePermission('notes:read')], handler: listAddenda },
+    { method: 'POST', path: '/soapnotes/:id/addenda', action: 'add SOAP note addendum', middleware: [...tenantMiddleware, requirePermission('notes:write'), validateBody(schemas.noteAddendumCreate)], handler: createAddendum },
+    { method: 'GET', path: '/soapnotes/:id/revisions', action: 'retrieve SOAP note revisions', middleware: [...tenantMiddleware, requirePermission('notes:read')], handler: listSoapNoteRevisions },
+    { method: 'GET', path: '/soapnotes/:id/revisions/diff', action: 'diff SOAP note revisions', middleware: [...tenantMiddleware, requirePermission('notes:read')], handler: diffSoapNoteRevisions },
+    { method: 'GET', path: '/soapnotes/:id/superbill', action: 'generate superbill', middleware: [...tenantMiddleware, requirePermission('billing:read')], handler: getSuperbill },
+    { method: 'GET', path: '/soapnotes/:id/pdf', action: 'render SOAP note PDF', middleware: [...tenantMiddleware, requirePermission('notes:read')], handler: getSoapNotePdf },
+];
+
+module.exports = { routes };
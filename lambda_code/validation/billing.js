@@ -0,0 +1,56 @@
+// Billing lines on a SOAP note (notes.billing_codes): a CPT code with its modifiers,
+// units and pointers into the note's dx_codes, as on a CMS-1500 service line.
+
+// A service line points to at most 4 of the claim's (at most 12) diagnoses
+const MAX_DIAGNOSIS_POINTERS = 4;
+// Pointer 1 is diagnosis A, 2 is B, ... (the letters printed on claims and superbills)
+const DIAGNOSIS_POINTER_LETTERS = 'ABCDEFGHIJKL';
+
+function diagnosisPointerLetter(pointer) {
+    return DIAGNOSIS_POINTER_LETTERS[pointer - 1] || String(pointer);
+}
+
+// --- A stored billing line with defaults filled in ---
+// Notes saved before lines had modifiers/units/pointers hold bare CPT code strings.
+function normalizeBillingLine(entry) {
+    if (typeof entry === 'string') {
+        return { code: entry, modifiers: [], units: 1, dx_pointers: [] };
+    }
+    return {
+        code: entry.code,
+        modifiers: entry.modifiers || [],
+        units: entry.units || 1,
+        dx_pointers: entry.dx_pointers || [],
+    };
+}
+
+// --- Every diagnosis pointer must refer to one of the note's dx_codes ---
+// Returns [{ field, message }] like validate(); both lists as they will be saved.
+function checkDiagnosisPointers(dxCodes, billingCodes) {
+    const diagnosisCount = Array.isArray(dxCodes) ? dxCodes.length : 0;
+    const errors = [];
+    (billingCodes || []).forEach((entry, index) => {
+        const pointers = normalizeBillingLine(entry).dx_pointers;
+        pointers.forEach((pointer, pointerIndex) => {
+            if (pointer > diagnosisCount) {
+                errors.push({
+                    field: `billing_codes[${index}].dx_pointers[${pointerIndex}]`,
+                    message: diagnosisCount === 0
+                        ? 'cannot point to a diagnosis: the note has no dx_codes'
+                        : `must be between 1 and ${diagnosisCount} (the number of dx_codes)`,
+                });
+            }
+        });
+        if (new Set(pointers).size !== pointers.length) {
+            errors.push({ field: `billing_codes[${index}].dx_pointers`, message: 'must not repeat a diagnosis' });
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    MAX_DIAGNOSIS_POINTERS,
+    diagnosisPointerLetter,
+    normalizeBillingLine,
+    checkDiagnosisPointers,
+};
@@ -0,0 +1,45 @@
+// Clinic-defined custom fields (custom_form_fields rows) turned into validation schemas,
+// so custom_data is checked with the same validator and rules as the fixed columns.
+
+// Where a field is shown and whose custom_data it lives in
+const FORM_AREAS = ['patient_intake'];
+const CUSTOM_FIELD_TYPES = ['text', 'textarea', 'number', 'date', 'boolean', 'select', 'multiselect'];
+// Types whose values must come from the definition's options list
+const OPTION_FIELD_TYPES = ['select', 'multiselect'];
+// field_key is the property name the value is stored under in custom_data
+const CUSTOM_FIELD_KEY_PATTERN = '^[a-z][a-z0-9_]*$';
+
+// Validation rule for one value of the given definition
+function ruleForDefinition(definition) {
+    const options = Array.isArray(definition.options) ? definition.options : [];
+    const base = { required: definition.is_required === true };
+    switch (definition.field_type) {
+        case 'text': return { ...base, type: 'string', maxLength: 1000 };
+        case 'textarea': return { ...base, type: 'string', maxLength: 10000 };
+        case 'number': return { ...base, type: 'number' };
+        case 'date': return { ...base, type: 'string', format: 'date' };
+        case 'boolean': return { ...base, type: 'boolean' };
+        case 'select': return { ...base, type: 'string', enum: options };
+        case 'multiselect': return { ...base, type: 'array', minItems: base.required ? 1 : undefined, items: { type: 'string', enum: options } };
+        default: return { ...base };
+    }
+}
+
+// --- Schema for a custom_data object from the clinic's field definitions ---
+// Keys without a definition are left alone: custom_data also holds values the forms
+// store there themselves, and definitions can be removed after data was captured.
+function buildCustomDataSchema(definitions) {
+    const fields = {};
+    for (const definition of definitions) {
+        fields[definition.field_key] = ruleForDefinition(definition);
+    }
+    return { fields, allowUnknownFields: true };
+}
+
+module.exports = {
+    FORM_AREAS,
+    CUSTOM_FIELD_TYPES,
+    OPTION_FIELD_TYPES,
+    CUSTOM_FIELD_KEY_PATTERN,
+    buildCustomDataSchema,
+};
@@ -0,0 +1,85 @@
+// Shared request validation: schemas plus the validator that checks bodies against them,
+// the schema builder for clinic-defined custom fields, SOAP note billing line helpers,
+// the appointment scheduling rules and the role permissions
+const { validate, isValidDate, isValidUuid, isValidNpi } = require('./validate');
+const {
+    schemas,
+    GENDERS,
+    SIGNED_STATUSES,
+    QUEUE_STATUSES,
+    RECORDING_CONTENT_TYPES,
+    ICD10_CODE_PATTERN,
+    CPT_CODE_PATTERN,
+    CPT_MODIFIER_PATTERN,
+    TAXONOMY_CODE_PATTERN,
+    CLAIM_FILING_INDICATORS,
+    SUBSCRIBER_RELATIONSHIPS,
+} = require('./schemas');
+const {
+    FORM_AREAS,
+    CUSTOM_FIELD_TYPES,
+    OPTION_FIELD_TYPES,
+    CUSTOM_FIELD_KEY_PATTERN,
+    buildCustomDataSchema,
+} = require('./customFields');
+const {
+    MAX_DIAGNOSIS_POINTERS,
+    diagnosisPointerLetter,
+    normalizeBillingLine,
+    checkDiagnosisPointers,
+} = require('./billing');
+const {
+    WEEKDAYS,
+    APPOINTMENT_STATUSES,
+    VISIT_TYPES,
+    VISIT_TYPE_DURATIONS,
+    minutesOfDay,
+    checkWorkingHours,
+    isWithinWorkingHours,
+} = require('./scheduling');
+const {
+    ROLES,
+    GROUP_ROLES,
+    PERMISSIONS,
+    rolesForGroups,
+    hasPermission,
+} = require('./permissions');
+
+module.exports = {
+    schemas,
+    validate,
+    isValidDate,
+    isValidUuid,
+    isValidNpi,
+    GENDERS,
+    SIGNED_STATUSES,
+    QUEUE_STATUSES,
+    RECORDING_CONTENT_TYPES,
+    ICD10_CODE_PATTERN,
+    CPT_CODE_PATTERN,
+    CPT_MODIFIER_PATTERN,
+    TAXONOMY_CODE_PATTERN,
+    CLAIM_FILING_INDICATORS,
+    SUBSCRIBER_RELATIONSHIPS,
+    FORM_AREAS,
+    CUSTOM_FIELD_TYPES,
+    OPTION_FIELD_TYPES,
+    CUSTOM_FIELD_KEY_PATTERN,
+    buildCustomDataSchema,
+    MAX_DIAGNOSIS_POINTERS,
+    diagnosisPointerLetter,
+    normalizeBillingLine,
+    checkDiagnosisPointers,
+    WEEKDAYS,
+    APPOINTMENT_STATUSES,
+    VISIT_TYPES,
+    VISIT_TYPE_DURATIONS,
+    minutesOfDay,
+    checkWorkingHours,
+    isWithinWorkingHours,
+    ROLES,
+    GROUP_ROLES,
+    PERMISSIONS,
+    rolesForGroups,
+    hasPermission,
+};
@@ -0,0 +1,61 @@
+// Clinic roles and what each may do, shared by the API (requirePermission in
+// lib/middleware.js) and the front end, which hides what the signed-in user can't do.
+// A user has a role by being in the Cognito group of the same name; the original 'admin'
+// group still makes its members clinic admins. Roles add up: a user in 'provider' and
+// 'clinic_admin' may do everything either may.
+
+const ROLES = ['front_desk', 'provider', 'biller', 'clinic_admin'];
+
+// Cognito group -> role
+const GROUP_ROLES = {
+    front_desk: 'front_desk',
+    provider: 'provider',
+    biller: 'biller',
+    clinic_admin: 'clinic_admin',
+    admin: 'clinic_admin',
+};
+
+// Permission -> roles granted it. Routes name one permission each.
+const PERMISSIONS = {
+    'patients:read': ROLES,
+    'patients:write': ['front_desk', 'provider', 'clinic_admin'],
+    'patients:merge': ['front_desk', 'clinic_admin'],
+    'patients:archive': ['clinic_admin'],
+    'patients:purge': ['clinic_admin'],
+    'queue:read': ROLES,
+    'queue:write': ['front_desk', 'provider', 'clinic_admin'],
+    'appointments:read': ROLES,
+    'appointments:write': ['front_desk', 'provider', 'clinic_admin'],
+    'notes:read': ['provider', 'biller', 'clinic_admin'],
+    'notes:write': ['provider'],
+    'notes:sign': ['provider'],
+    'recordings:read': ['provider', 'clinic_admin'],
+    'recordings:write': ['provider'],
+    'billing:read': ['provider', 'biller', 'clinic_admin'],
+    'claims:export': ['biller', 'clinic_admin'],
+    'codes:read': ROLES,
+    'doctors:read': ROLES,
+    'doctors:manage': ['clinic_admin'],
+    'custom_fields:read': ROLES,
+    'custom_fields:manage': ['clinic_admin'],
+    'settings:manage': ['clinic_admin'],
+    'audit:read': ['clinic_admin'],
+};
+
+// Roles of a user from their Cognito groups; groups that aren't roles are ignored
+function rolesForGroups(groups) {
+    return ROLES.filter(role => (groups || []).some(group => GROUP_ROLES[group] === role));
+}
+
+function hasPermission(groups, permission) {
+    const allowedRoles = PERMISSIONS[permission] || [];
+    return rolesForGroups(groups).some(role => allowedRoles.includes(role));
+}
+
+module.exports = {
+    ROLES,
+    GROUP_ROLES,
+    PERMISSIONS,
+    rolesForGroups,
+    hasPermission,
+};
@@ -0,0 +1,68 @@
+// Appointment scheduling rules shared by the API and the front end: visit types and their
+// default lengths, and a doctor's weekly working hours (doctors.working_hours), which look
+// like { "mon": [{ "start": "09:00", "end": "12:00" }, { "start": "13:00", "end": "17:00" }] }
+// in the clinic's local time. A day that is missing or empty is a day off.
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_OF_DAY_PATTERN = '^([01][0-9]|2[0-3]):[0-5][0-9]$';
+
+const APPOINTMENT_STATUSES = ['scheduled', 'checked_in', 'cancelled'];
+// Visit type -> minutes booked when the request leaves out duration_minutes
+const VISIT_TYPE_DURATIONS = {
+    new_patient: 45,
+    follow_up: 15,
+    re_exam: 30,
+    consultation: 30,
+    treatment: 15,
+};
+const VISIT_TYPES = Object.keys(VISIT_TYPE_DURATIONS);
+const MIN_APPOINTMENT_MINUTES = 5;
+const MAX_APPOINTMENT_MINUTES = 480;
+
+// '09:30' -> 570
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// --- Each interval must end after it starts and not overlap another on the same day ---
+// Returns [{ field, message }] like validate(); run it after the schema check.
+function checkWorkingHours(workingHours) {
+    const errors = [];
+    WEEKDAYS.forEach(day => {
+        const intervals = (workingHours?.[day] || []).map((interval, index) => ({ ...interval, index }));
+        intervals.forEach(interval => {
+            if (minutesOfDay(interval.end) <= minutesOfDay(interval.start)) {
+                errors.push({ field: `working_hours.${day}[${interval.index}].end`, message: 'must be after start' });
+            }
+        });
+        const sorted = [...intervals].sort((a, b) => minutesOfDay(a.start) - minutesOfDay(b.start));
+        for (let i = 1; i < sorted.length; i++) {
+            if (minutesOfDay(sorted[i].start) < minutesOfDay(sorted[i - 1].end)) {
+                errors.push({ field: `working_hours.${day}[${sorted[i].index}]`, message: `overlaps ${sorted[i - 1].start}-${sorted[i - 1].end}` });
+            }
+        }
+    });
+    return errors;
+}
+
+// --- Does [startMinute, endMinute) on `weekday` fit inside one working interval? ---
+// Null working hours means none have been set up: every time is allowed.
+function isWithinWorkingHours(workingHours, weekday, startMinute, endMinute) {
+    if (!workingHours) return true;
+    return (workingHours[weekday] || []).some(interval =>
+        startMinute >= minutesOfDay(interval.start) && endMinute <= minutesOfDay(interval.end));
+}
+
+module.exports = {
+    WEEKDAYS,
+    TIME_OF_DAY_PATTERN,
+    APPOINTMENT_STATUSES,
+    VISIT_TYPES,
+    VISIT_TYPE_DURATIONS,
+    MIN_APPOINTMENT_MINUTES,
+    MAX_APPOINTMENT_MINUTES,
+    minutesOfDay,
+    checkWorkingHours,
+    isWithinWorkingHours,
+};
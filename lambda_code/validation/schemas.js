@@ -0,0 +1,413 @@
+// Request body schemas, shared by the Lambda routes and medical-system forms.
+// Max lengths mirror the column sizes in perclinicpostgres.md; keep them in step
+// when a column changes.
+
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+const SIGNED_STATUSES = ['Draft', 'Signed'];
+const QUEUE_STATUSES = ['waiting', 'roomed', 'with_provider', 'checked_out', 'cancelled'];
+// Audio formats an encounter recording may be uploaded in (MIME type without parameters)
+const RECORDING_CONTENT_TYPES = ['audio/webm', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/flac'];
+
+// ICD-10-CM (e.g. "M54.5", "S13.4XXA") and CPT/HCPCS-style five character codes (e.g. "99213", "0001F")
+const ICD10_CODE_PATTERN = '^[A-Z][0-9][0-9A-Z](\\.[0-9A-Z]{1,4})?$';
+const CPT_CODE_PATTERN = '^[0-9]{4}[0-9A-Z]$';
+// Two character CPT/HCPCS modifiers (e.g. "25", "GP", "59")
+const CPT_MODIFIER_PATTERN = '^[0-9A-Z]{2}$';
+// NUCC provider taxonomy codes (e.g. "111N00000X" for chiropractors)
+const TAXONOMY_CODE_PATTERN = '^[0-9]{3}[0-9A-Z]{6}X$';
+// Claim filing indicator (SBR09 on an 837P): commercial, Blue Cross, HMO, Medicare Part B,
+// Medicaid, workers' comp, auto, TRICARE, VA, other, mutually defined
+const CLAIM_FILING_INDICATORS = ['CI', 'BL', 'HM', 'MB', 'MC', 'WC', 'AM', 'CH', 'VA', 'OF', 'ZZ'];
+const SUBSCRIBER_RELATIONSHIPS = ['self', 'spouse', 'child', 'other'];
+const US_STATE_PATTERN = '^[A-Z]{2}$';
+const US_POSTAL_CODE_PATTERN = '^[0-9]{5}([0-9]{4})?$';
+
+const { FORM_AREAS, CUSTOM_FIELD_TYPES, CUSTOM_FIELD_KEY_PATTERN } = require('./customFields');
+const { MAX_DIAGNOSIS_POINTERS } = require('./billing');
+const {
+    WEEKDAYS,
+    TIME_OF_DAY_PATTERN,
+    VISIT_TYPES,
+    MIN_APPOINTMENT_MINUTES,
+    MAX_APPOINTMENT_MINUTES,
+} = require('./scheduling');
+// An explicit offset, so a time is never read in the server's zone by accident
+const DATE_TIME_WITH_OFFSET_PATTERN = '(Z|[+-][0-9]{2}:[0-9]{2})$';
+
+const patientFields = {
+    first_name: { type: 'string', required: true, maxLength: 100 },
+    last_name: { type: 'string', required: true, maxLength: 100 },
+    middle_initial: { type: 'string', maxLength: 1 },
+    preferred_name: { type: 'string', maxLength: 100 },
+    date_of_birth: { type: 'string', required: true, format: 'date', notInFuture: true },
+    gender: { type: 'string', maxLength: 50, enum: GENDERS },
+    phone_number: { type: 'string', maxLength: 20, format: 'phone' },
+    email: { type: 'string', maxLength: 255, format: 'email' },
+    address_line1: { type: 'string', maxLength: 255 },
+    address_line2: { type: 'string', maxLength: 255 },
+    city: { type: 'string', maxLength: 100 },
+    state_province: { type: 'string', maxLength: 100 },
+    postal_code: { type: 'string', maxLength: 20 },
+    country: { type: 'string', maxLength: 100 },
+    is_medicare_eligible: { type: 'boolean' },
+    // Also checked against the clinic's custom_form_fields (validateCustomData middleware)
+    custom_data: { type: 'object' },
+};
+
+// POST /patients
+const patientCreate = {
+    fields: patientFields,
+};
+
+// PUT /patients/:id (validated with { partial: true })
+const patientUpdate = {
+    fields: {
+        ...patientFields,
+        contact_info: { type: 'object' },
+        address: { type: 'object' },
+        // Primary insurance. The keys below are what claims are built from; other keys are kept as sent.
+        insurance_info: {
+            type: 'object',
+            allowUnknownFields: true,
+            fields: {
+                payer_name: { type: 'string', maxLength: 60 },
+                payer_id: { type: 'string', maxLength: 80 },
+                member_id: { type: 'string', maxLength: 80 },
+                group_number: { type: 'string', maxLength: 50 },
+                claim_filing_indicator: { type: 'string', enum: CLAIM_FILING_INDICATORS },
+                // The patient's relationship to the policy holder; 'self' when omitted
+                relationship_to_subscriber: { type: 'string', enum: SUBSCRIBER_RELATIONSHIPS },
+                // The policy holder, when that is not the patient
+                subscriber: {
+                    type: 'object',
+                    fields: {
+                        first_name: { type: 'string', maxLength: 35 },
+                        last_name: { type: 'string', maxLength: 60 },
+                        middle_initial: { type: 'string', maxLength: 1 },
+                        date_of_birth: { type: 'string', format: 'date', notInFuture: true },
+                        gender: { type: 'string', enum: GENDERS },
+                    },
+                },
+            },
+        },
+        medical_history: { type: 'object' },
+    },
+};
+
+// DELETE /patients/:id archives the patient; the reason is kept on the record
+const patientArchive = {
+    fields: {
+        reason: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+    },
+};
+
+// POST /patients/:id/merge folds the duplicate chart into :id
+const patientMerge = {
+    fields: {
+        duplicate_patient_id: { type: 'string', required: true, format: 'uuid' },
+    },
+};
+
+const soapNoteFields = {
+    patient_id: { type: 'string', required: true, format: 'uuid' },
+    // doctor_id is not writable: the author is the doctor linked to the signed-in user
+    subjective: { type: 'string' },
+    objective: { type: 'string' },
+    assessment: { type: 'string' },
+    plan: { type: 'string' },
+    dx_codes: {
+        type: 'array',
+        maxItems: 12, // a professional claim carries at most 12 diagnosis codes
+        items: { type: 'string', pattern: ICD10_CODE_PATTERN, patternMessage: 'must be an ICD-10 code (e.g. M54.5)' },
+    },
+    // One entry per service line; dx_pointers are 1-based positions in dx_codes
+    billing_codes: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+            type: 'object',
+            fields: {
+                code: { type: 'string', required: true, pattern: CPT_CODE_PATTERN, patternMessage: 'must be a 5 character CPT code (e.g. 99213)' },
+                modifiers: {
+                    type: 'array',
+                    maxItems: 4,
+                    items: { type: 'string', pattern: CPT_MODIFIER_PATTERN, patternMessage: 'must be a 2 character modifier (e.g. 25)' },
+                },
+                units: { type: 'integer', minimum: 1, maximum: 999 },
+                dx_pointers: {
+                    type: 'array',
+                    maxItems: MAX_DIAGNOSIS_POINTERS,
+                    items: { type: 'integer', minimum: 1, maximum: 12 },
+                },
+            },
+        },
+    },
+    // signed_status is not writable here: notes are signed through POST /soapnotes/:id/sign
+};
+
+// POST /soapnotes
+const soapNoteCreate = {
+    fields: soapNoteFields,
+};
+
+// PUT /soapnotes/:id (validated with { partial: true }); a note can't move to another patient
+const soapNoteUpdate = {
+    fields: (({ patient_id, ...fields }) => fields)(soapNoteFields),
+};
+
+// POST /soapnotes/:id/addenda (the author comes from the token, like the note's)
+const noteAddendumCreate = {
+    fields: {
+        text: { type: 'string', required: true },
+        reason: { type: 'string', maxLength: 255 },
+    },
+};
+
+// POST /soapnotes/draft: narrative to draft a note from (nothing is saved). patient_id is
+// optional and only adds the patient's age and sex to the prompt.
+const soapNoteDraft = {
+    fields: {
+        text: { type: 'string', required: true, minLength: 1, maxLength: 20000 },
+        source: { type: 'string', enum: ['typed', 'transcript'] },
+        patient_id: { type: 'string', format: 'uuid' },
+    },
+};
+
+// POST /patients/:id/recordings: starts an upload. note_id and queue_entry_id tie the
+// recording to the visit when it is already known.
+const recordingCreate = {
+    fields: {
+        content_type: { type: 'string', required: true, enum: RECORDING_CONTENT_TYPES },
+        note_id: { type: 'string', format: 'uuid' },
+        queue_entry_id: { type: 'string', format: 'uuid' },
+    },
+};
+
+// PUT /recordings/:id: attach the recording to the note written from it
+const recordingUpdate = {
+    fields: {
+        note_id: { type: 'string', required: true, format: 'uuid' },
+    },
+};
+
+const doctorFields = {
+    full_name: { type: 'string', required: true, minLength: 1, maxLength: 150 },
+    credentials: { type: 'string', maxLength: 50 },
+    // Cognito user (token `sub`) this doctor signs in as; at most one doctor per user
+    cognito_sub: { type: 'string', maxLength: 255 },
+    // Rendering provider identifiers on claims
+    npi: { type: 'string', format: 'npi' },
+    taxonomy_code: { type: 'string', pattern: TAXONOMY_CODE_PATTERN, patternMessage: 'must be a 10 character NUCC taxonomy code (e.g. 111N00000X)' },
+    is_active: { type: 'boolean' },
+    // Weekly hours appointments must fall within (see validation/scheduling.js); replaced
+    // whole when sent, null removes them
+    working_hours: {
+        type: 'object',
+        fields: Object.fromEntries(WEEKDAYS.map(day => [day, {
+            type: 'array',
+            maxItems: 6,
+            items: {
+                type: 'object',
+                fields: {
+                    start: { type: 'string', required: true, pattern: TIME_OF_DAY_PATTERN, patternMessage: 'must be a 24 hour time (HH:MM)' },
+                    end: { type: 'string', required: true, pattern: TIME_OF_DAY_PATTERN, patternMessage: 'must be a 24 hour time (HH:MM)' },
+                },
+            },
+        }])),
+    },
+};
+
+// POST /doctors
+const doctorCreate = {
+    fields: doctorFields,
+};
+
+// PUT /doctors/:id (validated with { partial: true })
+const doctorUpdate = {
+    fields: doctorFields,
+};
+
+// PUT /settings (validated with { partial: true }); cpt_fees replaces the whole fee schedule
+const settingsUpdate = {
+    fields: {
+        clinic_name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+        custom_terms_conditions: { type: 'string' },
+        custom_llm_instructions: { type: 'string' },
+        // Schedules, working hours and "today" are in this zone
+        time_zone: { type: 'string', maxLength: 64, format: 'time-zone' },
+        // Archived patients can be purged this many years after their last note or archiving
+        record_retention_years: { type: 'integer', minimum: 1, maximum: 100 },
+        cpt_fees: {
+            type: 'object',
+            keyPattern: CPT_CODE_PATTERN,
+            keyPatternMessage: 'must be a 5 character CPT code (e.g. 99213)',
+            values: { type: 'number', minimum: 0, maximum: 999999.99 },
+        },
+        // Billing provider and clearinghouse details for 837P claim files; replaces the whole
+        // object when sent. Nothing is required here: POST /claims/837p reports what is missing.
+        billing_info: {
+            type: 'object',
+            fields: {
+                npi: { type: 'string', format: 'npi' },
+                tax_id: { type: 'string', pattern: '^[0-9]{9}$', patternMessage: 'must be the 9 digit EIN without a dash' },
+                taxonomy_code: { type: 'string', pattern: TAXONOMY_CODE_PATTERN, patternMessage: 'must be a 10 character NUCC taxonomy code (e.g. 111N00000X)' },
+                address_line1: { type: 'string', maxLength: 55 },
+                address_line2: { type: 'string', maxLength: 55 },
+                city: { type: 'string', maxLength: 30 },
+                state: { type: 'string', pattern: US_STATE_PATTERN, patternMessage: 'must be a 2 letter state code (e.g. CA)' },
+                postal_code: { type: 'string', pattern: US_POSTAL_CODE_PATTERN, patternMessage: 'must be a 5 or 9 digit ZIP code' },
+                contact_name: { type: 'string', maxLength: 60 },
+                contact_phone: { type: 'string', pattern: '^[0-9]{10}$', patternMessage: 'must be 10 digits' },
+                // Place of service code for the clinic's claims ('11' = office when omitted)
+                place_of_service: { type: 'string', pattern: '^[0-9]{2}$', patternMessage: 'must be a 2 digit place of service code' },
+                // Assigned by the clearinghouse: who sends the file and who receives it
+                submitter_id: { type: 'string', minLength: 2, maxLength: 15, pattern: '^[0-9A-Za-z]+$', patternMessage: 'must be letters and digits' },
+                receiver_id: { type: 'string', minLength: 2, maxLength: 15, pattern: '^[0-9A-Za-z]+$', patternMessage: 'must be letters and digits' },
+                receiver_name: { type: 'string', maxLength: 60 },
+            },
+        },
+    },
+};
+
+const customFieldFields = {
+    form_area: { type: 'string', required: true, enum: FORM_AREAS },
+    field_key: { type: 'string', required: true, maxLength: 100, pattern: CUSTOM_FIELD_KEY_PATTERN, patternMessage: 'must be lowercase letters, digits and underscores, starting with a letter' },
+    field_label: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    field_type: { type: 'string', required: true, enum: CUSTOM_FIELD_TYPES },
+    // Choices for select / multiselect fields (required for those types, not allowed otherwise)
+    options: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 1, maxLength: 255 } },
+    is_required: { type: 'boolean' },
+    display_order: { type: 'integer', minimum: 0 },
+};
+
+// POST /custom-fields
+const customFieldCreate = {
+    fields: customFieldFields,
+};
+
+// PUT /custom-fields/:id (validated with { partial: true }); field_key is fixed once values
+// may have been stored under it
+const customFieldUpdate = {
+    fields: (({ field_key, ...fields }) => fields)(customFieldFields),
+};
+
+// POST /admin/tenants; clinic_id (the schema an earlier run returned) resumes that run
+const tenantCreate = {
+    fields: {
+        clinic_name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+        clinic_id: { type: 'string', minLength: 1, maxLength: 63 },
+    },
+};
+
+// POST /admin/migrations; no tenant means every tenant schema
+const migrationRun = {
+    fields: {
+        tenant: { type: 'string', maxLength: 63, pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$', patternMessage: 'must be a tenant schema name (e.g. clinic_acme)' },
+        dry_run: { type: 'boolean' },
+    },
+};
+
+// POST /admin/encryption/rotate; no tenant means every tenant schema
+const encryptionRotate = {
+    fields: {
+        tenant: migrationRun.fields.tenant,
+        new_data_key: { type: 'boolean' },
+    },
+};
+
+// POST /claims/837p; usage_indicator 'T' marks the file as a clearinghouse test file
+const claimExport = {
+    fields: {
+        note_ids: { type: 'array', required: true, minItems: 1, maxItems: 100, items: { type: 'string', format: 'uuid' } },
+        usage_indicator: { type: 'string', enum: ['P', 'T'] },
+    },
+};
+
+// POST /queue
+const queueCreate = {
+    fields: {
+        patient_id: { type: 'string', required: true, format: 'uuid' },
+        notes: { type: 'string', maxLength: 1000 },
+    },
+};
+
+// POST /appointments; duration_minutes defaults to the visit type's usual length
+const appointmentFields = {
+    patient_id: { type: 'string', required: true, format: 'uuid' },
+    doctor_id: { type: 'string', required: true, format: 'uuid' },
+    visit_type: { type: 'string', required: true, enum: VISIT_TYPES },
+    starts_at: { type: 'string', required: true, format: 'date-time', pattern: DATE_TIME_WITH_OFFSET_PATTERN, patternMessage: 'must include a UTC offset (e.g. 2025-04-15T09:00:00-04:00)' },
+    duration_minutes: { type: 'integer', minimum: MIN_APPOINTMENT_MINUTES, maximum: MAX_APPOINTMENT_MINUTES },
+    notes: { type: 'string', maxLength: 1000 },
+};
+
+const appointmentCreate = {
+    fields: appointmentFields,
+};
+
+// PUT /appointments/:id (validated with { partial: true }): reschedule or edit; the patient can't change
+const appointmentUpdate = {
+    fields: (({ patient_id, ...fields }) => fields)(appointmentFields),
+};
+
+// POST /appointments/:id/cancel
+const appointmentCancel = {
+    fields: {
+        reason: { type: 'string', maxLength: 500 },
+    },
+};
+
+// POST /appointments/:id/check-in; notes go on the waiting queue entry
+const appointmentCheckIn = {
+    fields: {
+        notes: { type: 'string', maxLength: 1000 },
+    },
+};
+
+// PUT /queue/:id (validated with { partial: true })
+const queueUpdate = {
+    fields: {
+        status: { type: 'string', enum: QUEUE_STATUSES },
+        notes: { type: 'string', maxLength: 1000 },
+    },
+};
+
+module.exports = {
+    GENDERS,
+    SIGNED_STATUSES,
+    QUEUE_STATUSES,
+    RECORDING_CONTENT_TYPES,
+    ICD10_CODE_PATTERN,
+    CPT_CODE_PATTERN,
+    CPT_MODIFIER_PATTERN,
+    TAXONOMY_CODE_PATTERN,
+    CLAIM_FILING_INDICATORS,
+    SUBSCRIBER_RELATIONSHIPS,
+    schemas: {
+        patientCreate,
+        patientUpdate,
+        patientArchive,
+        patientMerge,
+        soapNoteCreate,
+        soapNoteUpdate,
+        noteAddendumCreate,
+        soapNoteDraft,
+        recordingCreate,
+        recordingUpdate,
+        doctorCreate,
+        doctorUpdate,
+        settingsUpdate,
+        claimExport,
+        customFieldCreate,
+        customFieldUpdate,
+        queueCreate,
+        queueUpdate,
+        appointmentCreate,
+        appointmentUpdate,
+        appointmentCancel,
+        appointmentCheckIn,
+        tenantCreate,
+        migrationRun,
+        encryptionRotate,
+    },
+};
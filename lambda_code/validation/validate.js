@@ -0,0 +1,183 @@
+// Validator for the declarative request schemas in ./schemas.js.
+//
+// Kept free of Node-only APIs: medical-system imports this module (through the
+// @emr/validation alias in vite.config.js) for client-side checks.
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Calendar-checked YYYY-MM-DD (rejects 2024-02-30, which Date.parse would roll over)
+function isValidDate(value) {
+    const match = DATE_REGEX.exec(value);
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidUuid(value) {
+    return typeof value === 'string' && UUID_REGEX.test(value);
+}
+
+// NPI check digit: Luhn over the 9 digit base prefixed with 80840 (the US health industry
+// card issuer prefix), which is the same as adding 24 to the Luhn sum of the base
+function isValidNpi(value) {
+    if (typeof value !== 'string' || !/^[0-9]{10}$/.test(value)) return false;
+    let sum = 24;
+    for (let i = 8; i >= 0; i--) {
+        let digit = Number(value[i]);
+        if ((8 - i) % 2 === 0) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return (10 - (sum % 10)) % 10 === Number(value[9]);
+}
+
+// IANA zone name the runtime's Intl data knows (America/Chicago, UTC, ...)
+function isValidTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const FORMATS = {
+    uuid: { test: isValidUuid, message: 'must be a valid UUID' },
+    date: { test: isValidDate, message: 'must be a valid date (YYYY-MM-DD)' },
+    'date-time': { test: (v) => !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v), message: 'must be an ISO 8601 date-time' },
+    email: { test: (v) => EMAIL_REGEX.test(v), message: 'must be a valid email address' },
+    // 7-15 digits once punctuation is stripped (E.164 allows at most 15)
+    phone: { test: (v) => /^[0-9+().\-\s]+$/.test(v) && /^\d{7,15}$/.test(v.replace(/\D/g, '')), message: 'must be a valid phone number' },
+    npi: { test: isValidNpi, message: 'must be a valid 10 digit NPI' },
+    'time-zone': { test: isValidTimeZone, message: 'must be an IANA time zone (e.g. America/Chicago)' },
+};
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function typeMatches(expected, value) {
+    const actual = typeOf(value);
+    if (expected === 'number') return actual === 'number' || actual === 'integer';
+    return actual === expected;
+}
+
+// Check one value against its rule, pushing { field, message } entries onto errors
+function checkValue(field, value, rule, errors) {
+    if (rule.type && !typeMatches(rule.type, value)) {
+        errors.push({ field, message: `must be of type ${rule.type}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push({ field, message: `must be at least ${rule.minLength} characters` });
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+        }
+        if (rule.format && FORMATS[rule.format] && !FORMATS[rule.format].test(value)) {
+            errors.push({ field, message: FORMATS[rule.format].message });
+        } else if (rule.format === 'date' && rule.notInFuture && value > new Date().toISOString().slice(0, 10)) {
+            errors.push({ field, message: 'must not be in the future' });
+        }
+        if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+            errors.push({ field, message: rule.patternMessage || `must match pattern ${rule.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (rule.minimum !== undefined && value < rule.minimum) {
+            errors.push({ field, message: `must be at least ${rule.minimum}` });
+        }
+        if (rule.maximum !== undefined && value > rule.maximum) {
+            errors.push({ field, message: `must be at most ${rule.maximum}` });
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            errors.push({ field, message: `must contain at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}` });
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push({ field, message: `must contain at most ${rule.maxItems} items` });
+        }
+        if (rule.items) {
+            value.forEach((item, index) => checkValue(`${field}[${index}]`, item, rule.items, errors));
+        }
+    }
+
+    if (rule.fields && typeOf(value) === 'object') {
+        errors.push(...validate(rule, value).map(error => ({ ...error, field: `${field}.${error.field}` })));
+    }
+
+    // Map-like objects ({ "99213": 120 }): keyPattern checks every key, values every value
+    if ((rule.keyPattern || rule.values) && typeOf(value) === 'object') {
+        for (const [key, entry] of Object.entries(value)) {
+            if (rule.keyPattern && !new RegExp(rule.keyPattern).test(key)) {
+                errors.push({ field: `${field}.${key}`, message: rule.keyPatternMessage || `key must match pattern ${rule.keyPattern}` });
+                continue;
+            }
+            if (rule.values) {
+                if (isMissing(entry)) {
+                    errors.push({ field: `${field}.${key}`, message: 'is required' });
+                } else {
+                    checkValue(`${field}.${key}`, entry, rule.values, errors);
+                }
+            }
+        }
+    }
+}
+
+// Validate data against a schema ({ fields, allowUnknownFields }) and return every
+// problem found as [{ field, message }]; an empty array means the data is valid.
+// With { partial: true } (PUT bodies) required fields may be omitted but not blanked.
+function validate(schema, data, { partial = false } = {}) {
+    if (typeOf(data) !== 'object') {
+        return [{ field: '(body)', message: 'must be a JSON object' }];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = data[field];
+        if (isMissing(value)) {
+            if (rule.required && (!partial || value !== undefined)) {
+                errors.push({ field, message: partial ? 'cannot be empty' : 'is required' });
+            }
+            continue;
+        }
+        checkValue(field, value, rule, errors);
+    }
+
+    if (!schema.allowUnknownFields) {
+        for (const field of Object.keys(data)) {
+            if (!schema.fields[field]) {
+                errors.push({ field, message: 'is not a recognized field' });
+            }
+        }
+    }
+    return errors;
+}
+
+module.exports = {
+    validate,
+    isValidDate,
+    isValidUuid,
+    isValidNpi,
+};
@@ -0,0 +1,108 @@
+// Entry point of the realtime WebSocket API (the emr_realtime Lambda, same package as
+// index.js). One function serves the API's request authorizer and its $connect,
+// $disconnect and $default routes; the REST Lambda does the broadcasting (lib/realtime.js).
+//
+// Browsers can't set headers on a WebSocket, so the client connects with its Cognito ID
+// token in the query string: wss://.../dev?token=<idToken>. The authorizer verifies it and
+// hands the tenant schema to the later routes as authorizer context, which API Gateway
+// repeats on every event of the connection, $disconnect included.
+const { CognitoJwtVerifier } = require('aws-jwt-verify');
+const { initializePool, getPool, setTenantSearchPath, isValidSchemaName } = require('./lib/db');
+const { registerConnection, removeConnection } = require('./lib/realtime');
+
+let verifier = null;
+
+function getVerifier() {
+    if (!verifier) {
+        verifier = CognitoJwtVerifier.create({
+            userPoolId: process.env.COGNITO_USER_POOL_ID,
+            clientId: process.env.COGNITO_APP_CLIENT_ID,
+            tokenUse: 'id',
+        });
+    }
+    return verifier;
+}
+
+function policy(principalId, effect, resource, context) {
+    return {
+        principalId,
+        policyDocument: {
+            Version: '2012-10-17',
+            Statement: [{ Action: 'execute-api:Invoke', Effect: effect, Resource: resource }],
+        },
+        ...(context ? { context } : {}),
+    };
+}
+
+// --- Request authorizer for $connect ---
+// A missing or invalid token is a 401 ('Unauthorized'); a valid token without a usable
+// clinic is denied (403), as the REST API refuses it too.
+async function authorize(event) {
+    const token = event.queryStringParameters?.token;
+    if (!token) {
+        console.warn("WebSocket connect without a token.");
+        throw new Error('Unauthorized');
+    }
+
+    let claims;
+    try {
+        claims = await getVerifier().verify(token);
+    } catch (error) {
+        console.warn(`WebSocket token rejected: ${error.message}`);
+        throw new Error('Unauthorized');
+    }
+
+    const tenantSchema = typeof claims['custom:clinic_id'] === 'string' ? claims['custom:clinic_id'].trim() : '';
+    if (!isValidSchemaName(tenantSchema)) {
+        console.warn(`WebSocket connect denied for user ${claims.sub}: missing or invalid custom:clinic_id claim.`);
+        return policy(claims.sub, 'Deny', event.methodArn);
+    }
+    console.log(`WebSocket connect authorized for user ${claims.sub}, tenant ${tenantSchema}`);
+    return policy(claims.sub, 'Allow', event.methodArn, { tenantSchema, sub: claims.sub });
+}
+
+// --- Run fn with a pooled client scoped to the connection's tenant ---
+async function withConnectionClient(tenantSchema, fn) {
+    if (!getPool()) {
+        await initializePool();
+    }
+    const client = await getPool().connect();
+    try {
+        await setTenantSearchPath(client, tenantSchema);
+        return await fn(client);
+    } finally {
+        client.release();
+    }
+}
+
+// --- Main Lambda handler function ---
+exports.handler = async (event) => {
+    if (event.type === 'REQUEST' && event.methodArn) {
+        return authorize(event);
+    }
+
+    const { routeKey, connectionId, authorizer } = event.requestContext || {};
+    const tenantSchema = authorizer?.tenantSchema;
+    console.log(`Received WebSocket ${routeKey} for connection ${connectionId}, tenant ${tenantSchema || 'unknown'}`);
+
+    try {
+        switch (routeKey) {
+            case '$connect':
+                await withConnectionClient(tenantSchema, client => registerConnection(client, connectionId, authorizer.sub));
+                console.log(`Registered connection ${connectionId} for tenant ${tenantSchema}`);
+                break;
+            case '$disconnect':
+                await withConnectionClient(tenantSchema, client => removeConnection(client, connectionId));
+                console.log(`Removed connection ${connectionId} for tenant ${tenantSchema}`);
+                break;
+            default:
+                // Clients only listen; anything they send (e.g. a keep-alive ping) is just acknowledged
+                break;
+        }
+    } catch (error) {
+        // A failed $connect refuses the connection; the client retries
+        console.error(`WebSocket ${routeKey} failed for connection ${connectionId}, tenant ${tenantSchema}:`, error);
+        return { statusCode: 500, body: 'Internal Server Error' };
+    }
+    return { statusCode: 200, body: 'OK' };
+};
@@ -4,6 +4,7 @@ import './style.css'
 import App from './App.vue'
 import HomePage from './components/HomePage.vue';
 import SOAPNoteCreator from './components/SOAPNoteCreator.vue';
+import ClinicSettings from './components/ClinicSettings.vue';
 
 // --- Add Amplify Configuration ---
 import { Amplify } from 'aws-amplify';
@@ -42,6 +43,11 @@ const routes = [
     path: '/SOAP',
     name: 'SOAPNoteCreator',
     component: SOAPNoteCreator
+  },
+  {
+    path: '/settings',
+    name: 'ClinicSettings',
+    component: ClinicSettings
   }
 ];
 
@@ -0,0 +1,31 @@
+// What the signed-in user may do: the Cognito groups in their ID token checked against the
+// role permissions the API enforces (lambda_code/validation/permissions.js). This only
+// hides buttons and views; the API still answers 403 to anything the roles don't allow.
+import { ref } from 'vue';
+import { fetchAuthSession } from '@aws-amplify/auth';
+import { hasPermission, rolesForGroups } from '@emr/validation';
+
+const groups = ref([]);
+const isLoaded = ref(false);
+
+// Re-read on every use so a different user signing in on the same tab gets their own roles
+async function loadGroups() {
+  try {
+    const { tokens } = await fetchAuthSession();
+    const tokenGroups = tokens?.idToken?.payload?.['cognito:groups'];
+    groups.value = Array.isArray(tokenGroups) ? tokenGroups : [];
+  } catch (authError) {
+    console.error('Could not read the user groups from the session:', authError);
+    groups.value = [];
+  }
+  isLoaded.value = true;
+}
+
+export function usePermissions() {
+  loadGroups();
+  return {
+    isLoaded,
+    can: (permission) => hasPermission(groups.value, permission),
+    roles: () => rolesForGroups(groups.value),
+  };
+}
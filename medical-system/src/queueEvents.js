@@ -0,0 +1,83 @@
+// Live waiting-queue events from the realtime WebSocket API (lambda_code/websocket.js).
+// The URL is the `realtime_url` Terraform output, given to Vite as VITE_REALTIME_URL; when
+// it is not set nothing is opened and the queue only changes on refresh.
+//
+// The server only sends events for the clinic in the user's token:
+//   { type: 'queue', action: 'added' | 'status_changed' | 'updated' | 'removed', entry, previous_status? }
+import { fetchAuthSession } from '@aws-amplify/auth';
+
+const REALTIME_URL = import.meta.env.VITE_REALTIME_URL || '';
+const KEEP_ALIVE_MS = 5 * 60 * 1000; // API Gateway drops connections idle for 10 minutes
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+export const isRealtimeConfigured = () => REALTIME_URL !== '';
+
+// Connects (and keeps reconnecting with a fresh token) until the returned function is
+// called. onConnected(isReconnect) lets the caller reload whatever it missed while offline.
+export function subscribeToQueueEvents({ onEvent, onConnected, onDisconnected }) {
+  if (!isRealtimeConfigured()) {
+    console.log('VITE_REALTIME_URL is not set; live queue updates are off.');
+    return () => {};
+  }
+
+  let socket = null;
+  let keepAliveTimer = null;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+  let hasConnected = false;
+  let stopped = false;
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    console.log(`Queue updates disconnected; reconnecting in ${reconnectDelay / 1000}s`);
+    reconnectTimer = setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  };
+
+  async function connect() {
+    let idToken;
+    try {
+      const { tokens } = await fetchAuthSession();
+      idToken = tokens?.idToken?.toString();
+      if (!idToken) {
+        throw new Error('No ID token found in session.');
+      }
+    } catch (authError) {
+      console.error('Cannot open queue updates without a session:', authError);
+      scheduleReconnect();
+      return;
+    }
+    if (stopped) return;
+
+    socket = new WebSocket(`${REALTIME_URL}?token=${encodeURIComponent(idToken)}`);
+    socket.onopen = () => {
+      console.log('Queue updates connected');
+      reconnectDelay = 1000;
+      keepAliveTimer = setInterval(() => socket.send(JSON.stringify({ action: 'ping' })), KEEP_ALIVE_MS);
+      onConnected?.(hasConnected);
+      hasConnected = true;
+    };
+    socket.onmessage = (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (parseError) {
+        console.error('Ignoring malformed queue event:', message.data, parseError);
+      }
+    };
+    socket.onclose = () => {
+      clearInterval(keepAliveTimer);
+      socket = null;
+      onDisconnected?.();
+      scheduleReconnect();
+    };
+  }
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    clearInterval(keepAliveTimer);
+    socket?.close();
+  };
+}
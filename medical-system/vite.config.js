@@ -1,7 +1,23 @@
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
+import { fileURLToPath } from 'node:url'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [vue()],
+  resolve: {
+    alias: {
+      // Request schemas shared with the Lambda (CommonJS, lives outside this package)
+      '@emr/validation': fileURLToPath(new URL('../lambda_code/validation/index.js', import.meta.url)),
+    },
+  },
+  // Pre-bundle the CommonJS module in dev and convert it in production builds
+  optimizeDeps: {
+    include: ['@emr/validation'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/node_modules/, /lambda_code\/validation/],
+    },
+  },
 })
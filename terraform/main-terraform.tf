@@ -193,6 +193,45 @@ resource "aws_cognito_user_pool" "emr_user_pool" {
   }
 }
 
+# Clinic roles; what each may do is in lambda_code/validation/permissions.js
+resource "aws_cognito_user_group" "front_desk" {
+  name         = "front_desk"
+  user_pool_id = aws_cognito_user_pool.emr_user_pool.id
+  description  = "Front desk: registration, queue and appointments"
+}
+
+resource "aws_cognito_user_group" "provider" {
+  name         = "provider"
+  user_pool_id = aws_cognito_user_pool.emr_user_pool.id
+  description  = "Providers: write and sign notes, record visits"
+}
+
+resource "aws_cognito_user_group" "biller" {
+  name         = "biller"
+  user_pool_id = aws_cognito_user_pool.emr_user_pool.id
+  description  = "Billers: read notes, superbills and export claims"
+}
+
+resource "aws_cognito_user_group" "clinic_admin" {
+  name         = "clinic_admin"
+  user_pool_id = aws_cognito_user_pool.emr_user_pool.id
+  description  = "Clinic administrators: settings, doctors, intake fields, archiving, audit log"
+}
+
+# Original clinic administrator group; its members are treated as clinic_admin
+resource "aws_cognito_user_group" "admin" {
+  name         = "admin"
+  user_pool_id = aws_cognito_user_pool.emr_user_pool.id
+  description  = "Clinic administrators (legacy, same as clinic_admin)"
+}
+
+# Platform operators (POST /admin/tenants); kept separate from clinic admins
+resource "aws_cognito_user_group" "platform_admin" {
+  name         = "platform_admin"
+  user_pool_id = aws_cognito_user_pool.emr_user_pool.id
+  description  = "Platform operators who provision clinic tenants"
+}
+
 resource "aws_cognito_user_pool_client" "emr_app_client" {
   name = "emr-vue-app-client"
 
@@ -378,6 +417,155 @@ resource "aws_iam_role_policy_attachment" "lambda_secrets_attachment" {
   policy_arn = aws_iam_policy.lambda_secrets_policy.arn
 }
 
+# Policy to allow AI-assisted SOAP drafting (POST /soapnotes/draft) with Anthropic models on Bedrock
+resource "aws_iam_policy" "lambda_bedrock_policy" {
+  name        = "emr-lambda-invoke-bedrock-policy"
+  description = "Allow Lambda to invoke Anthropic foundation models on Amazon Bedrock"
+
+  policy = jsonencode({
+    Version = "2012-10-17",
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = "bedrock:InvokeModel"
+        Resource = "arn:aws:bedrock:us-east-1::foundation-model/anthropic.*"
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy_attachment" "lambda_bedrock_attachment" {
+  role       = aws_iam_role.lambda_exec_role.name
+  policy_arn = aws_iam_policy.lambda_bedrock_policy.arn
+}
+
+# Policy to allow encounter recordings: presigned uploads to and reads from the recordings
+# bucket, and Transcribe Medical jobs that write their output back to it
+resource "aws_iam_policy" "lambda_transcription_policy" {
+  name        = "emr-lambda-recordings-transcription-policy"
+  description = "Allow Lambda to store encounter recordings in S3 and transcribe them with Amazon Transcribe Medical"
+
+  policy = jsonencode({
+    Version = "2012-10-17",
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["s3:PutObject", "s3:GetObject", "s3:DeleteObject"] # delete: patient purges
+        Resource = "${aws_s3_bucket.encounter_recordings.arn}/*"
+      },
+      {
+        Effect   = "Allow"
+        Action   = [
+          "transcribe:StartMedicalTranscriptionJob",
+          "transcribe:GetMedicalTranscriptionJob"
+        ]
+        Resource = "*" # Transcribe job actions don't support resource-level permissions
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy_attachment" "lambda_transcription_attachment" {
+  role       = aws_iam_role.lambda_exec_role.name
+  policy_arn = aws_iam_policy.lambda_transcription_policy.arn
+}
+
+# Master key for field-level encryption: wraps each clinic's data keys (encryption_keys table)
+resource "aws_kms_key" "field_encryption" {
+  description         = "EMR field encryption master key (wraps per-clinic data keys)"
+  enable_key_rotation = true
+}
+
+resource "aws_kms_alias" "field_encryption" {
+  name          = "alias/emr-field-encryption"
+  target_key_id = aws_kms_key.field_encryption.key_id
+}
+
+# Policy to allow creating, rewrapping and unwrapping the clinics' data keys
+resource "aws_iam_policy" "lambda_field_encryption_policy" {
+  name        = "emr-lambda-field-encryption-policy"
+  description = "Allow Lambda to generate and unwrap field encryption data keys with KMS"
+
+  policy = jsonencode({
+    Version = "2012-10-17",
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["kms:GenerateDataKey", "kms:Encrypt", "kms:Decrypt"]
+        Resource = aws_kms_key.field_encryption.arn
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy_attachment" "lambda_field_encryption_attachment" {
+  role       = aws_iam_role.lambda_exec_role.name
+  policy_arn = aws_iam_policy.lambda_field_encryption_policy.arn
+}
+
+# Policy to allow pushing queue events to the clinic's open WebSocket connections
+resource "aws_iam_policy" "lambda_realtime_policy" {
+  name        = "emr-lambda-realtime-manage-connections-policy"
+  description = "Allow Lambda to post messages to connections of the realtime WebSocket API"
+
+  policy = jsonencode({
+    Version = "2012-10-17",
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = "execute-api:ManageConnections"
+        Resource = "${aws_apigatewayv2_api.realtime.execution_arn}/*"
+      }
+    ]
+  })
+}
+
+resource "aws_iam_role_policy_attachment" "lambda_realtime_attachment" {
+  role       = aws_iam_role.lambda_exec_role.name
+  policy_arn = aws_iam_policy.lambda_realtime_policy.arn
+}
+
+# --- S3 Bucket for Encounter Recordings ---
+# Visit audio is uploaded by the browser with presigned PUT URLs from the Lambda;
+# Transcribe Medical reads it (as the calling Lambda role) and writes transcripts back here.
+
+resource "aws_s3_bucket" "encounter_recordings" {
+  bucket_prefix = "emr-encounter-recordings-"
+
+  tags = {
+    Name = "emr-encounter-recordings"
+  }
+}
+
+resource "aws_s3_bucket_public_access_block" "encounter_recordings" {
+  bucket                  = aws_s3_bucket.encounter_recordings.id
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "encounter_recordings" {
+  bucket = aws_s3_bucket.encounter_recordings.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "aws:kms"
+    }
+  }
+}
+
+resource "aws_s3_bucket_cors_configuration" "encounter_recordings" {
+  bucket = aws_s3_bucket.encounter_recordings.id
+
+  cors_rule {
+    allowed_methods = ["PUT"]
+    allowed_origins = ["*"] # Be more specific in production (e.g., the Amplify app domain)
+    allowed_headers = ["Content-Type"]
+    max_age_seconds = 3000
+  }
+}
+
 # --- Security Group for Lambda Functions ---
 
 resource "aws_security_group" "lambda_sg" {
@@ -404,6 +592,10 @@ resource "aws_api_gateway_rest_api" "emr_api" {
   name        = "emr-api"
   description = "API for EMR system"
 
+  # Lambda responses with isBase64Encoded (chart note PDFs) are decoded to bytes when the
+  # request's Accept header matches one of these
+  binary_media_types = ["application/pdf"]
+
   endpoint_configuration {
     types = ["REGIONAL"]
   }
@@ -434,17 +626,110 @@ resource "aws_lambda_function" "emr_backend" {
 
   environment {
     variables = {
-      DB_CLUSTER_IDENTIFIER = aws_rds_cluster.emr_aurora_cluster.cluster_identifier
+      DB_CLUSTER_IDENTIFIER         = aws_rds_cluster.emr_aurora_cluster.cluster_identifier
       # DB_SECRET_ARN         = aws_secretsmanager_secret_version.db_credentials_version.arn # This is now discovered dynamically
-      COGNITO_USER_POOL_ID  = aws_cognito_user_pool.emr_user_pool.id
-      DB_CLUSTER_ENDPOINT   = aws_rds_cluster.emr_aurora_cluster.endpoint
-      DB_NAME               = "emrdb" # Explicitly set the database name
+      COGNITO_USER_POOL_ID          = aws_cognito_user_pool.emr_user_pool.id
+      DB_CLUSTER_ENDPOINT           = aws_rds_cluster.emr_aurora_cluster.endpoint
+      DB_NAME                       = "emrdb" # Explicitly set the database name
+      LLM_PROVIDER                  = "bedrock" # model for POST /soapnotes/draft; "stub" drafts locally without a model
+      BEDROCK_MODEL_ID              = "anthropic.claude-3-haiku-20240307-v1:0"
+      RECORDINGS_BUCKET             = aws_s3_bucket.encounter_recordings.id
+      TRANSCRIPTION_PROVIDER        = "aws" # Transcribe Medical for /recordings; "stub" returns a canned transcript
+      REALTIME_ENDPOINT             = replace(aws_apigatewayv2_stage.realtime.invoke_url, "wss://", "https://") # queue events go out through here
+      FIELD_ENCRYPTION_KEY_PROVIDER = "kms" # encrypts PHI columns; unset writes them in plaintext
+      FIELD_ENCRYPTION_KMS_KEY_ID   = aws_kms_key.field_encryption.arn
+      COMPLETE_CODE_SETS            = "" # "icd10,cpt" once lambda_code/codesets holds the full files; codes missing from listed sets are rejected
     }
   }
 
   publish = true # Required for creating alias/versions if needed later
 }
 
+# --- Realtime WebSocket API (live queue updates) ---
+# Workstations connect with ?token=<Cognito ID token>; the emr_realtime Lambda (websocket.js)
+# authorizes the token and records the connection in the clinic's schema, and emr_backend
+# posts queue events to those connections.
+
+resource "aws_lambda_function" "emr_realtime" {
+  filename      = data.archive_file.lambda_zip.output_path
+  function_name = "emr-realtime-lambda"
+  role          = aws_iam_role.lambda_exec_role.arn
+  handler       = "websocket.handler"
+  runtime       = "nodejs18.x"
+  source_code_hash = data.archive_file.lambda_zip.output_base64sha256
+  timeout       = 10 # seconds
+
+  vpc_config {
+    subnet_ids         = [aws_subnet.private_subnet_a.id, aws_subnet.private_subnet_b.id]
+    security_group_ids = [aws_security_group.lambda_sg.id]
+  }
+
+  environment {
+    variables = {
+      DB_CLUSTER_IDENTIFIER = aws_rds_cluster.emr_aurora_cluster.cluster_identifier
+      DB_NAME               = "emrdb"
+      COGNITO_USER_POOL_ID  = aws_cognito_user_pool.emr_user_pool.id
+      COGNITO_APP_CLIENT_ID = aws_cognito_user_pool_client.emr_app_client.id
+    }
+  }
+}
+
+resource "aws_apigatewayv2_api" "realtime" {
+  name                       = "emr-realtime"
+  description                = "Live queue updates for EMR workstations"
+  protocol_type              = "WEBSOCKET"
+  route_selection_expression = "$request.body.action"
+}
+
+resource "aws_apigatewayv2_integration" "realtime_lambda" {
+  api_id             = aws_apigatewayv2_api.realtime.id
+  integration_type   = "AWS_PROXY"
+  integration_uri    = aws_lambda_function.emr_realtime.invoke_arn
+  integration_method = "POST"
+}
+
+resource "aws_apigatewayv2_authorizer" "realtime_token" {
+  api_id           = aws_apigatewayv2_api.realtime.id
+  name             = "emr-realtime-token-authorizer"
+  authorizer_type  = "REQUEST"
+  authorizer_uri   = aws_lambda_function.emr_realtime.invoke_arn
+  identity_sources = ["route.request.querystring.token"]
+}
+
+resource "aws_apigatewayv2_route" "realtime_connect" {
+  api_id             = aws_apigatewayv2_api.realtime.id
+  route_key          = "$connect"
+  authorization_type = "CUSTOM"
+  authorizer_id      = aws_apigatewayv2_authorizer.realtime_token.id
+  target             = "integrations/${aws_apigatewayv2_integration.realtime_lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "realtime_disconnect" {
+  api_id    = aws_apigatewayv2_api.realtime.id
+  route_key = "$disconnect"
+  target    = "integrations/${aws_apigatewayv2_integration.realtime_lambda.id}"
+}
+
+resource "aws_apigatewayv2_route" "realtime_default" {
+  api_id    = aws_apigatewayv2_api.realtime.id
+  route_key = "$default"
+  target    = "integrations/${aws_apigatewayv2_integration.realtime_lambda.id}"
+}
+
+resource "aws_apigatewayv2_stage" "realtime" {
+  api_id      = aws_apigatewayv2_api.realtime.id
+  name        = "dev"
+  auto_deploy = true
+}
+
+resource "aws_lambda_permission" "realtime_api_permission" {
+  statement_id  = "AllowRealtimeAPIInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.emr_realtime.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_apigatewayv2_api.realtime.execution_arn}/*"
+}
+
 # --- API Gateway Integration with Lambda ---
 
 # Proxy Resource
@@ -639,13 +924,21 @@ resource "aws_api_gateway_deployment" "emr_api_deployment" {
       aws_api_gateway_integration.proxy_options_integration.id,
       aws_api_gateway_method.queue_post.id,
       aws_api_gateway_integration.lambda_integration_queue_post.id,
+      aws_api_gateway_method.queue_get.id,
+      aws_api_gateway_integration.lambda_integration_queue_get.id,
       aws_api_gateway_method.queue_options.id,
       aws_api_gateway_integration.queue_options_integration.id,
       # Include the new DELETE method resources
       aws_api_gateway_method.queue_entry_delete_method.id,
       aws_api_gateway_integration.queue_entry_delete_integration.id,
+      aws_api_gateway_method.queue_entry_put_method.id,
+      aws_api_gateway_integration.queue_entry_put_integration.id,
       aws_api_gateway_method.queue_entry_options_method.id,
       aws_api_gateway_integration.queue_entry_options_integration.id,
+      aws_api_gateway_method.soapnotes_proxy_any.id,
+      aws_api_gateway_integration.soapnotes_proxy_integration.id,
+      aws_api_gateway_method.soapnotes_proxy_options.id,
+      aws_api_gateway_integration.soapnotes_proxy_options_integration.id,
       # Add a timestamp to force redeployment
       formatdate("YYYYMMDDhhmmss", timestamp()) 
     ]))
@@ -787,6 +1080,11 @@ output "api_invoke_url" {
   value       = aws_api_gateway_stage.dev.invoke_url
 }
 
+output "realtime_url" {
+  description = "WebSocket URL for live queue updates (VITE_REALTIME_URL in medical-system)"
+  value       = aws_apigatewayv2_stage.realtime.invoke_url
+}
+
 output "cognito_user_pool_id" {
   description = "The ID of the Cognito User Pool"
   value       = aws_cognito_user_pool.emr_user_pool.id
@@ -872,6 +1170,32 @@ resource "aws_api_gateway_integration_response" "lambda_integration_queue_post_r
   }
 }
 
+# Method for GET requests on /queue (list active queue entries)
+resource "aws_api_gateway_method" "queue_get" {
+  rest_api_id   = aws_api_gateway_rest_api.emr_api.id
+  resource_id   = aws_api_gateway_resource.queue_resource.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito_auth.id
+}
+
+resource "aws_api_gateway_integration" "lambda_integration_queue_get" {
+  rest_api_id             = aws_api_gateway_rest_api.emr_api.id
+  resource_id             = aws_api_gateway_resource.queue_resource.id
+  http_method             = aws_api_gateway_method.queue_get.http_method
+  integration_http_method = "POST" # Lambda integrations always use POST
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.emr_backend.invoke_arn
+}
+
+resource "aws_lambda_permission" "api_gateway_permission_queue_get" {
+  statement_id  = "AllowAPIGatewayInvokeQueueGET"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.emr_backend.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.emr_api.execution_arn}/*/${aws_api_gateway_method.queue_get.http_method}${aws_api_gateway_resource.queue_resource.path}"
+}
+
 # Need to also add OPTIONS method for /queue for CORS preflight
 resource "aws_api_gateway_method" "queue_options" {
   rest_api_id   = aws_api_gateway_rest_api.emr_api.id
@@ -955,6 +1279,32 @@ resource "aws_lambda_permission" "api_gateway_permission_queue_delete" {
   source_arn    = "${aws_api_gateway_rest_api.emr_api.execution_arn}/*/${aws_api_gateway_method.queue_entry_delete_method.http_method}${aws_api_gateway_resource.queue_entry_resource.path}"
 }
 
+# --- PUT Method for /queue/{queue_entry_id} (status transitions) ---
+resource "aws_api_gateway_method" "queue_entry_put_method" {
+  rest_api_id   = aws_api_gateway_rest_api.emr_api.id
+  resource_id   = aws_api_gateway_resource.queue_entry_resource.id
+  http_method   = "PUT"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito_auth.id
+}
+
+resource "aws_api_gateway_integration" "queue_entry_put_integration" {
+  rest_api_id             = aws_api_gateway_rest_api.emr_api.id
+  resource_id             = aws_api_gateway_resource.queue_entry_resource.id
+  http_method             = aws_api_gateway_method.queue_entry_put_method.http_method
+  integration_http_method = "POST" # Lambda integrations always use POST
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.emr_backend.invoke_arn
+}
+
+resource "aws_lambda_permission" "api_gateway_permission_queue_put" {
+  statement_id  = "AllowAPIGatewayInvokeQueuePut"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.emr_backend.function_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.emr_api.execution_arn}/*/${aws_api_gateway_method.queue_entry_put_method.http_method}${aws_api_gateway_resource.queue_entry_resource.path}"
+}
+
 # --- OPTIONS Method for /queue/{queue_entry_id} (CORS Preflight) ---
 resource "aws_api_gateway_method" "queue_entry_options_method" {
   rest_api_id   = aws_api_gateway_rest_api.emr_api.id
@@ -995,7 +1345,7 @@ resource "aws_api_gateway_integration_response" "queue_entry_options_integration
   status_code = aws_api_gateway_method_response.queue_entry_options_200.status_code
   response_parameters = {
     "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'",
-    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS,DELETE'", # Add other methods on this path if needed
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS,PUT,DELETE'", # Add other methods on this path if needed
     "method.response.header.Access-Control-Allow-Origin"  = "'*'" # Be more specific in production
   }
   response_templates = {
@@ -1094,6 +1444,49 @@ resource "aws_api_gateway_integration_response" "soapnotes_options_integration_r
   depends_on = [aws_api_gateway_integration.soapnotes_options_integration]
 }
 
+# --- /soapnotes/{proxy+}: single notes and their sub-resources ---
+# /soapnotes/{id}, /soapnotes/{id}/sign and /soapnotes/{id}/addenda are routed by the Lambda.
+# Without this child resource API Gateway stops matching at /soapnotes and never reaches the root proxy.
+resource "aws_api_gateway_resource" "soapnotes_proxy_resource" {
+  rest_api_id = aws_api_gateway_rest_api.emr_api.id
+  parent_id   = aws_api_gateway_resource.soapnotes_resource.id
+  path_part   = "{proxy+}"
+}
+
+resource "aws_api_gateway_method" "soapnotes_proxy_any" {
+  rest_api_id   = aws_api_gateway_rest_api.emr_api.id
+  resource_id   = aws_api_gateway_resource.soapnotes_proxy_resource.id
+  http_method   = "ANY"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito_auth.id
+}
+
+resource "aws_api_gateway_integration" "soapnotes_proxy_integration" {
+  rest_api_id             = aws_api_gateway_rest_api.emr_api.id
+  resource_id             = aws_api_gateway_resource.soapnotes_proxy_resource.id
+  http_method             = aws_api_gateway_method.soapnotes_proxy_any.http_method
+  integration_http_method = "POST" # Lambda integrations always use POST
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.emr_backend.invoke_arn
+}
+
+# OPTIONS is answered by the Lambda (204 with CORS headers), so it needs no authorizer
+resource "aws_api_gateway_method" "soapnotes_proxy_options" {
+  rest_api_id   = aws_api_gateway_rest_api.emr_api.id
+  resource_id   = aws_api_gateway_resource.soapnotes_proxy_resource.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "soapnotes_proxy_options_integration" {
+  rest_api_id             = aws_api_gateway_rest_api.emr_api.id
+  resource_id             = aws_api_gateway_resource.soapnotes_proxy_resource.id
+  http_method             = aws_api_gateway_method.soapnotes_proxy_options.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = aws_lambda_function.emr_backend.invoke_arn
+}
+
 # --- API Gateway Resources for /notes endpoint ---
 
 # --- Resource for /notes path ---